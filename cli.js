@@ -0,0 +1,553 @@
+#!/usr/bin/env node
+// Command-line tool for scripted jobs (Windows Task Scheduler, test scripts).
+// It drives a running WhatsApp Print Manager through the local API, and can
+// start the app in the background with --start. The port and token are read
+// from the app's settings unless --port / --token are given.
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const packageInfo = require("./package.json");
+
+const APP_SETTINGS_FILE = "app-settings.json";
+const DEFAULT_API_PORT = 4848;
+const START_TIMEOUT_MS = 60000;
+const READY_TIMEOUT_MS = 120000;
+const POLL_INTERVAL_MS = 2000;
+const BULK_DOWNLOAD_FINAL_STATUSES = new Set([
+  "completed",
+  "cancelled",
+  "failed",
+  "paused",
+]);
+const PRINT_JOB_FINAL_STATUSES = new Set(["printed", "failed", "cancelled"]);
+
+const USAGE = `Usage: wpm <command> [options]
+
+Commands:
+  status                      Show whether WhatsApp is connected
+  unread                      List chats with unread messages
+  chats [--limit N]           List recent chats
+  printers                    List printers and their status
+  jobs                        Show the print queue
+  download-chat <chat>        Download a chat's files and wait until done
+  print-chat <chat>           Download a chat's files, then print them
+
+<chat> is a phone number, a chat name or a WhatsApp chat ID.
+
+Date range (download-chat, print-chat):
+  --from YYYY-MM-DD           First day to include
+  --to YYYY-MM-DD             Last day to include
+  --today                     Only today's files (print-chat's default)
+  --all                       Every file in the chat
+
+Print options (print-chat):
+  --printer NAME              Printer to use (required)
+  --copies N                  Copies of each file
+  --duplex long-edge|short-edge
+  --mono                      Print in black and white
+  --paper A4|A3|Letter|...    Paper size
+  --orientation landscape     Page orientation
+  --pages 1-3,5               Page ranges
+  --layout 2-up|4-up|9-up|booklet|poster
+  --poster 2x2|3x3|4x4        Sheets per poster (with --layout poster)
+  --no-download               Print only files that are already downloaded
+
+Connection:
+  --start                     Start the app in the background if needed
+  --app PATH                  App to start (default: Electron in this folder)
+  --port N                    API port (default: from the app's settings)
+  --token TOKEN               API token (default: from the app's settings)
+  --json                      Print raw JSON instead of text`;
+
+class CliError extends Error {
+  constructor(message, exitCode = 1) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+// ── Arguments ───────────────────────────────────────────────────────────────
+const FLAG_OPTIONS = new Set([
+  "start",
+  "json",
+  "today",
+  "all",
+  "mono",
+  "no-download",
+  "help",
+]);
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (FLAG_OPTIONS.has(name)) {
+      options[name] = true;
+    } else if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new CliError(`--${name} needs a value`, 2);
+    }
+  }
+  return { command: positional[0], args: positional.slice(1), options };
+}
+
+function parseDay(value, endOfDay) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) {
+    throw new CliError(`Dates look like 2026-01-31, not ${value}`, 2);
+  }
+  const [, year, month, day] = match.map(Number);
+  return endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999).getTime()
+    : new Date(year, month - 1, day).getTime();
+}
+
+function getDateRange(options, defaultToToday) {
+  if (options.all) return { from: null, to: null };
+  if (options.from || options.to) {
+    return {
+      from: options.from ? parseDay(options.from, false) : null,
+      to: options.to ? parseDay(options.to, true) : null,
+    };
+  }
+  if (options.today || defaultToToday) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return { from: today.getTime(), to: null };
+  }
+  return { from: null, to: null };
+}
+
+function getPrintOptions(options) {
+  return {
+    copies: options.copies ? Number(options.copies) : 1,
+    duplex: options.duplex || "simplex",
+    monochrome: !!options.mono,
+    paperSize: options.paper || null,
+    orientation: options.orientation || "portrait",
+    pageRanges: options.pages || "",
+    layout: options.layout || "normal",
+    posterTiles: options.poster || "2x2",
+  };
+}
+
+// ── Connection ──────────────────────────────────────────────────────────────
+// Electron keeps userData under the app's name: productName in installed
+// builds, the package name when run with `npm start`.
+function getSettingsCandidates() {
+  const home = os.homedir();
+  let appDataDir;
+  if (process.platform === "win32") {
+    appDataDir = process.env.APPDATA || path.join(home, "AppData", "Roaming");
+  } else if (process.platform === "darwin") {
+    appDataDir = path.join(home, "Library", "Application Support");
+  } else {
+    appDataDir = process.env.XDG_CONFIG_HOME || path.join(home, ".config");
+  }
+  return [packageInfo.build?.productName, packageInfo.name]
+    .filter(Boolean)
+    .map((name) => path.join(appDataDir, name, APP_SETTINGS_FILE));
+}
+
+function readApiSettings() {
+  for (const settingsPath of getSettingsCandidates()) {
+    try {
+      const settings = JSON.parse(fs.readFileSync(settingsPath, "utf8"));
+      if (settings?.api) return settings.api;
+    } catch (err) {
+      // Not this one; try the next location.
+    }
+  }
+  return {};
+}
+
+function getConnection(options) {
+  const saved = readApiSettings();
+  return {
+    port: Number(options.port) || Number(saved.port) || DEFAULT_API_PORT,
+    token: options.token || process.env.WPM_TOKEN || saved.token || "",
+  };
+}
+
+function request(options, method, apiPath, body, timeoutMs = 0) {
+  const { port, token } = getConnection(options);
+  const payload = body === undefined ? null : JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port,
+        method,
+        path: apiPath,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...(payload
+            ? {
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(payload),
+              }
+            : {}),
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => {
+          let result;
+          try {
+            result = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+          } catch (err) {
+            reject(
+              new CliError(`Unexpected reply from the app (${res.statusCode})`),
+            );
+            return;
+          }
+          if (res.statusCode === 401) {
+            reject(
+              new CliError(
+                "The app rejected the API token. Check Settings → Local API or pass --token.",
+              ),
+            );
+          } else if (res.statusCode >= 400 || result?.error) {
+            reject(new CliError(result?.error || `HTTP ${res.statusCode}`));
+          } else {
+            resolve(result);
+          }
+        });
+      },
+    );
+    if (timeoutMs) {
+      req.setTimeout(timeoutMs, () =>
+        req.destroy(new Error("Timed out waiting for the app")),
+      );
+    }
+    req.on("error", (err) =>
+      reject(
+        err.code === "ECONNREFUSED"
+          ? new CliError(
+              "WhatsApp Print Manager is not running with the local API on. Start it, turn on Settings → Local API, or pass --start.",
+            )
+          : err,
+      ),
+    );
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function launchApp(options) {
+  const appPath = options.app || process.env.WPM_APP;
+  let command;
+  let args;
+  if (appPath) {
+    command = appPath;
+    args = ["--headless"];
+  } else {
+    try {
+      // The electron package exports the path to its binary.
+      command = require("electron");
+    } catch (err) {
+      throw new CliError(
+        "Pass --app with the path to WhatsApp Print Manager",
+      );
+    }
+    args = [__dirname, "--headless"];
+  }
+  const child = spawn(command, args, { detached: true, stdio: "ignore" });
+  child.on("error", () => {});
+  child.unref();
+}
+
+// Waits for the API (starting the app if asked) and, for commands that need
+// it, for WhatsApp itself.
+async function connect(options, { waitForWhatsApp = true } = {}) {
+  let started = false;
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  for (;;) {
+    try {
+      await request(options, "GET", "/api/status", undefined, 5000);
+      break;
+    } catch (err) {
+      const notRunning = /not running/.test(err.message);
+      if (!notRunning || !options.start) throw err;
+      if (!started) {
+        log(options, "Starting WhatsApp Print Manager…");
+        launchApp(options);
+        started = true;
+      }
+      if (Date.now() > deadline) {
+        throw new CliError("WhatsApp Print Manager did not start in time");
+      }
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+  if (!waitForWhatsApp) return;
+
+  const readyDeadline = Date.now() + READY_TIMEOUT_MS;
+  for (;;) {
+    const status = await request(options, "GET", "/api/status");
+    if (status.ready) return;
+    if (Date.now() > readyDeadline) {
+      throw new CliError(
+        "WhatsApp is not connected. Open the app and scan the QR code if asked.",
+      );
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+// ── Output ──────────────────────────────────────────────────────────────────
+// Progress goes to stderr so --json output on stdout stays parseable.
+function log(options, message) {
+  if (!options.json) process.stderr.write(`${message}\n`);
+}
+
+function output(options, data, formatText) {
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+  } else {
+    const text = formatText(data);
+    if (text) process.stdout.write(`${text}\n`);
+  }
+}
+
+function formatChats(chats) {
+  if (!chats.length) return "No chats";
+  return chats
+    .map((chat) => {
+      const unread = chat.unreadCount ? ` (${chat.unreadCount} unread)` : "";
+      return `${chat.name || chat.number}${unread}\t${chat.id}`;
+    })
+    .join("\n");
+}
+
+// ── Commands ────────────────────────────────────────────────────────────────
+async function resolveChat(options, chatArg) {
+  if (!chatArg) {
+    throw new CliError("Name the chat, e.g. wpm print-chat 94771234567", 2);
+  }
+  if (chatArg.includes("@")) return { id: chatArg, name: null };
+
+  const { chats = [] } = await request(options, "GET", "/api/chats?limit=500");
+  const digits = chatArg.replace(/[^\d]/g, "");
+  const byNumber = digits && chats.find((chat) => chat.number === digits);
+  const byName = chats.find(
+    (chat) => (chat.name || "").toLowerCase() === chatArg.toLowerCase(),
+  );
+  const chat = byNumber || byName;
+  if (chat) return { id: chat.id, name: chat.name };
+  if (digits) return { id: `${digits}@c.us`, name: null };
+  throw new CliError(`No chat called "${chatArg}"`);
+}
+
+async function downloadChat(options, chat, range) {
+  const started = await request(
+    options,
+    "POST",
+    `/api/chats/${encodeURIComponent(chat.id)}/download-all`,
+    { chatName: chat.name, ...range },
+  );
+  const jobId = started.job.id;
+  let lastReport = "";
+  for (;;) {
+    await sleep(POLL_INTERVAL_MS);
+    const { job } = await request(options, "GET", "/api/downloads/bulk");
+    if (!job || job.id !== jobId) {
+      throw new CliError("The download was replaced by another one");
+    }
+    const report = `${job.status}: ${job.current}/${job.total}`;
+    if (report !== lastReport) log(options, report);
+    lastReport = report;
+    if (BULK_DOWNLOAD_FINAL_STATUSES.has(job.status)) {
+      if (job.status !== "completed") {
+        throw new CliError(
+          `Download ${job.status}${job.error ? `: ${job.error}` : ""}`,
+        );
+      }
+      return job;
+    }
+  }
+}
+
+// The API returns print jobs as soon as they are queued; this follows them
+// until each one has printed, failed or been cancelled.
+async function waitForPrintJobs(options, queuedJobs) {
+  const jobIds = queuedJobs.map((job) => job.id);
+  let lastReport = "";
+  for (;;) {
+    await sleep(POLL_INTERVAL_MS);
+    const { jobs } = await request(options, "GET", "/api/print-jobs");
+    const current = jobIds.map(
+      (id, index) =>
+        jobs.find((job) => job.id === id) || {
+          ...queuedJobs[index],
+          status: "failed",
+          error: "No longer in the print queue",
+        },
+    );
+    const done = current.filter((job) =>
+      PRINT_JOB_FINAL_STATUSES.has(job.status),
+    );
+    const report = `${done.length}/${current.length} done`;
+    if (report !== lastReport) log(options, report);
+    lastReport = report;
+    if (done.length === current.length) return current;
+  }
+}
+
+// Files the print queue can handle, oldest first.
+async function getPrintableDownloads(options, chat, range) {
+  const query = new URLSearchParams({ printable: "1" });
+  if (range.from) query.set("from", range.from);
+  if (range.to) query.set("to", range.to);
+  const { downloads } = await request(
+    options,
+    "GET",
+    `/api/chats/${encodeURIComponent(chat.id)}/downloads?${query}`,
+  );
+  return downloads;
+}
+
+const COMMANDS = {
+  async status(options) {
+    await connect(options, { waitForWhatsApp: false });
+    const status = await request(options, "GET", "/api/status");
+    output(options, status, (data) =>
+      data.ready ? "WhatsApp is connected" : "WhatsApp is not connected",
+    );
+  },
+
+  async unread(options) {
+    await connect(options);
+    const { chats } = await request(options, "GET", "/api/chats/unread");
+    output(options, chats, (data) =>
+      formatChats(data.filter((chat) => chat.unreadCount > 0)),
+    );
+  },
+
+  async chats(options) {
+    await connect(options);
+    const limit = Number(options.limit) || 30;
+    const { chats } = await request(
+      options,
+      "GET",
+      `/api/chats?limit=${limit}`,
+    );
+    output(options, chats, formatChats);
+  },
+
+  async printers(options) {
+    await connect(options, { waitForWhatsApp: false });
+    const { printers } = await request(options, "GET", "/api/printers");
+    output(options, printers, (data) =>
+      data
+        .map((printer) =>
+          [
+            `${printer.name}${printer.isDefault ? " (default)" : ""}`,
+            printer.state,
+            `${printer.jobCount} job(s)`,
+            [...printer.errors, ...printer.warnings].join(", "),
+          ].join("\t"),
+        )
+        .join("\n"),
+    );
+  },
+
+  async jobs(options) {
+    await connect(options, { waitForWhatsApp: false });
+    const { jobs } = await request(options, "GET", "/api/print-jobs");
+    output(options, jobs, (data) =>
+      data
+        .map(
+          (job) =>
+            `${job.status}\t${job.printerName || "-"}\t${path.basename(job.filePath)}`,
+        )
+        .join("\n"),
+    );
+  },
+
+  async "download-chat"(options, [chatArg]) {
+    await connect(options);
+    const chat = await resolveChat(options, chatArg);
+    const range = getDateRange(options, false);
+    const job = await downloadChat(options, chat, range);
+    output(options, job, (data) => {
+      const failed = data.failed.length ? `, ${data.failed.length} failed` : "";
+      return `Downloaded ${data.downloaded}, already had ${data.skipped}${failed}`;
+    });
+    if (job.failed.length) process.exitCode = 1;
+  },
+
+  async "print-chat"(options, [chatArg]) {
+    if (!options.printer) {
+      throw new CliError("Choose a printer with --printer", 2);
+    }
+    await connect(options);
+    const chat = await resolveChat(options, chatArg);
+    const range = getDateRange(options, true);
+    if (!options["no-download"]) await downloadChat(options, chat, range);
+
+    const downloads = await getPrintableDownloads(options, chat, range);
+    if (!downloads.length) {
+      output(options, { results: [] }, () => "No files to print");
+      return;
+    }
+    log(options, `Printing ${downloads.length} file(s) on ${options.printer}…`);
+    const queued = await request(options, "POST", "/api/print-jobs", {
+      filePaths: downloads.map((download) => download.localPath),
+      messageIds: downloads.map((download) => download.messageId),
+      printerName: options.printer,
+      options: getPrintOptions(options),
+      chatId: chat.id,
+      chatName: chat.name,
+    });
+    const results = (await waitForPrintJobs(options, queued.jobs)).map(
+      (job) => ({
+        filePath: job.filePath,
+        jobId: job.id,
+        status: job.status,
+        ...(job.status === "failed" ? { error: job.error } : {}),
+      }),
+    );
+    output(options, { results }, (data) =>
+      data.results
+        .map(
+          (result) =>
+            `${result.error ? `failed (${result.error})` : result.status}\t${path.basename(result.filePath || "")}`,
+        )
+        .join("\n"),
+    );
+    if (results.some((result) => result.status !== "printed")) {
+      process.exitCode = 1;
+    }
+  },
+};
+
+async function main() {
+  const { command, args, options } = parseArgs(process.argv.slice(2));
+  if (!command || options.help || command === "help") {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new CliError(`Unknown command "${command}"\n\n${USAGE}`, 2);
+  await run(options, args);
+}
+
+main().catch((err) => {
+  process.stderr.write(`${err.message}\n`);
+  process.exitCode = err.exitCode || 1;
+});
@@ -1,4 +1,14 @@
-const { app, BrowserWindow, ipcMain, dialog, shell } = require("electron");
+const {
+  app,
+  BrowserWindow,
+  ipcMain,
+  dialog,
+  shell,
+  nativeImage,
+  Notification,
+  Menu,
+  Tray,
+} = require("electron");
 const path = require("path");
 const fs = require("fs");
 const os = require("os");
@@ -795,87 +805,453 @@ function getUserDataPath(...segments) {
   return path.join(app.getPath("userData"), ...segments);
 }
 
+function generateRecordId() {
+  return typeof crypto.randomUUID === "function"
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Storage root for new downloads; existing files keep the path they were
+// saved under.
+function getDownloadsRoot() {
+  const { rootPath } = getAppSettings().downloads;
+  return rootPath && path.isAbsolute(rootPath)
+    ? rootPath
+    : app.getPath("downloads");
+}
+
 function ensureDownloadsDir() {
-  DOWNLOADS_DIR = app.getPath("downloads");
-  if (!fs.existsSync(DOWNLOADS_DIR)) {
+  DOWNLOADS_DIR = getDownloadsRoot();
+  try {
+    fs.mkdirSync(DOWNLOADS_DIR, { recursive: true });
+  } catch (error) {
+    // e.g. a configured network share that is offline
+    console.warn(
+      `[Downloads] Cannot use ${DOWNLOADS_DIR}, falling back to Downloads:`,
+      error.message,
+    );
+    DOWNLOADS_DIR = app.getPath("downloads");
     fs.mkdirSync(DOWNLOADS_DIR, { recursive: true });
   }
 }
 
-const DOWNLOAD_INDEX_FILE = "download-index.json";
-let downloadIndexLoaded = false;
-const downloadIndexByMessageId = new Map();
+// ── Download Store ───────────────────────────────────────────────────────────
+// Every downloaded or generated file is recorded in a SQLite database in
+// userData, keyed by WhatsApp message ID. It replaces download-index.json,
+// which held only the local path and was rewritten in full on every change;
+// that file is imported once on first open and renamed to *.migrated.
+const DOWNLOAD_STORE_FILE = "downloads.db";
+const LEGACY_DOWNLOAD_INDEX_FILE = "download-index.json";
+
+// Applied in order; PRAGMA user_version records how many have run.
+const DOWNLOAD_STORE_MIGRATIONS = [
+  `CREATE TABLE downloads (
+    message_id TEXT PRIMARY KEY,
+    chat_id TEXT,
+    sender TEXT,
+    original_name TEXT,
+    local_path TEXT NOT NULL,
+    mime_type TEXT,
+    size INTEGER,
+    content_hash TEXT,
+    downloaded_at INTEGER NOT NULL,
+    print_count INTEGER NOT NULL DEFAULT 0,
+    last_printed_at INTEGER,
+    generated INTEGER NOT NULL DEFAULT 0,
+    sources TEXT
+  );
+  CREATE INDEX downloads_chat_id ON downloads (chat_id);
+  CREATE INDEX downloads_content_hash ON downloads (content_hash);
+  CREATE INDEX downloads_local_path ON downloads (local_path);`,
+  // Set when the retention policy moves a file into the archive folder.
+  `ALTER TABLE downloads ADD COLUMN archived_at INTEGER;`,
+  `ALTER TABLE downloads ADD COLUMN received_at INTEGER;`,
+  // Set when the file is found deleted outside the app. The row is kept so
+  // the print history survives and a re-download can reuse it.
+  `ALTER TABLE downloads ADD COLUMN missing_at INTEGER;`,
+];
+
+let downloadStore = null;
+
+function getDownloadStore() {
+  if (downloadStore) return downloadStore;
+
+  const Database = require("better-sqlite3");
+  const db = new Database(getUserDataPath(DOWNLOAD_STORE_FILE));
+  db.pragma("journal_mode = WAL");
+  migrateDownloadStore(db);
+  importLegacyDownloadIndex(db);
+
+  downloadStore = db;
+  return db;
+}
 
-function getDownloadIndexPath() {
-  return getUserDataPath(DOWNLOAD_INDEX_FILE);
+function closeDownloadStore() {
+  if (!downloadStore) return;
+  downloadStore.close();
+  downloadStore = null;
 }
 
-function ensureDownloadIndexLoaded() {
-  if (downloadIndexLoaded) return;
-  downloadIndexLoaded = true;
+function migrateDownloadStore(db) {
+  const version = db.pragma("user_version", { simple: true });
+  DOWNLOAD_STORE_MIGRATIONS.slice(version).forEach((sql, index) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${version + index + 1}`);
+    })();
+  });
+}
 
-  try {
-    const filePath = getDownloadIndexPath();
-    if (!fs.existsSync(filePath)) return;
+// Serialized message IDs look like "false_<chatId>_<id>[_<participant>]".
+function getChatIdFromMessageId(messageId) {
+  const parts = String(messageId || "").split("_");
+  if (parts.length < 3 || (parts[0] !== "true" && parts[0] !== "false")) {
+    return null;
+  }
+  return parts[1] || null;
+}
 
-    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
-    if (!parsed || typeof parsed !== "object") return;
+function importLegacyDownloadIndex(db) {
+  const legacyPath = getUserDataPath(LEGACY_DOWNLOAD_INDEX_FILE);
+  if (!fs.existsSync(legacyPath)) return;
 
-    for (const [messageId, value] of Object.entries(parsed)) {
-      if (!messageId || !value || typeof value.localPath !== "string") {
-        continue;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(legacyPath, "utf8"));
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO downloads (
+        message_id, chat_id, original_name, local_path, mime_type, size,
+        downloaded_at, generated, sources
+      ) VALUES (
+        @messageId, @chatId, @originalName, @localPath, @mimeType, @size,
+        @downloadedAt, @generated, @sources
+      )
+    `);
+
+    let imported = 0;
+    db.transaction(() => {
+      for (const [messageId, entry] of Object.entries(parsed || {})) {
+        if (!messageId || typeof entry?.localPath !== "string") continue;
+        // The old index kept no download time; the file's mtime is the
+        // closest record of it.
+        const stat = fs.existsSync(entry.localPath)
+          ? fs.statSync(entry.localPath)
+          : null;
+        insert.run({
+          messageId,
+          chatId: entry.chatId || getChatIdFromMessageId(messageId),
+          originalName: path.basename(entry.localPath),
+          localPath: entry.localPath,
+          mimeType: entry.mimeType || mime.lookup(entry.localPath) || null,
+          size: stat ? stat.size : null,
+          downloadedAt: Math.floor(
+            entry.createdAt || stat?.mtimeMs || Date.now(),
+          ),
+          generated: entry.generated ? 1 : 0,
+          sources: entry.sources ? JSON.stringify(entry.sources) : null,
+        });
+        imported += 1;
       }
-      downloadIndexByMessageId.set(messageId, { localPath: value.localPath });
-    }
+    })();
+
+    fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+    console.log(
+      `[DownloadStore] Imported ${imported} entries from ${LEGACY_DOWNLOAD_INDEX_FILE}`,
+    );
   } catch (error) {
-    console.warn("[DownloadIndex] Failed to load index:", error.message);
+    console.warn(
+      "[DownloadStore] Failed to import legacy index:",
+      error.message,
+    );
   }
 }
 
-function persistDownloadIndex() {
-  ensureDownloadIndexLoaded();
-  const output = {};
-  for (const [messageId, entry] of downloadIndexByMessageId.entries()) {
-    if (entry?.localPath) {
-      output[messageId] = { localPath: entry.localPath };
-    }
-  }
+function toDownloadRecord(row) {
+  if (!row) return null;
+  return {
+    messageId: row.message_id,
+    chatId: row.chat_id,
+    sender: row.sender,
+    originalName: row.original_name,
+    localPath: row.local_path,
+    mimeType: row.mime_type,
+    size: row.size,
+    contentHash: row.content_hash,
+    downloadedAt: row.downloaded_at,
+    printCount: row.print_count,
+    lastPrintedAt: row.last_printed_at,
+    generated: Boolean(row.generated),
+    sources: row.sources ? JSON.parse(row.sources) : [],
+    archivedAt: row.archived_at,
+    receivedAt: row.received_at,
+    missingAt: row.missing_at,
+  };
+}
+
+function getDownloadRecord(messageId) {
+  if (!messageId) return null;
+  const row = getDownloadStore()
+    .prepare("SELECT * FROM downloads WHERE message_id = ?")
+    .get(messageId);
+  return toDownloadRecord(row);
+}
+
+// Inserts or refreshes a download. Details missing from a later call (e.g.
+// a legacy path found without its message) keep their stored values, and the
+// print history is never reset.
+function recordDownload({
+  messageId,
+  chatId,
+  sender,
+  originalName,
+  localPath,
+  mimeType,
+  size,
+  contentHash,
+  receivedAt,
+  generated = false,
+  sources,
+}) {
+  if (!messageId || !localPath) return null;
+  getDownloadStore()
+    .prepare(
+      `
+      INSERT INTO downloads (
+        message_id, chat_id, sender, original_name, local_path, mime_type,
+        size, content_hash, downloaded_at, received_at, generated, sources
+      ) VALUES (
+        @messageId, @chatId, @sender, @originalName, @localPath, @mimeType,
+        @size, @contentHash, @downloadedAt, @receivedAt, @generated, @sources
+      )
+      ON CONFLICT (message_id) DO UPDATE SET
+        chat_id = COALESCE(excluded.chat_id, chat_id),
+        sender = COALESCE(excluded.sender, sender),
+        original_name = COALESCE(excluded.original_name, original_name),
+        local_path = excluded.local_path,
+        mime_type = COALESCE(excluded.mime_type, mime_type),
+        size = COALESCE(excluded.size, size),
+        content_hash = COALESCE(excluded.content_hash, content_hash),
+        downloaded_at = CASE WHEN local_path = excluded.local_path
+          THEN downloaded_at ELSE excluded.downloaded_at END,
+        archived_at = CASE WHEN local_path = excluded.local_path
+          THEN archived_at ELSE NULL END,
+        received_at = COALESCE(excluded.received_at, received_at),
+        missing_at = NULL,
+        generated = excluded.generated,
+        sources = COALESCE(excluded.sources, sources)
+    `,
+    )
+    .run({
+      messageId,
+      chatId: chatId || getChatIdFromMessageId(messageId),
+      sender: sender || null,
+      originalName: originalName || path.basename(localPath),
+      localPath,
+      mimeType: mimeType || null,
+      size: Number.isFinite(size) ? size : null,
+      contentHash: contentHash || null,
+      downloadedAt: Date.now(),
+      receivedAt: Number.isFinite(receivedAt) ? receivedAt : null,
+      generated: generated ? 1 : 0,
+      sources: sources ? JSON.stringify(sources) : null,
+    });
+  return getDownloadRecord(messageId);
+}
 
+// Counts a finished print against every record pointing at the file.
+function recordFilePrinted(filePath) {
+  if (!filePath) return;
   try {
-    fs.writeFileSync(getDownloadIndexPath(), JSON.stringify(output, null, 2));
+    getDownloadStore()
+      .prepare(
+        `UPDATE downloads
+         SET print_count = print_count + 1, last_printed_at = ?
+         WHERE local_path = ?`,
+      )
+      .run(Date.now(), filePath);
   } catch (error) {
-    console.warn("[DownloadIndex] Failed to persist index:", error.message);
+    console.warn("[DownloadStore] Failed to record print:", error.message);
   }
 }
 
 function getIndexedDownloadPath(messageId) {
-  if (!messageId) return null;
-  ensureDownloadIndexLoaded();
-  const entry = downloadIndexByMessageId.get(messageId);
-  if (!entry?.localPath) return null;
+  const record = getDownloadRecord(messageId);
+  if (!record) return null;
 
-  if (fs.existsSync(entry.localPath)) {
-    return entry.localPath;
+  const exists = fs.existsSync(record.localPath);
+  // A file can come back, e.g. when a removed drive is plugged in again.
+  if (exists === Boolean(record.missingAt)) {
+    setDownloadMissing(messageId, !exists);
   }
-
-  downloadIndexByMessageId.delete(messageId);
-  persistDownloadIndex();
-  return null;
+  return exists ? record.localPath : null;
 }
 
-function setIndexedDownloadPath(messageId, localPath) {
-  if (!messageId || !localPath) return;
-  ensureDownloadIndexLoaded();
-  downloadIndexByMessageId.set(messageId, { localPath });
-  persistDownloadIndex();
+function setDownloadMissing(messageId, missing) {
+  getDownloadStore()
+    .prepare("UPDATE downloads SET missing_at = ? WHERE message_id = ?")
+    .run(missing ? Date.now() : null, messageId);
 }
 
 function removeIndexedDownloadPath(messageId) {
   if (!messageId) return;
-  ensureDownloadIndexLoaded();
-  if (downloadIndexByMessageId.delete(messageId)) {
-    persistDownloadIndex();
+  getDownloadStore()
+    .prepare("DELETE FROM downloads WHERE message_id = ?")
+    .run(messageId);
+}
+
+// The earliest copy of this content still in the storage root. Archived
+// copies are skipped; the archive may be on a drive that is not always there.
+function findDownloadByHash(contentHash) {
+  const rows = getDownloadStore()
+    .prepare(
+      `SELECT * FROM downloads
+       WHERE content_hash = ? AND archived_at IS NULL
+       ORDER BY downloaded_at ASC`,
+    )
+    .all(contentHash);
+  const row = rows.find((candidate) => fs.existsSync(candidate.local_path));
+  return toDownloadRecord(row);
+}
+
+// Whether another message's record still uses the file at this path.
+function isDownloadPathShared(localPath, messageId) {
+  return Boolean(
+    getDownloadStore()
+      .prepare(
+        `SELECT 1 FROM downloads
+         WHERE local_path = ? AND message_id != ? LIMIT 1`,
+      )
+      .get(localPath, messageId),
+  );
+}
+
+// Whether the file was downloaded or generated by the app, as opposed to any
+// other file on the machine.
+function isRecordedDownloadPath(localPath) {
+  return Boolean(
+    getDownloadStore()
+      .prepare("SELECT 1 FROM downloads WHERE local_path = ? LIMIT 1")
+      .get(path.resolve(localPath)),
+  );
+}
+
+// For each message, the other downloads with the same content in any chat.
+function getDuplicateDownloads(messageIds) {
+  const statement = getDownloadStore().prepare(
+    `SELECT record.chat_id AS chat_id, other.chat_id AS other_chat_id,
+       other.downloaded_at AS other_downloaded_at
+     FROM downloads AS record
+     JOIN downloads AS other
+       ON other.content_hash = record.content_hash
+       AND other.message_id != record.message_id
+     WHERE record.message_id = ?`,
+  );
+
+  const duplicates = {};
+  for (const messageId of new Set(messageIds)) {
+    const rows = statement.all(messageId);
+    if (rows.length === 0) continue;
+    const otherChats = new Set(
+      rows
+        .filter((row) => row.other_chat_id !== row.chat_id)
+        .map((row) => row.other_chat_id),
+    );
+    duplicates[messageId] = {
+      count: rows.length,
+      otherChatCount: otherChats.size,
+      firstReceivedAt: Math.min(
+        ...rows.map((row) => row.other_downloaded_at),
+      ),
+    };
   }
+  return duplicates;
+}
+
+// A chat's received files still in the storage root, oldest first. Files
+// recorded before the message time was stored fall back to their download
+// time. Resends that share one file are listed once, at the first message.
+function getChatDownloads(chatId, { from, to } = {}) {
+  const rows = getDownloadStore()
+    .prepare(
+      `SELECT * FROM downloads
+       WHERE chat_id = @chatId AND generated = 0 AND archived_at IS NULL
+         AND COALESCE(received_at, downloaded_at) >= @from
+         AND COALESCE(received_at, downloaded_at) <= @to
+       ORDER BY COALESCE(received_at, downloaded_at) ASC`,
+    )
+    .all({
+      chatId,
+      from: Number(from) > 0 ? Number(from) : 0,
+      to: Number(to) > 0 ? Number(to) : Number.MAX_SAFE_INTEGER,
+    });
+  const seenPaths = new Set();
+  return rows
+    .filter((row) => {
+      if (seenPaths.has(row.local_path)) return false;
+      seenPaths.add(row.local_path);
+      return fs.existsSync(row.local_path);
+    })
+    .map(toDownloadRecord);
+}
+
+// When each file, or any other copy of its content, was last printed.
+function getLastPrintedTimes(filePaths) {
+  const statement = getDownloadStore().prepare(
+    `SELECT MAX(last_printed_at) AS last_printed_at FROM downloads
+     WHERE local_path = @filePath
+       OR content_hash IN (
+         SELECT content_hash FROM downloads
+         WHERE local_path = @filePath AND content_hash IS NOT NULL
+       )`,
+  );
+  return filePaths.map((filePath) => ({
+    filePath,
+    lastPrintedAt: statement.get({ filePath }).last_printed_at,
+  }));
+}
+
+ipcMain.handle("get-duplicate-files", async (event, messageIds) => {
+  if (!Array.isArray(messageIds)) return { error: "Invalid message IDs" };
+  return { duplicates: getDuplicateDownloads(messageIds) };
+});
+
+ipcMain.handle("get-last-printed", async (event, filePaths) => {
+  if (!Array.isArray(filePaths)) return { error: "Invalid file paths" };
+  return { files: getLastPrintedTimes(filePaths) };
+});
+
+// Files still in the storage root, oldest first.
+function getActiveDownloadRecords() {
+  return getDownloadStore()
+    .prepare(
+      `SELECT * FROM downloads
+       WHERE archived_at IS NULL
+       ORDER BY downloaded_at ASC`,
+    )
+    .all()
+    .map(toDownloadRecord);
+}
+
+function markDownloadArchived(messageId, localPath) {
+  getDownloadStore()
+    .prepare(
+      `UPDATE downloads SET local_path = ?, archived_at = ?
+       WHERE message_id = ?`,
+    )
+    .run(localPath, Date.now(), messageId);
+}
+
+function hashBuffer(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+const WINDOWS_RESERVED_NAME = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+
+// Replaces characters Windows does not allow in a file or folder name.
+function cleanFileNamePart(value) {
+  return String(value ?? "")
+    .replace(/[<>:"/\\|?*\x00-\x1F]/g, "_")
+    .replace(/\s+/g, " ")
+    .trim();
 }
 
 function sanitizeDownloadFileName(fileName, mimeType) {
@@ -883,10 +1259,7 @@ function sanitizeDownloadFileName(fileName, mimeType) {
     mime.extension(mimeType || "application/octet-stream") || "bin";
   const raw = path.basename(String(fileName || "").trim());
 
-  let safeName = raw
-    .replace(/[<>:"/\\|?*\x00-\x1F]/g, "_")
-    .replace(/\s+/g, " ")
-    .trim();
+  let safeName = cleanFileNamePart(raw);
 
   if (!safeName || safeName === "." || safeName === "..") {
     safeName = `file.${fallbackExt}`;
@@ -898,7 +1271,7 @@ function sanitizeDownloadFileName(fileName, mimeType) {
   if (!stem) stem = "file";
   if (!ext) ext = `.${fallbackExt}`;
 
-  if (/^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i.test(stem)) {
+  if (WINDOWS_RESERVED_NAME.test(stem)) {
     stem = `${stem}_`;
   }
 
@@ -909,10 +1282,84 @@ function sanitizeDownloadFileName(fileName, mimeType) {
   return `${stem}${ext}`;
 }
 
+// Folder names follow the file name rules without the extension handling.
+// Leading and trailing separators are dropped so an empty placeholder in
+// "{customerName}_{number}" does not leave a stray "_", and Windows refuses
+// names that end in a dot.
+function sanitizeDownloadFolderName(name) {
+  let safeName = cleanFileNamePart(name).replace(/^[\s._-]+|[\s._-]+$/g, "");
+  if (!safeName) return "Unknown";
+  if (WINDOWS_RESERVED_NAME.test(safeName)) safeName = `${safeName}_`;
+  return safeName.slice(0, 120).trim();
+}
+
+function getDownloadPathTemplate() {
+  const { pathTemplate } = getAppSettings().downloads;
+  return pathTemplate.trim() || DEFAULT_APP_SETTINGS.downloads.pathTemplate;
+}
+
+function padTwoDigits(value) {
+  return String(value).padStart(2, "0");
+}
+
+// Placeholder values for a download path template. Times use "-" because
+// ":" is not allowed in Windows file names.
+function getDownloadPathValues({
+  chatId,
+  customerName,
+  sender,
+  fileName,
+  timestamp,
+}) {
+  const date = new Date(timestamp || Date.now());
+  const year = String(date.getFullYear());
+  const month = padTwoDigits(date.getMonth() + 1);
+  const day = padTwoDigits(date.getDate());
+  const number = String(chatId || "").split("@")[0];
+  return {
+    date: `${year}-${month}-${day}`,
+    year,
+    month,
+    day,
+    time: [date.getHours(), date.getMinutes(), date.getSeconds()]
+      .map(padTwoDigits)
+      .join("-"),
+    customerName: customerName || sender || "",
+    number,
+    sender: sender || "",
+    originalName: fileName,
+  };
+}
+
+// Renders a template such as "{date}/{customerName}_{number}/{originalName}"
+// into folder names and a file name. Values are cleaned before they are
+// substituted, so a "/" in a customer name cannot add a folder or climb out
+// of the storage root. Unknown placeholders are left as written.
+function renderDownloadPath(template, values, mimeType) {
+  const parts = String(template)
+    .split(/[\\/]+/)
+    .map((part) =>
+      part.replace(/\{(\w+)\}/g, (match, key) =>
+        Object.hasOwn(values, key) ? cleanFileNamePart(values[key]) : match,
+      ),
+    )
+    .filter((part) => part.trim());
+
+  const fileName = parts.pop() || values.originalName;
+  return {
+    folders: parts.map(sanitizeDownloadFolderName),
+    fileName: sanitizeDownloadFileName(fileName, mimeType),
+  };
+}
+
 function resolveLegacyPrefixedDownloadPath(messageId, fileName) {
   if (!messageId || !fileName) return null;
   const safeMessageId = String(messageId).replace(/[^a-zA-Z0-9]/g, "_");
-  const legacyPath = path.join(DOWNLOADS_DIR, `${safeMessageId}_${fileName}`);
+  // Prefixed names predate the configurable storage root.
+  const legacyPath = path.join(
+    app.getPath("downloads"),
+    `${safeMessageId}_${fileName}`,
+  );
   return fs.existsSync(legacyPath) ? legacyPath : null;
 }
 
@@ -922,33 +1369,66 @@ function resolveDownloadedPath(messageId, fileName) {
 
   const legacyPath = resolveLegacyPrefixedDownloadPath(messageId, fileName);
   if (legacyPath) {
-    setIndexedDownloadPath(messageId, legacyPath);
+    recordDownload({
+      messageId,
+      originalName: fileName,
+      localPath: legacyPath,
+    });
     return legacyPath;
   }
 
   return null;
 }
 
-function resolveUniqueDownloadTarget(fileName, mimeType) {
+// Picks a free file name in `folder` (the storage root by default), creating
+// the folder if needed.
+function resolveUniqueDownloadTarget(fileName, mimeType, folder) {
   ensureDownloadsDir();
+  const targetDir = folder || DOWNLOADS_DIR;
+  fs.mkdirSync(targetDir, { recursive: true });
+
   const normalizedName = sanitizeDownloadFileName(fileName, mimeType);
   const ext = path.extname(normalizedName);
   const stem = path.basename(normalizedName, ext);
 
   let candidateName = normalizedName;
-  let candidatePath = path.join(DOWNLOADS_DIR, candidateName);
+  let candidatePath = path.join(targetDir, candidateName);
   let suffix = 1;
 
   while (fs.existsSync(candidatePath)) {
     candidateName = `${stem} (${suffix})${ext}`;
-    candidatePath = path.join(DOWNLOADS_DIR, candidateName);
+    candidatePath = path.join(targetDir, candidateName);
     suffix += 1;
   }
 
   return { localPath: candidatePath, fileName: candidateName };
 }
 
-function saveDownloadedMedia({ messageId, fileName, mimeType, base64Data }) {
+// Chat, sender and send time stored with (and used to file) a message's
+// downloaded media.
+function getMessageDownloadDetails(msg) {
+  const remote = msg.id?.remote;
+  const fromMe = msg.id?.fromMe || msg.fromMe;
+  return {
+    chatId: remote?._serialized || remote || null,
+    sender: fromMe
+      ? null
+      : msg._data?.notifyName || msg._data?.pushName || msg.author || null,
+    timestamp: msg.timestamp ? msg.timestamp * 1000 : null,
+  };
+}
+
+function saveDownloadedMedia({
+  messageId,
+  chatId,
+  sender,
+  customerName,
+  timestamp,
+  fileName,
+  mimeType,
+  base64Data,
+  rootFolder,
+}) {
   const existingPath = resolveDownloadedPath(messageId, fileName);
   if (existingPath) {
     const size = fs.existsSync(existingPath)
@@ -962,10 +1442,68 @@ function saveDownloadedMedia({ messageId, fileName, mimeType, base64Data }) {
     };
   }
 
-  const target = resolveUniqueDownloadTarget(fileName, mimeType);
+  // A resend within the same chat is linked to the existing copy instead of
+  // being written again.
   const buffer = Buffer.from(base64Data, "base64");
-  fs.writeFileSync(target.localPath, buffer);
-  setIndexedDownloadPath(messageId, target.localPath);
+  const contentHash = hashBuffer(buffer);
+  const existingCopy = findDownloadByHash(contentHash);
+  if (existingCopy && existingCopy.chatId === chatId) {
+    recordDownload({
+      messageId,
+      chatId,
+      sender,
+      originalName: fileName,
+      localPath: existingCopy.localPath,
+      mimeType,
+      size: buffer.length,
+      contentHash,
+      receivedAt: timestamp,
+    });
+    return {
+      localPath: existingCopy.localPath,
+      fileName: path.basename(existingCopy.localPath),
+      size: buffer.length,
+      existed: true,
+      duplicateOf: existingCopy.messageId,
+    };
+  }
+
+  const layout = renderDownloadPath(
+    getDownloadPathTemplate(),
+    getDownloadPathValues({
+      chatId,
+      customerName,
+      sender,
+      fileName,
+      timestamp,
+    }),
+    mimeType,
+  );
+  ensureDownloadsDir();
+  // Auto-download rules may send a file somewhere other than the storage root.
+  const target = resolveUniqueDownloadTarget(
+    layout.fileName,
+    mimeType,
+    path.join(rootFolder || DOWNLOADS_DIR, ...layout.folders),
+  );
+  // The same file from another chat still gets an entry in this customer's
+  // folder, but as a hard link to the existing copy where the drive allows it.
+  if (existingCopy) {
+    linkOrCopyFile(existingCopy.localPath, target.localPath);
+  } else {
+    fs.writeFileSync(target.localPath, buffer);
+  }
+  recordDownload({
+    messageId,
+    chatId,
+    sender,
+    originalName: fileName,
+    localPath: target.localPath,
+    mimeType,
+    size: buffer.length,
+    contentHash,
+    receivedAt: timestamp,
+  });
 
   return {
     localPath: target.localPath,
@@ -975,6 +1513,100 @@ function saveDownloadedMedia({ messageId, fileName, mimeType, base64Data }) {
   };
 }
 
+function linkOrCopyFile(sourcePath, targetPath) {
+  try {
+    fs.linkSync(sourcePath, targetPath);
+  } catch (err) {
+    // Links cannot cross drives, and FAT-formatted USB disks have none.
+    console.warn("[Download] Hard link failed, copying:", err.message);
+    fs.copyFileSync(sourcePath, targetPath);
+  }
+}
+
+// Files the app produces itself (combined images, edited PDFs) are saved next
+// to downloaded media and indexed under a synthetic message ID, so the chat's
+// file list, printing and sending treat them like any other downloaded file.
+const GENERATED_FILE_ID_PREFIX = "generated_";
+
+function isGeneratedFileId(messageId) {
+  return String(messageId || "").startsWith(GENERATED_FILE_ID_PREFIX);
+}
+
+function toGeneratedFileInfo(record) {
+  const size = fs.existsSync(record.localPath)
+    ? fs.statSync(record.localPath).size
+    : 0;
+  return {
+    messageId: record.messageId,
+    chatId: record.chatId || null,
+    fileName: path.basename(record.localPath),
+    mimeType: record.mimeType,
+    fileSize: size,
+    timestamp: Math.floor(record.downloadedAt / 1000),
+    type: "document",
+    fromMe: true,
+    sender: null,
+    isDownloaded: true,
+    localPath: record.localPath,
+    isUnread: false,
+    isGenerated: true,
+  };
+}
+
+function getGeneratedFiles(chatId) {
+  return getDownloadStore()
+    .prepare(
+      `SELECT * FROM downloads
+       WHERE generated = 1 AND chat_id = ?
+       ORDER BY downloaded_at DESC`,
+    )
+    .all(chatId)
+    .map(toDownloadRecord)
+    .filter((record) => fs.existsSync(record.localPath))
+    .map(toGeneratedFileInfo);
+}
+
+async function saveGeneratedFile({
+  chatId,
+  fileName,
+  mimeType,
+  data,
+  sources,
+}) {
+  // Saved beside the first source so it lands in the same customer's folder.
+  const target = resolveUniqueDownloadTarget(
+    fileName,
+    mimeType,
+    sources?.length ? path.dirname(sources[0]) : null,
+  );
+  await fs.promises.writeFile(target.localPath, data);
+
+  const record = recordDownload({
+    messageId: `${GENERATED_FILE_ID_PREFIX}${generateRecordId()}`,
+    chatId,
+    originalName: target.fileName,
+    localPath: target.localPath,
+    mimeType,
+    size: data.length,
+    contentHash: hashBuffer(data),
+    generated: true,
+    sources: (sources || []).map((filePath) => path.basename(filePath)),
+  });
+  return toGeneratedFileInfo(record);
+}
+
+function saveGeneratedPdf({ chatId, fileName, data, sources }) {
+  let pdfName = String(fileName || "").trim() || "document.pdf";
+  if (path.extname(pdfName).toLowerCase() !== ".pdf") pdfName += ".pdf";
+  return saveGeneratedFile({
+    chatId,
+    fileName: pdfName,
+    mimeType: "application/pdf",
+    data,
+    sources,
+  });
+}
+
 /**
  * Find an installed Chrome or Edge executable on this machine.
  * Puppeteer's bundled Chromium frequently crashes on fresh Windows installs
@@ -1052,14 +1684,20 @@ function cleanupGpuCache() {
 }
 
 // ── Electron Window ──────────────────────────────────────────────────────────
+const APP_TITLE = "WhatsApp Print Manager";
+// Started by the command-line tool (cli.js): the window stays hidden until the
+// tray icon is clicked, and the local API runs whatever the settings say.
+const isHeadless = process.argv.includes("--headless");
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
     height: 800,
     minWidth: 900,
     minHeight: 600,
-    title: "WhatsApp Print Manager",
+    title: APP_TITLE,
     icon: path.join(__dirname, "src", "icon.png"),
+    show: !isHeadless,
     webPreferences: {
       preload: path.join(__dirname, "preload.js"),
       contextIsolation: true,
@@ -1069,6 +1707,15 @@ function createWindow() {
 
   mainWindow.loadFile(path.join(__dirname, "src", "index.html"));
   mainWindow.setMenuBarVisibility(false);
+  // Hidden thumbnail windows would otherwise keep the app running.
+  mainWindow.on("closed", () => destroyThumbWorkers());
+  mainWindow.on("focus", () => clearUnseenFiles());
+  // In tray mode closing the window only hides it, so files keep arriving.
+  mainWindow.on("close", (e) => {
+    if (isQuitting || !getAppSettings().notifications.closeToTray) return;
+    e.preventDefault();
+    mainWindow.hide();
+  });
 
   // Open DevTools in dev mode
   if (process.argv.includes("--dev")) {
@@ -1076,6 +1723,157 @@ function createWindow() {
   }
 }
 
+// Everything the window is told about also goes to local API clients.
+function sendAppEvent(channel, data) {
+  mainWindow?.webContents.send(channel, data);
+  broadcastApiEvent(channel, data);
+}
+
+// ── Notifications & Tray ─────────────────────────────────────────────────────
+// Incoming documents and images raise a desktop notification while the window
+// is in the background, and count towards a badge that clears when the window
+// is focused. With tray mode on, closing the window hides it to the tray so
+// WhatsApp keeps receiving files.
+const NOTIFIABLE_MESSAGE_TYPES = new Set(["document", "image"]);
+const NOTIFICATION_PAGE_COUNT_TIMEOUT_MS = 5000;
+let tray = null;
+let isQuitting = false;
+let unseenFileCount = 0;
+let badgeOverlayIcon = null;
+// Electron drops a notification's click handler once the object is garbage
+// collected, so shown notifications are kept until they are dismissed.
+const activeNotifications = new Set();
+
+function showMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    createWindow();
+    return;
+  }
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+function getTrayIcon() {
+  const icon = nativeImage.createFromPath(
+    path.join(__dirname, "src", "icon.png"),
+  );
+  return process.platform === "darwin"
+    ? icon.resize({ width: 16, height: 16 })
+    : icon.resize({ width: 32, height: 32 });
+}
+
+function createTray() {
+  if (tray) return;
+  tray = new Tray(getTrayIcon());
+  tray.setToolTip(APP_TITLE);
+  tray.setContextMenu(
+    Menu.buildFromTemplate([
+      { label: "Open WhatsApp Print Manager", click: () => showMainWindow() },
+      { type: "separator" },
+      { label: "Quit", click: () => app.quit() },
+    ]),
+  );
+  tray.on("click", () => showMainWindow());
+}
+
+// Windows has no numeric taskbar badge, so a red dot is overlaid on the icon
+// and the count goes in the tooltip and window title instead.
+function getBadgeOverlayIcon() {
+  if (badgeOverlayIcon) return badgeOverlayIcon;
+  const size = 16;
+  const bitmap = Buffer.alloc(size * size * 4);
+  const radius = size / 2;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const distance = Math.hypot(x + 0.5 - radius, y + 0.5 - radius);
+      if (distance > radius) continue;
+      const offset = (y * size + x) * 4;
+      // BGRA
+      bitmap[offset] = 0x26;
+      bitmap[offset + 1] = 0x26;
+      bitmap[offset + 2] = 0xdc;
+      bitmap[offset + 3] = 0xff;
+    }
+  }
+  badgeOverlayIcon = nativeImage.createFromBitmap(bitmap, {
+    width: size,
+    height: size,
+  });
+  return badgeOverlayIcon;
+}
+
+function updateUnseenFileBadge() {
+  const label =
+    unseenFileCount > 0
+      ? `${unseenFileCount} new file${unseenFileCount !== 1 ? "s" : ""}`
+      : "";
+  app.setBadgeCount(unseenFileCount);
+  tray?.setToolTip(label ? `${APP_TITLE} — ${label}` : APP_TITLE);
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.setTitle(
+    unseenFileCount > 0 ? `(${unseenFileCount}) ${APP_TITLE}` : APP_TITLE,
+  );
+  if (process.platform === "win32") {
+    mainWindow.setOverlayIcon(
+      unseenFileCount > 0 ? getBadgeOverlayIcon() : null,
+      label,
+    );
+  }
+}
+
+function clearUnseenFiles() {
+  if (unseenFileCount === 0) return;
+  unseenFileCount = 0;
+  updateUnseenFileBadge();
+  mainWindow.flashFrame(false);
+}
+
+async function getNotificationPageCount(localPath) {
+  if (!localPath) return null;
+  const timeout = new Promise((resolve) =>
+    setTimeout(() => resolve(null), NOTIFICATION_PAGE_COUNT_TIMEOUT_MS),
+  );
+  return Promise.race([countFilePages(localPath), timeout]).catch(() => null);
+}
+
+// Called for every incoming message; only printable files in the background
+// are announced.
+async function notifyIncomingFile(messageData) {
+  if (!NOTIFIABLE_MESSAGE_TYPES.has(messageData.type)) return;
+  const win = mainWindow && !mainWindow.isDestroyed() ? mainWindow : null;
+  if (win?.isFocused()) return;
+
+  unseenFileCount++;
+  updateUnseenFileBadge();
+  win?.flashFrame(true);
+
+  const settings = getAppSettings().notifications;
+  if (!settings.enabled || !Notification.isSupported()) return;
+
+  const pageCount = await getNotificationPageCount(messageData.localPath);
+  const details = [messageData.fileName];
+  if (pageCount) details.push(`${pageCount} page${pageCount !== 1 ? "s" : ""}`);
+  const notification = new Notification({
+    title: messageData.chatName || messageData.sender || "New file",
+    body: details.join(" · "),
+    icon: path.join(__dirname, "src", "icon.png"),
+    silent: !settings.sound,
+  });
+  activeNotifications.add(notification);
+  const release = () => activeNotifications.delete(notification);
+  notification.on("close", release);
+  notification.on("click", () => {
+    release();
+    showMainWindow();
+    mainWindow?.webContents.send("notifications:open-chat", {
+      chatId: messageData.chatId,
+      chatName: messageData.chatName,
+    });
+  });
+  notification.show();
+}
+
 // ── WhatsApp Recovery ────────────────────────────────────────────────────────
 async function triggerWhatsAppRecovery() {
   if (isRecovering) {
@@ -1088,7 +1886,7 @@ async function triggerWhatsAppRecovery() {
 
   try {
     // Notify UI that recovery is starting
-    mainWindow?.webContents.send("whatsapp:status", "recovering");
+    sendAppEvent("whatsapp:status", "recovering");
 
     // Mark client as not ready
     isClientReady = false;
@@ -1115,7 +1913,7 @@ async function triggerWhatsAppRecovery() {
     initWhatsApp();
   } catch (err) {
     console.error("[Recovery] Error during recovery:", err);
-    mainWindow?.webContents.send("whatsapp:status", "recovery_failed");
+    sendAppEvent("whatsapp:status", "recovery_failed");
   } finally {
     isRecovering = false;
   }
@@ -1174,7 +1972,7 @@ function initWhatsApp(retryAttempt = 1) {
     console.log("[WhatsApp] QR code received");
     try {
       const qrDataURL = await QRCode.toDataURL(qr, { width: 280, margin: 2 });
-      mainWindow?.webContents.send("whatsapp:qr", qrDataURL);
+      sendAppEvent("whatsapp:qr", qrDataURL);
     } catch (err) {
       console.error("QR generation error:", err);
     }
@@ -1183,32 +1981,33 @@ function initWhatsApp(retryAttempt = 1) {
   // Authenticated
   whatsappClient.on("authenticated", () => {
     console.log("[WhatsApp] Authenticated");
-    mainWindow?.webContents.send("whatsapp:status", "authenticated");
+    sendAppEvent("whatsapp:status", "authenticated");
   });
 
   // Ready
   whatsappClient.on("ready", () => {
     console.log("[WhatsApp] Client is ready");
     isClientReady = true;
-    mainWindow?.webContents.send("whatsapp:status", "ready");
+    sendAppEvent("whatsapp:status", "ready");
+    resumeInterruptedBulkDownload();
   });
 
   // Loading screen progress
   whatsappClient.on("loading_screen", (percent, message) => {
-    mainWindow?.webContents.send("whatsapp:loading", { percent, message });
+    sendAppEvent("whatsapp:loading", { percent, message });
   });
 
   // Disconnected
   whatsappClient.on("disconnected", (reason) => {
     console.log("[WhatsApp] Disconnected:", reason);
     isClientReady = false;
-    mainWindow?.webContents.send("whatsapp:status", "disconnected");
+    sendAppEvent("whatsapp:status", "disconnected");
   });
 
   // Auth failure
   whatsappClient.on("auth_failure", (msg) => {
     console.error("[WhatsApp] Auth failure:", msg);
-    mainWindow?.webContents.send("whatsapp:status", "auth_failure");
+    sendAppEvent("whatsapp:status", "auth_failure");
   });
 
   // ── Real-time incoming message listener ──
@@ -1250,32 +2049,55 @@ function initWhatsApp(retryAttempt = 1) {
           messageData.fileName = `${msg.type || "file"}_${msg.timestamp}.${ext}`;
         }
 
+        const decision = getAutoDownloadDecision({
+          chatId: messageData.chatId,
+          chatName: messageData.chatName,
+          isGroup: chat.isGroup,
+          type: msg.type,
+          mimeType: messageData.mimeType,
+          size: messageData.fileSize,
+        });
+
         // Auto-download media without marking the chat as read
-        try {
-          const media = await msg.downloadMedia();
-          if (media) {
-            let finalFileName = messageData.fileName || media.filename;
-            if (!finalFileName) {
-              const ext2 = mime.extension(media.mimetype) || "bin";
-              finalFileName = `file_${Date.now()}.${ext2}`;
+        if (!decision.download) {
+          console.log(
+            `[WhatsApp] Not auto-downloading ${messageData.fileName}: ${decision.reason}`,
+          );
+        } else {
+          try {
+            const media = await msg.downloadMedia();
+            if (media) {
+              let finalFileName = messageData.fileName || media.filename;
+              if (!finalFileName) {
+                const ext2 = mime.extension(media.mimetype) || "bin";
+                finalFileName = `file_${Date.now()}.${ext2}`;
+              }
+              const saved = saveDownloadedMedia({
+                messageId: msg.id._serialized,
+                ...getMessageDownloadDetails(msg),
+                customerName: messageData.chatName,
+                fileName: finalFileName,
+                mimeType: media.mimetype,
+                base64Data: media.data,
+                rootFolder: decision.rule?.targetFolder,
+              });
+              messageData.autoDownloaded = true;
+              messageData.localPath = saved.localPath;
+              messageData.fileName = saved.fileName;
+              console.log(
+                `[WhatsApp] Auto-downloaded media: ${saved.fileName}`,
+              );
             }
-            const saved = saveDownloadedMedia({
-              messageId: msg.id._serialized,
-              fileName: finalFileName,
-              mimeType: media.mimetype,
-              base64Data: media.data,
-            });
-            messageData.autoDownloaded = true;
-            messageData.localPath = saved.localPath;
-            messageData.fileName = saved.fileName;
-            console.log(`[WhatsApp] Auto-downloaded media: ${saved.fileName}`);
+          } catch (dlErr) {
+            console.error("[WhatsApp] Auto-download failed:", dlErr.message);
           }
-        } catch (dlErr) {
-          console.error("[WhatsApp] Auto-download failed:", dlErr.message);
         }
       }
 
-      mainWindow?.webContents.send("whatsapp:new-message", messageData);
+      notifyIncomingFile(messageData).catch((err) =>
+        console.warn("[Notifications] Failed to notify:", err.message),
+      );
+      sendAppEvent("whatsapp:new-message", messageData);
     } catch (err) {
       console.error("[WhatsApp] Error processing incoming message:", err);
     }
@@ -1293,7 +2115,7 @@ function initWhatsApp(retryAttempt = 1) {
   // Fire status messages as each phase completes so the renderer can show
   // meaningful progress instead of a static "Initializing..." spinner.
   whatsappClient.once("qr", () => {
-    mainWindow?.webContents.send("whatsapp:status", "qr_ready");
+    sendAppEvent("whatsapp:status", "qr_ready");
   });
 
   // Initialize with error handling, timeout detection, and retry
@@ -1331,11 +2153,11 @@ function initWhatsApp(retryAttempt = 1) {
 
         cleanupStaleLockFiles();
         console.log(`[WhatsApp] Retrying (${reason})...`);
-        mainWindow?.webContents.send("whatsapp:status", "retrying");
+        sendAppEvent("whatsapp:status", "retrying");
         initWhatsApp(attempt + 1);
       } else {
-        mainWindow?.webContents.send("whatsapp:status", "error");
-        mainWindow?.webContents.send(
+        sendAppEvent("whatsapp:status", "error");
+        sendAppEvent(
           "whatsapp:error",
           "Failed to start WhatsApp after multiple attempts. Please restart the app.",
         );
@@ -1354,7 +2176,7 @@ function initWhatsApp(retryAttempt = 1) {
       }
     }, INIT_TIMEOUT_MS);
 
-    mainWindow?.webContents.send("whatsapp:status", "launching");
+    sendAppEvent("whatsapp:status", "launching");
     try {
       await whatsappClient.initialize();
       clearTimeout(initTimer);
@@ -1690,7 +2512,7 @@ async function fetchPrintableRawMessagesCompat(chatId, limit = 100) {
 }
 
 // Get all chats
-ipcMain.handle("get-unread-chats", async () => {
+async function getUnreadChats() {
   if (!isClientReady) return { error: "WhatsApp not ready" };
 
   try {
@@ -1800,7 +2622,9 @@ ipcMain.handle("get-unread-chats", async () => {
     console.error("Error getting unread chats:", err);
     return { error: err.message };
   }
-});
+}
+
+ipcMain.handle("get-unread-chats", async () => getUnreadChats());
 
 // Background enrichment: fetches contact info, profile pics, and last messages
 // in batches and streams updates to the renderer. Results are cached so
@@ -1870,13 +2694,13 @@ async function enrichChatsInBackground(allChats) {
     );
 
     // Send this batch to the renderer for live UI updates
-    mainWindow?.webContents.send("whatsapp:chat-enriched", enriched);
+    sendAppEvent("whatsapp:chat-enriched", enriched);
   }
   enrichmentInProgress = false;
 }
 
 // Get ALL chats (not just unread) — for the "All Chats" view
-ipcMain.handle("get-all-chats", async (event, { limit = 30 } = {}) => {
+async function getAllChats({ limit = 30 } = {}) {
   if (!isClientReady) return { error: "WhatsApp not ready" };
 
   try {
@@ -1911,14 +2735,18 @@ ipcMain.handle("get-all-chats", async (event, { limit = 30 } = {}) => {
   } catch (err) {
     return { error: err.message };
   }
-});
+}
+
+ipcMain.handle("get-all-chats", async (event, options) =>
+  getAllChats(options),
+);
 
 // Get messages with media for a specific chat.
 // Phase 1: reads WhatsApp Web's in-memory message store via pupPage.evaluate()
 //          — synchronous, completes in <100ms regardless of chat size.
 // Phase 2: background getChatById()+fetchMessages() fetches messages that are
 //          not yet loaded in the page memory (older history), streamed as batches.
-ipcMain.handle("get-chat-files", async (event, chatId, trackedUnreadIds) => {
+async function getChatFiles(chatId, trackedUnreadIds) {
   if (!isClientReady) return { error: "WhatsApp not ready" };
 
   try {
@@ -2121,7 +2949,7 @@ ipcMain.handle("get-chat-files", async (event, chatId, trackedUnreadIds) => {
         // 1. Send older in-memory files immediately (no network required)
         if (olderStoreFiles.length > 0) {
           for (let i = 0; i < olderStoreFiles.length; i += FILE_BATCH_SIZE) {
-            mainWindow?.webContents.send("whatsapp:chat-files-batch", {
+            sendAppEvent("whatsapp:chat-files-batch", {
               chatId,
               files: olderStoreFiles.slice(i, i + FILE_BATCH_SIZE),
               done: false,
@@ -2132,8 +2960,9 @@ ipcMain.handle("get-chat-files", async (event, chatId, trackedUnreadIds) => {
         // 2. Fetch from server to surface messages not yet loaded in memory
         let serverMessages = [];
         let serverRawMessages = [];
+        let chat = null;
         try {
-          const chat = await retryOnDetachedFrame(() =>
+          chat = await retryOnDetachedFrame(() =>
             whatsappClient.getChatById(chatId),
           );
           serverMessages = await retryOnDetachedFrame(() =>
@@ -2187,7 +3016,7 @@ ipcMain.handle("get-chat-files", async (event, chatId, trackedUnreadIds) => {
 
         if (newFiles.length > 0) {
           for (let i = 0; i < newFiles.length; i += FILE_BATCH_SIZE) {
-            mainWindow?.webContents.send("whatsapp:chat-files-batch", {
+            sendAppEvent("whatsapp:chat-files-batch", {
               chatId,
               files: newFiles.slice(i, i + FILE_BATCH_SIZE),
               done: i + FILE_BATCH_SIZE >= newFiles.length,
@@ -2195,7 +3024,7 @@ ipcMain.handle("get-chat-files", async (event, chatId, trackedUnreadIds) => {
           }
         } else {
           // Nothing new from server — signal done so loading indicator clears
-          mainWindow?.webContents.send("whatsapp:chat-files-batch", {
+          sendAppEvent("whatsapp:chat-files-batch", {
             chatId,
             files: [],
             done: true,
@@ -2220,14 +3049,33 @@ ipcMain.handle("get-chat-files", async (event, chatId, trackedUnreadIds) => {
 
             if (info.isDownloaded && wasInPhase1) {
               // Correct a Phase-1 false-negative (filename capitalisation mismatch)
-              mainWindow?.webContents.send("whatsapp:file-auto-downloaded", {
+              sendAppEvent("whatsapp:file-auto-downloaded", {
                 chatId,
                 messageId: info.messageId,
                 localPath: info.localPath,
                 fileName: info.fileName,
               });
-            } else if (!info.isDownloaded && unreadMsgIds.has(info.messageId)) {
-              // Unread file not on disk — download it now so it can be selected.
+            } else if (
+              msg.hasMedia &&
+              !info.isDownloaded &&
+              unreadMsgIds.has(info.messageId)
+            ) {
+              // Unread file not on disk — download it now so it can be
+              // selected, if the auto-download rules allow it.
+              const decision = getAutoDownloadDecision({
+                chatId,
+                chatName,
+                isGroup: chat?.isGroup,
+                type: info.type,
+                mimeType: info.mimeType,
+                size: info.fileSize,
+              });
+              if (!decision.download) {
+                console.log(
+                  `[Files] Not auto-downloading ${info.fileName}: ${decision.reason}`,
+                );
+                continue;
+              }
               try {
                 const media = await msg.downloadMedia();
                 if (!media) continue;
@@ -2242,11 +3090,14 @@ ipcMain.handle("get-chat-files", async (event, chatId, trackedUnreadIds) => {
                 }
                 const saved = saveDownloadedMedia({
                   messageId: msg.id._serialized,
+                  ...getMessageDownloadDetails(msg),
+                  customerName: chatName,
                   fileName: finalFileName,
                   mimeType: media.mimetype,
                   base64Data: media.data,
+                  rootFolder: decision.rule?.targetFolder,
                 });
-                mainWindow?.webContents.send("whatsapp:file-auto-downloaded", {
+                sendAppEvent("whatsapp:file-auto-downloaded", {
                   chatId,
                   messageId: msg.id._serialized,
                   localPath: saved.localPath,
@@ -2279,7 +3130,7 @@ ipcMain.handle("get-chat-files", async (event, chatId, trackedUnreadIds) => {
               const contact = await msg.getContact();
               const name =
                 contact.pushname || contact.name || contact.number || "Unknown";
-              mainWindow?.webContents.send("whatsapp:file-sender-resolved", {
+              sendAppEvent("whatsapp:file-sender-resolved", {
                 chatId,
                 messageId: msg.id._serialized,
                 sender: name,
@@ -2289,7 +3140,7 @@ ipcMain.handle("get-chat-files", async (event, chatId, trackedUnreadIds) => {
         }
       } catch (err) {
         console.error("[Files] Background task failed:", err.message);
-        mainWindow?.webContents.send("whatsapp:chat-files-batch", {
+        sendAppEvent("whatsapp:chat-files-batch", {
           chatId,
           files: [],
           done: true,
@@ -2313,72 +3164,14 @@ ipcMain.handle("get-chat-files", async (event, chatId, trackedUnreadIds) => {
     console.error("Error getting chat files:", err);
     return { error: err.message };
   }
-});
-
-// Download a specific media file
-ipcMain.handle(
-  "download-file",
-  async (event, { messageId, chatId, fileName }) => {
-    if (!isClientReady) return { error: "WhatsApp not ready" };
-
-    try {
-      const chat = await retryOnDetachedFrame(() =>
-        whatsappClient.getChatById(chatId),
-      );
-      const messages = await retryOnDetachedFrame(() =>
-        chat.fetchMessages({ limit: 100 }),
-      );
-      const msg = messages.find((m) => m.id._serialized === messageId);
-
-      if (!msg) return { error: "Message not found" };
-      if (!msg.hasMedia) return { error: "Message has no media" };
-
-      mainWindow?.webContents.send("download:progress", {
-        messageId,
-        status: "downloading",
-      });
-
-      const media = await msg.downloadMedia();
-      if (!media) return { error: "Failed to download media" };
-
-      // Determine filename
-      let finalFileName = fileName || media.filename;
-      if (!finalFileName) {
-        const ext = mime.extension(media.mimetype) || "bin";
-        finalFileName = `file_${Date.now()}.${ext}`;
-      }
-
-      const saved = saveDownloadedMedia({
-        messageId,
-        fileName: finalFileName,
-        mimeType: media.mimetype,
-        base64Data: media.data,
-      });
-
-      mainWindow?.webContents.send("download:progress", {
-        messageId,
-        status: "complete",
-      });
+}
 
-      return {
-        success: true,
-        localPath: saved.localPath,
-        fileName: saved.fileName,
-        size: saved.size,
-      };
-    } catch (err) {
-      console.error("Error downloading file:", err);
-      mainWindow?.webContents.send("download:progress", {
-        messageId,
-        status: "error",
-      });
-      return { error: err.message };
-    }
-  },
+ipcMain.handle("get-chat-files", async (event, chatId, trackedUnreadIds) =>
+  getChatFiles(chatId, trackedUnreadIds),
 );
 
-// Download ALL files from a chat
-ipcMain.handle("download-all-files", async (event, chatId) => {
+// Download a specific media file
+async function downloadChatFile({ messageId, chatId, fileName }) {
   if (!isClientReady) return { error: "WhatsApp not ready" };
 
   try {
@@ -2388,557 +3181,4273 @@ ipcMain.handle("download-all-files", async (event, chatId) => {
     const messages = await retryOnDetachedFrame(() =>
       chat.fetchMessages({ limit: 100 }),
     );
-    const mediaMessages = messages.filter((m) => m.hasMedia);
-
-    const results = [];
-    for (let i = 0; i < mediaMessages.length; i++) {
-      const msg = mediaMessages[i];
-      mainWindow?.webContents.send("download:bulk-progress", {
-        current: i + 1,
-        total: mediaMessages.length,
-        messageId: msg.id._serialized,
-      });
+    const msg = messages.find((m) => m.id._serialized === messageId);
 
-      try {
-        const media = await msg.downloadMedia();
-        if (!media) {
-          results.push({
-            messageId: msg.id._serialized,
-            error: "Failed to download",
-          });
-          continue;
-        }
+    if (!msg) return { error: "Message not found" };
+    if (!msg.hasMedia) return { error: "Message has no media" };
 
-        let finalFileName = media.filename;
-        if (!finalFileName) {
-          if (msg._data?.fileName) {
-            finalFileName = msg._data.fileName;
-          } else {
-            const ext = mime.extension(media.mimetype) || "bin";
-            finalFileName = `${msg.type || "file"}_${msg.timestamp}.${ext}`;
-          }
-        }
+    sendAppEvent("download:progress", {
+      messageId,
+      status: "downloading",
+    });
 
-        const saved = saveDownloadedMedia({
-          messageId: msg.id._serialized,
-          fileName: finalFileName,
-          mimeType: media.mimetype,
-          base64Data: media.data,
-        });
+    const media = await msg.downloadMedia();
+    if (!media) return { error: "Failed to download media" };
 
-        results.push({
-          messageId: msg.id._serialized,
-          success: true,
-          localPath: saved.localPath,
-          fileName: saved.fileName,
-          size: saved.size,
-        });
-      } catch (dlErr) {
-        results.push({ messageId: msg.id._serialized, error: dlErr.message });
-      }
+    // Determine filename
+    let finalFileName = fileName || media.filename;
+    if (!finalFileName) {
+      const ext = mime.extension(media.mimetype) || "bin";
+      finalFileName = `file_${Date.now()}.${ext}`;
     }
 
-    return { results };
-  } catch (err) {
-    console.error("Error downloading all files:", err);
-    return { error: err.message };
+    const saved = saveDownloadedMedia({
+      messageId,
+      ...getMessageDownloadDetails(msg),
+      customerName: chat.name,
+      fileName: finalFileName,
+      mimeType: media.mimetype,
+      base64Data: media.data,
+    });
+
+    sendAppEvent("download:progress", {
+      messageId,
+      status: "complete",
+    });
+
+    return {
+      success: true,
+      localPath: saved.localPath,
+      fileName: saved.fileName,
+      size: saved.size,
+    };
+  } catch (err) {
+    console.error("Error downloading file:", err);
+    sendAppEvent("download:progress", {
+      messageId,
+      status: "error",
+    });
+    return { error: err.message };
+  }
+}
+
+ipcMain.handle("download-file", async (event, options) =>
+  downloadChatFile(options),
+);
+
+// Download ALL files from a chat, through the bulk download engine
+ipcMain.handle("download-all-files", async (event, chatId) => {
+  return startBulkDownload({ chatId });
+});
+
+// ── Auto-download Rules ──────────────────────────────────────────────────────
+// Decides whether an incoming media message is downloaded straight away. With
+// no rules every file is downloaded, as before rules existed. Otherwise the
+// first enabled rule that matches wins and may name its own folder; a file no
+// rule matches is left for staff to download by hand.
+const AUTO_DOWNLOAD_CHAT_SCOPES = ["all", "individual", "groups", "selected"];
+const VOICE_NOTE_TYPES = new Set(["ptt", "audio"]);
+const BYTES_PER_MB = 1024 * 1024;
+
+function splitListSetting(value) {
+  const items = Array.isArray(value)
+    ? value
+    : String(value || "").split(/[,\n]/);
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function normalizeAutoDownloadRule(rule = {}) {
+  const targetFolder = String(rule.targetFolder || "").trim();
+  return {
+    name: String(rule.name || "").trim(),
+    enabled: rule.enabled !== false,
+    chatScope: AUTO_DOWNLOAD_CHAT_SCOPES.includes(rule.chatScope)
+      ? rule.chatScope
+      : "all",
+    chats: splitListSetting(rule.chats),
+    mimeTypes: splitListSetting(rule.mimeTypes).map((type) =>
+      type.toLowerCase(),
+    ),
+    maxSizeMb: Math.max(0, Number(rule.maxSizeMb) || 0),
+    skipStickers: Boolean(rule.skipStickers),
+    skipVoiceNotes: Boolean(rule.skipVoiceNotes),
+    businessHoursOnly: Boolean(rule.businessHoursOnly),
+    targetFolder: path.isAbsolute(targetFolder) ? targetFolder : "",
+  };
+}
+
+function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Windows that end before they start run overnight (e.g. 20:00–02:00).
+function isWithinBusinessHours({ start, end, days }, date = new Date()) {
+  if (Array.isArray(days) && !days.includes(date.getDay())) return false;
+  const startMinutes = parseClockTime(start);
+  const endMinutes = parseClockTime(end);
+  if (startMinutes === null || endMinutes === null) return true;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return startMinutes <= endMinutes
+    ? minutes >= startMinutes && minutes < endMinutes
+    : minutes >= startMinutes || minutes < endMinutes;
+}
+
+// "image/*" matches any image type.
+function matchesMimeType(mimeType, patterns) {
+  if (patterns.length === 0) return true;
+  const type = String(mimeType || "").toLowerCase();
+  return patterns.some((pattern) =>
+    pattern.endsWith("/*")
+      ? type.startsWith(pattern.slice(0, -1))
+      : type === pattern,
+  );
+}
+
+// Chats are listed by name, phone number or chat ID.
+function matchesChat(rule, { chatId, chatName, isGroup }) {
+  if (rule.chatScope === "individual") return !isGroup;
+  if (rule.chatScope === "groups") return !!isGroup;
+  if (rule.chatScope !== "selected") return true;
+
+  const number = String(chatId || "").split("@")[0];
+  const name = String(chatName || "").toLowerCase();
+  return rule.chats.some((entry) => {
+    const digits = entry.replace(/[^\d]/g, "");
+    return (
+      entry === chatId ||
+      (digits && digits === number) ||
+      entry.toLowerCase() === name
+    );
+  });
+}
+
+function getAutoDownloadRuleMismatch(rule, media, now) {
+  if (!matchesChat(rule, media)) return "chat";
+  if (rule.skipStickers && media.type === "sticker") return "sticker";
+  if (rule.skipVoiceNotes && VOICE_NOTE_TYPES.has(media.type)) {
+    return "voice note";
+  }
+  if (!matchesMimeType(media.mimeType, rule.mimeTypes)) return "file type";
+  if (rule.maxSizeMb > 0 && media.size > rule.maxSizeMb * BYTES_PER_MB) {
+    return "size";
+  }
+  if (
+    rule.businessHoursOnly &&
+    !isWithinBusinessHours(getAppSettings().autoDownload.businessHours, now)
+  ) {
+    return "business hours";
+  }
+  return null;
+}
+
+// Returns { download, rule, reason } for a message about to be downloaded.
+function getAutoDownloadDecision(media, now = new Date()) {
+  const settings = getAppSettings().autoDownload;
+  if (!settings.enabled) {
+    return { download: false, rule: null, reason: "auto-download is off" };
+  }
+
+  const rules = settings.rules
+    .map(normalizeAutoDownloadRule)
+    .filter((rule) => rule.enabled);
+  if (rules.length === 0) return { download: true, rule: null, reason: null };
+
+  const mismatches = [];
+  for (const rule of rules) {
+    const mismatch = getAutoDownloadRuleMismatch(rule, media, now);
+    if (!mismatch) return { download: true, rule, reason: null };
+    mismatches.push(`${rule.name || "rule"}: ${mismatch}`);
+  }
+  return {
+    download: false,
+    rule: null,
+    reason: `no rule matched (${mismatches.join("; ")})`,
+  };
+}
+
+// ── Bulk Download ────────────────────────────────────────────────────────────
+// Downloads every media file in a chat's history, optionally limited to a date
+// range. The chat is read in growing pages until the range is covered or a
+// cap on the messages scanned is reached, files already on disk are skipped,
+// and the rest are downloaded a few at a time with retries. The job is saved
+// in userData: after a restart or a lost connection it runs again once
+// WhatsApp is ready, skipping whatever already finished.
+const BULK_DOWNLOAD_FILE = "bulk-download.json";
+const BULK_DOWNLOAD_PAGE_SIZE = 100;
+// Each scan re-reads every message up to the limit through the browser, so a
+// busy chat without a start date stops here instead of loading its whole
+// history into memory.
+const BULK_DOWNLOAD_MAX_MESSAGES = 5000;
+const BULK_DOWNLOAD_DEFAULT_CONCURRENCY = 3;
+const BULK_DOWNLOAD_MAX_CONCURRENCY = 6;
+const BULK_DOWNLOAD_MAX_ATTEMPTS = 3;
+const BULK_DOWNLOAD_RETRY_DELAY_MS = 2000;
+const BULK_DOWNLOAD_RUNNING_STATUSES = new Set(["scanning", "downloading"]);
+let bulkDownloadLoaded = false;
+let bulkDownload = null; // the current or most recent job
+let bulkDownloadRunning = false;
+
+function getBulkDownloadPath() {
+  return getUserDataPath(BULK_DOWNLOAD_FILE);
+}
+
+function ensureBulkDownloadLoaded() {
+  if (bulkDownloadLoaded) return;
+  bulkDownloadLoaded = true;
+
+  try {
+    const filePath = getBulkDownloadPath();
+    if (!fs.existsSync(filePath)) return;
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (parsed && parsed.id && parsed.chatId) bulkDownload = parsed;
+  } catch (error) {
+    console.warn("[BulkDownload] Failed to load job:", error.message);
+  }
+}
+
+function persistBulkDownload() {
+  try {
+    fs.writeFileSync(
+      getBulkDownloadPath(),
+      JSON.stringify(bulkDownload, null, 2),
+    );
+  } catch (error) {
+    console.warn("[BulkDownload] Failed to persist job:", error.message);
+  }
+}
+
+function toBulkDownloadInfo(job) {
+  if (!job) return null;
+  return {
+    ...job,
+    failed: job.failed.slice(),
+    current: job.downloaded + job.skipped + job.failed.length,
+  };
+}
+
+function updateBulkDownload(changes, messageId = null) {
+  Object.assign(bulkDownload, changes, { updatedAt: Date.now() });
+  persistBulkDownload();
+  sendAppEvent("download:bulk-progress", {
+    ...toBulkDownloadInfo(bulkDownload),
+    messageId,
+  });
+}
+
+function isBulkDownloadActive(job) {
+  return (
+    !!job &&
+    bulkDownload === job &&
+    BULK_DOWNLOAD_RUNNING_STATUSES.has(job.status)
+  );
+}
+
+function isWithinDateRange(timestampMs, { from, to }) {
+  return (!from || timestampMs >= from) && (!to || timestampMs <= to);
+}
+
+function getMediaFileName(msg, media) {
+  const fileName =
+    media.filename || msg._data?.fileName || msg._data?.filename || null;
+  if (fileName) return fileName;
+  const ext = mime.extension(media.mimetype) || "bin";
+  return `${msg.type || "file"}_${msg.timestamp}.${ext}`;
+}
+
+// fetchMessages returns the newest `limit` messages, loading older ones from
+// the phone as needed, so the limit grows until the whole date range (or the
+// whole history) has been read, up to BULK_DOWNLOAD_MAX_MESSAGES. It also
+// stops once a larger limit brings in no older messages. Returns the media
+// messages in range and whether the cap cut the scan short.
+async function fetchChatMediaInRange(chat, job) {
+  let limit = BULK_DOWNLOAD_PAGE_SIZE;
+  let messages = [];
+  let limited = false;
+  while (isBulkDownloadActive(job)) {
+    const previousCount = messages.length;
+    messages = await retryOnDetachedFrame(() => chat.fetchMessages({ limit }));
+    const oldest = messages[0];
+    const reachedStart =
+      messages.length < limit ||
+      messages.length <= previousCount ||
+      (job.from && oldest && oldest.timestamp * 1000 < job.from);
+    if (reachedStart) break;
+    if (limit >= BULK_DOWNLOAD_MAX_MESSAGES) {
+      limited = true;
+      break;
+    }
+    limit = Math.min(limit * 2, BULK_DOWNLOAD_MAX_MESSAGES);
+  }
+  return {
+    messages: messages.filter(
+      (msg) => msg.hasMedia && isWithinDateRange(msg.timestamp * 1000, job),
+    ),
+    limited,
+  };
+}
+
+async function downloadBulkMessage(job, msg) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const media = await msg.downloadMedia();
+      if (!media) throw new Error("Media is no longer available");
+      return saveDownloadedMedia({
+        messageId: msg.id._serialized,
+        ...getMessageDownloadDetails(msg),
+        customerName: job.chatName,
+        fileName: getMediaFileName(msg, media),
+        mimeType: media.mimetype,
+        base64Data: media.data,
+      });
+    } catch (err) {
+      if (
+        attempt >= BULK_DOWNLOAD_MAX_ATTEMPTS ||
+        !isBulkDownloadActive(job) ||
+        !isClientReady
+      ) {
+        throw err;
+      }
+      await new Promise((resolve) =>
+        setTimeout(resolve, BULK_DOWNLOAD_RETRY_DELAY_MS * attempt),
+      );
+    }
+  }
+}
+
+async function runBulkDownload(job) {
+  if (bulkDownloadRunning) return;
+  bulkDownloadRunning = true;
+
+  try {
+    updateBulkDownload({ status: "scanning", error: null });
+    const chat = await retryOnDetachedFrame(() =>
+      whatsappClient.getChatById(job.chatId),
+    );
+    if (!job.chatName) job.chatName = chat.name || null;
+    const { messages, limited } = await fetchChatMediaInRange(chat, job);
+    if (!isBulkDownloadActive(job)) return;
+    if (limited) {
+      console.warn(
+        `[BulkDownload] Only the newest ${BULK_DOWNLOAD_MAX_MESSAGES} messages were scanned`,
+      );
+    }
+
+    const queue = messages.filter(
+      (msg) =>
+        !resolveDownloadedPath(msg.id._serialized, msg._data?.filename),
+    );
+    updateBulkDownload({
+      status: "downloading",
+      historyLimited: limited,
+      total: messages.length,
+      skipped: messages.length - queue.length,
+      downloaded: 0,
+      failed: [],
+    });
+
+    const worker = async () => {
+      while (queue.length > 0 && isBulkDownloadActive(job) && isClientReady) {
+        const msg = queue.shift();
+        const messageId = msg.id._serialized;
+        try {
+          const saved = await downloadBulkMessage(job, msg);
+          job.downloaded += 1;
+          sendAppEvent("whatsapp:file-auto-downloaded", {
+            chatId: job.chatId,
+            messageId,
+            localPath: saved.localPath,
+            fileName: saved.fileName,
+          });
+        } catch (err) {
+          job.failed.push({
+            messageId,
+            fileName: msg._data?.filename || null,
+            error: err.message,
+          });
+        }
+        updateBulkDownload({}, messageId);
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(job.concurrency, queue.length) }, worker),
+    );
+
+    // A lost connection leaves the job "downloading" so it resumes on ready.
+    if (isBulkDownloadActive(job) && isClientReady) {
+      updateBulkDownload({ status: "completed" });
+    }
+  } catch (err) {
+    if (isBulkDownloadActive(job) && isClientReady) {
+      console.error("[BulkDownload] Failed:", err);
+      updateBulkDownload({ status: "failed", error: err.message });
+    }
+  } finally {
+    bulkDownloadRunning = false;
+  }
+}
+
+function startBulkDownload({ chatId, chatName, from, to, concurrency } = {}) {
+  ensureBulkDownloadLoaded();
+  if (!isClientReady) return { error: "WhatsApp not ready" };
+  if (!chatId) return { error: "Choose a chat first" };
+  if (bulkDownloadRunning || isBulkDownloadActive(bulkDownload)) {
+    return {
+      error: `A bulk download for ${bulkDownload.chatName || "another chat"} is still running`,
+    };
+  }
+
+  const toTimestamp = (value) => (Number(value) > 0 ? Number(value) : null);
+  const range = { from: toTimestamp(from), to: toTimestamp(to) };
+  if (range.from && range.to && range.from > range.to) {
+    return { error: "The start date is after the end date" };
+  }
+
+  const requestedConcurrency =
+    Math.round(Number(concurrency)) || BULK_DOWNLOAD_DEFAULT_CONCURRENCY;
+  const now = Date.now();
+  bulkDownload = {
+    id: generateRecordId(),
+    chatId,
+    chatName: chatName || null,
+    ...range,
+    concurrency: Math.min(
+      BULK_DOWNLOAD_MAX_CONCURRENCY,
+      Math.max(1, requestedConcurrency),
+    ),
+    status: "scanning",
+    total: 0,
+    downloaded: 0,
+    skipped: 0,
+    failed: [],
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  runBulkDownload(bulkDownload);
+  return { success: true, job: toBulkDownloadInfo(bulkDownload) };
+}
+
+// Running downloads finish their current file and stop.
+function pauseBulkDownload() {
+  ensureBulkDownloadLoaded();
+  if (!isBulkDownloadActive(bulkDownload)) {
+    return { error: "No bulk download is running" };
+  }
+  updateBulkDownload({ status: "paused" });
+  return { success: true, job: toBulkDownloadInfo(bulkDownload) };
+}
+
+function resumeBulkDownload() {
+  ensureBulkDownloadLoaded();
+  if (!bulkDownload || !["paused", "failed"].includes(bulkDownload.status)) {
+    return { error: "No paused bulk download" };
+  }
+  if (!isClientReady) return { error: "WhatsApp not ready" };
+  if (bulkDownloadRunning) {
+    return { error: "Wait for the paused downloads to finish" };
+  }
+  runBulkDownload(bulkDownload);
+  return { success: true, job: toBulkDownloadInfo(bulkDownload) };
+}
+
+function cancelBulkDownload() {
+  ensureBulkDownloadLoaded();
+  const canCancel =
+    bulkDownload &&
+    (isBulkDownloadActive(bulkDownload) || bulkDownload.status === "paused");
+  if (!canCancel) return { error: "No bulk download to cancel" };
+  updateBulkDownload({ status: "cancelled" });
+  return { success: true, job: toBulkDownloadInfo(bulkDownload) };
+}
+
+// Picks up a job that was running when the app closed or WhatsApp
+// disconnected.
+function resumeInterruptedBulkDownload() {
+  ensureBulkDownloadLoaded();
+  if (isBulkDownloadActive(bulkDownload) && !bulkDownloadRunning) {
+    console.log(`[BulkDownload] Resuming ${bulkDownload.chatName || ""}`);
+    runBulkDownload(bulkDownload);
+  }
+}
+
+ipcMain.handle("start-bulk-download", async (event, options) => {
+  return startBulkDownload(options);
+});
+
+ipcMain.handle("pause-bulk-download", async () => pauseBulkDownload());
+
+ipcMain.handle("resume-bulk-download", async () => resumeBulkDownload());
+
+ipcMain.handle("cancel-bulk-download", async () => cancelBulkDownload());
+
+function getBulkDownload() {
+  ensureBulkDownloadLoaded();
+  return { job: toBulkDownloadInfo(bulkDownload) };
+}
+
+ipcMain.handle("get-bulk-download", async () => getBulkDownload());
+
+// ── App Settings ─────────────────────────────────────────────────────────────
+// Shop-level preferences stored in userData rather than the renderer's
+// localStorage, so main-process features can read them directly. Saved values
+// are merged over the defaults, which lets older settings files pick up new
+// options automatically.
+const APP_SETTINGS_FILE = "app-settings.json";
+const DEFAULT_APP_SETTINGS = {
+  currencySymbol: "",
+  readyMessage: {
+    enabled: false,
+    onOrderReady: true,
+    onPrintComplete: false,
+    template:
+      "Hi {customerName}, your order #{orderNumber} is ready for collection. Thank you!",
+    // Print batches outside an order have no order number or amount due.
+    batchTemplate:
+      "Hi {customerName}, your {fileCount} file(s) are printed and ready for collection. Thank you!",
+  },
+  // Rate card used by the price calculator. Page prices are per printed side.
+  pricing: {
+    pagePrices: {
+      A4: { mono: 0, color: 0 },
+      A3: { mono: 0, color: 0 },
+      Letter: { mono: 0, color: 0 },
+      Legal: { mono: 0, color: 0 },
+    },
+    duplexDiscountPercent: 0,
+    photoPrices: { "4x6": 0, "5x7": 0, A4: 0 },
+    bindingPrice: 0,
+    laminationPrice: 0,
+    minimumCharge: 0,
+  },
+  conversion: {
+    // Empty means "look in the usual install locations".
+    libreOfficePath: "",
+  },
+  downloads: {
+    // Empty means the OS Downloads folder.
+    rootPath: "",
+    // "/" separates folders; see getDownloadPathValues for the placeholders.
+    pathTemplate: "{date}/{customerName}_{number}/{time}_{originalName}",
+  },
+  // See the Auto-download Rules section. Rules are objects shaped like
+  // normalizeAutoDownloadRule's result; days are 0 (Sunday) to 6.
+  autoDownload: {
+    enabled: true,
+    businessHours: { start: "09:00", end: "18:00", days: [1, 2, 3, 4, 5, 6] },
+    rules: [],
+  },
+  // See the Printer Backends section. "auto" uses the Windows spooler on
+  // Windows and CUPS elsewhere.
+  printing: {
+    backend: "auto",
+  },
+  // Saved print panel choices, shaped like normalizePrintPreset's result.
+  printPresets: [],
+  // See the Notifications & Tray section.
+  notifications: {
+    enabled: true,
+    sound: true,
+    closeToTray: false,
+  },
+  // See the Local API section. The token is generated when the API is first
+  // turned on.
+  api: {
+    enabled: false,
+    port: 4848,
+    token: "",
+  },
+  // See the Storage Retention section. A limit of 0 turns that rule off.
+  retention: {
+    enabled: false,
+    action: "delete",
+    archivePath: "",
+    maxAgeDays: 0,
+    collectedOrderDays: 0,
+    quotaGb: 0,
+  },
+};
+let appSettingsLoaded = false;
+let appSettings = structuredClone(DEFAULT_APP_SETTINGS);
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Values whose type does not match the default are dropped; keys that have no
+// default (e.g. user-defined map entries) are kept as they are.
+function mergeSettings(defaults, saved) {
+  if (!isPlainObject(saved)) return structuredClone(defaults);
+
+  const merged = { ...structuredClone(saved) };
+  for (const [key, defaultValue] of Object.entries(defaults)) {
+    const value = saved[key];
+    if (isPlainObject(defaultValue)) {
+      merged[key] = mergeSettings(defaultValue, value);
+    } else if (
+      value === undefined ||
+      (defaultValue !== null &&
+        (Array.isArray(defaultValue)
+          ? !Array.isArray(value)
+          : typeof value !== typeof defaultValue))
+    ) {
+      merged[key] = structuredClone(defaultValue);
+    }
+  }
+  return merged;
+}
+
+function getAppSettingsPath() {
+  return getUserDataPath(APP_SETTINGS_FILE);
+}
+
+function ensureAppSettingsLoaded() {
+  if (appSettingsLoaded) return;
+  appSettingsLoaded = true;
+
+  try {
+    const filePath = getAppSettingsPath();
+    if (!fs.existsSync(filePath)) return;
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    appSettings = mergeSettings(DEFAULT_APP_SETTINGS, parsed);
+  } catch (error) {
+    console.warn("[Settings] Failed to load settings:", error.message);
+  }
+}
+
+function persistAppSettings() {
+  try {
+    fs.writeFileSync(
+      getAppSettingsPath(),
+      JSON.stringify(appSettings, null, 2),
+    );
+  } catch (error) {
+    console.warn("[Settings] Failed to persist settings:", error.message);
+  }
+}
+
+function getAppSettings() {
+  ensureAppSettingsLoaded();
+  return structuredClone(appSettings);
+}
+
+// Applies a partial settings object. Nested sections are merged, so callers
+// only need to send the fields they changed.
+function updateAppSettings(patch) {
+  ensureAppSettingsLoaded();
+  const applyPatch = (target, changes) => {
+    for (const [key, value] of Object.entries(changes || {})) {
+      if (isPlainObject(value) && isPlainObject(target[key])) {
+        applyPatch(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    }
+  };
+
+  const next = structuredClone(appSettings);
+  applyPatch(next, patch);
+  appSettings = mergeSettings(DEFAULT_APP_SETTINGS, next);
+  persistAppSettings();
+  const settings = getAppSettings();
+  mainWindow?.webContents.send("settings:updated", settings);
+  // Local API clients see every change except the API token itself.
+  broadcastApiEvent("settings:updated", {
+    ...settings,
+    api: { ...settings.api, token: null },
+  });
+  return getAppSettings();
+}
+
+ipcMain.handle("get-settings", async () => {
+  return { settings: getAppSettings() };
+});
+
+ipcMain.handle("update-settings", async (event, patch) => {
+  if (!isPlainObject(patch)) return { error: "Invalid settings" };
+  const rootPath = patch.downloads?.rootPath;
+  if (rootPath && !path.isAbsolute(String(rootPath).trim())) {
+    return { error: "Choose a full folder path for downloads" };
+  }
+  const archivePath = patch.retention?.archivePath;
+  if (archivePath && !path.isAbsolute(String(archivePath).trim())) {
+    return { error: "Choose a full folder path for the archive" };
+  }
+  const rules = patch.autoDownload?.rules;
+  if (rules !== undefined) {
+    if (!Array.isArray(rules)) return { error: "Invalid auto-download rules" };
+    const badRule = rules.find(
+      (rule) =>
+        rule?.targetFolder &&
+        !path.isAbsolute(String(rule.targetFolder).trim()),
+    );
+    if (badRule) {
+      return {
+        error: `Choose a full folder path for "${badRule.name || "rule"}"`,
+      };
+    }
+    patch.autoDownload.rules = rules.map(normalizeAutoDownloadRule);
+  }
+  const presets = patch.printPresets;
+  if (presets !== undefined) {
+    if (!Array.isArray(presets)) return { error: "Invalid print presets" };
+    patch.printPresets = presets.map(normalizePrintPreset);
+  }
+  const apiPort = patch.api?.port;
+  if (
+    apiPort !== undefined &&
+    !(Number.isInteger(apiPort) && apiPort >= 1024 && apiPort <= 65535)
+  ) {
+    return { error: "Choose an API port between 1024 and 65535" };
+  }
+  const settings = updateAppSettings(patch);
+  applyApiServerSettings();
+  return { success: true, settings };
+});
+
+ipcMain.handle("select-folder", async (event, { title, defaultPath } = {}) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: title || "Select folder",
+    defaultPath: defaultPath || undefined,
+    properties: ["openDirectory", "createDirectory"],
+  });
+
+  if (result.canceled || !result.filePaths.length) {
+    return { canceled: true };
+  }
+  return { folderPath: result.filePaths[0] };
+});
+
+// ── Print Queue ──────────────────────────────────────────────────────────────
+// Every file sent to a printer becomes a job with its own ID and status. Jobs
+// are persisted in userData so the counter can still see which customer's
+// files came out of the printer after the app restarts.
+const PRINT_QUEUE_FILE = "print-queue.json";
+const PRINT_JOB_FINAL_STATUSES = new Set(["printed", "failed", "cancelled"]);
+const MAX_FINISHED_PRINT_JOBS = 500;
+let printQueueLoaded = false;
+let printQueueBusy = false;
+const printJobs = [];
+const printJobWaiters = new Map();
+
+function getPrintQueuePath() {
+  return getUserDataPath(PRINT_QUEUE_FILE);
+}
+
+function ensurePrintQueueLoaded() {
+  if (printQueueLoaded) return;
+  printQueueLoaded = true;
+
+  try {
+    const filePath = getPrintQueuePath();
+    if (!fs.existsSync(filePath)) return;
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!Array.isArray(parsed)) return;
+
+    for (const job of parsed) {
+      if (!job || !job.id || !job.filePath) continue;
+      // A job that was spooling when the app closed may or may not have
+      // reached the printer — surface it instead of silently printing twice.
+      if (job.status === "spooling") {
+        job.status = "failed";
+        job.error = "Interrupted because the app was closed while printing";
+        job.updatedAt = Date.now();
+      }
+      printJobs.push(job);
+    }
+  } catch (error) {
+    console.warn("[PrintQueue] Failed to load queue:", error.message);
+  }
+}
+
+function persistPrintQueue() {
+  ensurePrintQueueLoaded();
+
+  // Keep every active job, but cap the history of finished ones.
+  const finished = printJobs.filter((job) =>
+    PRINT_JOB_FINAL_STATUSES.has(job.status),
+  );
+  if (finished.length > MAX_FINISHED_PRINT_JOBS) {
+    const dropIds = new Set(
+      finished
+        .sort((a, b) => (a.updatedAt || 0) - (b.updatedAt || 0))
+        .slice(0, finished.length - MAX_FINISHED_PRINT_JOBS)
+        .map((job) => job.id),
+    );
+    for (let i = printJobs.length - 1; i >= 0; i--) {
+      if (dropIds.has(printJobs[i].id)) printJobs.splice(i, 1);
+    }
+  }
+
+  try {
+    fs.writeFileSync(getPrintQueuePath(), JSON.stringify(printJobs, null, 2));
+  } catch (error) {
+    console.warn("[PrintQueue] Failed to persist queue:", error.message);
+  }
+}
+
+function getPrintJob(jobId) {
+  ensurePrintQueueLoaded();
+  return printJobs.find((job) => job.id === jobId) || null;
+}
+
+function updatePrintJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  persistPrintQueue();
+  sendAppEvent("print:job-updated", { ...job });
+
+  if (PRINT_JOB_FINAL_STATUSES.has(job.status)) {
+    const waiters = printJobWaiters.get(job.id) || [];
+    printJobWaiters.delete(job.id);
+    waiters.forEach((resolve) => resolve({ ...job }));
+  }
+}
+
+function enqueuePrintJob({
+  filePath,
+  printerName,
+  options,
+  chatId,
+  chatName,
+  messageId,
+  orderId,
+}) {
+  ensurePrintQueueLoaded();
+  const now = Date.now();
+  const job = {
+    id: generateRecordId(),
+    filePath,
+    fileName: path.basename(filePath),
+    printerName: printerName || null,
+    options: options || {},
+    chatId: chatId || null,
+    chatName: chatName || null,
+    messageId: messageId || null,
+    orderId: orderId || null,
+    status: "queued",
+    method: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  printJobs.push(job);
+  persistPrintQueue();
+  sendAppEvent("print:job-updated", { ...job });
+  processPrintQueue();
+  return job;
+}
+
+function waitForPrintJob(jobId) {
+  const job = getPrintJob(jobId);
+  if (!job || PRINT_JOB_FINAL_STATUSES.has(job.status)) {
+    return Promise.resolve(job ? { ...job } : null);
+  }
+  return new Promise((resolve) => {
+    if (!printJobWaiters.has(jobId)) printJobWaiters.set(jobId, []);
+    printJobWaiters.get(jobId).push(resolve);
+  });
+}
+
+async function processPrintQueue() {
+  if (printQueueBusy) return;
+  ensurePrintQueueLoaded();
+
+  const job = printJobs.find((j) => j.status === "queued");
+  if (!job) return;
+
+  printQueueBusy = true;
+  updatePrintJob(job, { status: "spooling", error: null });
+
+  try {
+    if (!fs.existsSync(job.filePath)) {
+      throw new Error("File not found");
+    }
+
+    const convertedPath = await resolvePrintablePath(job.filePath);
+    if (convertedPath !== job.filePath) {
+      updatePrintJob(job, { convertedPath });
+    }
+    const { printPath, options } = await imposeForPrinting(
+      job,
+      convertedPath,
+      normalizePrintOptions(job.options),
+    );
+    const method = job.printerName
+      ? await printFileToPrinter(printPath, job.printerName, options)
+      : await printFileWithSystemDialog(printPath, options);
+    updatePrintJob(job, { status: "printed", method });
+    recordFilePrinted(job.filePath);
+  } catch (err) {
+    // "Print cancelled" is not a real error — the user closed the dialog
+    if (err.message === "Print cancelled") {
+      updatePrintJob(job, { status: "cancelled" });
+    } else {
+      console.error(`[PrintQueue] Error printing ${job.filePath}:`, err);
+      updatePrintJob(job, { status: "failed", error: err.message });
+    }
+  }
+
+  printQueueBusy = false;
+  processPrintQueue();
+}
+
+function cancelPrintJob(jobId) {
+  const job = getPrintJob(jobId);
+  if (!job) return { error: "Print job not found" };
+  if (job.status === "spooling") {
+    return { error: "Job is already being sent to the printer" };
+  }
+  if (job.status !== "queued") {
+    return { error: "Only queued jobs can be cancelled" };
+  }
+  updatePrintJob(job, { status: "cancelled" });
+  return { success: true };
+}
+
+function retryPrintJob(jobId) {
+  const job = getPrintJob(jobId);
+  if (!job) return { error: "Print job not found" };
+  if (job.status !== "failed" && job.status !== "cancelled") {
+    return { error: "Only failed or cancelled jobs can be retried" };
+  }
+  updatePrintJob(job, { status: "queued", error: null, method: null });
+  processPrintQueue();
+  return { success: true };
+}
+
+function clearFinishedPrintJobs() {
+  ensurePrintQueueLoaded();
+  const before = printJobs.length;
+  for (let i = printJobs.length - 1; i >= 0; i--) {
+    if (PRINT_JOB_FINAL_STATUSES.has(printJobs[i].status)) {
+      printJobs.splice(i, 1);
+    }
+  }
+  persistPrintQueue();
+  return { success: true, removed: before - printJobs.length };
+}
+
+// ── Print Options ────────────────────────────────────────────────────────────
+// Structured options accepted by print-with-setup. They replace the per-batch
+// printui preferences dialog and are passed through to the printer backend
+// (see Printer Backends) or to Electron's print dialog.
+const PRINT_DUPLEX_MODES = new Set(["simplex", "long-edge", "short-edge"]);
+const PRINT_PAPER_SIZES = new Set([
+  "A3",
+  "A4",
+  "A5",
+  "A6",
+  "Letter",
+  "Legal",
+  "Tabloid",
+]);
+const PRINT_ORIENTATIONS = new Set(["portrait", "landscape"]);
+const PRINT_SCALE_MODES = new Set(["fit", "shrink", "noscale"]);
+// See the Imposition section.
+const PRINT_LAYOUTS = new Set([
+  "normal",
+  "2-up",
+  "4-up",
+  "9-up",
+  "booklet",
+  "poster",
+]);
+
+/**
+ * Parse a page range string such as "1-3, 5, 8-" into 1-based inclusive
+ * ranges. Returns null when the input is empty (meaning all pages).
+ */
+function parsePageRanges(text) {
+  const raw = String(text || "").trim();
+  if (!raw) return null;
+
+  const ranges = [];
+  for (const part of raw.split(",")) {
+    const token = part.trim();
+    if (!token) continue;
+    const match = token.match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+    if (!match || (!match[1] && !match[3])) {
+      throw new Error(`Invalid page range "${token}"`);
+    }
+    const from = match[1] ? Number(match[1]) : 1;
+    const to = match[2] ? (match[3] ? Number(match[3]) : Infinity) : from;
+    if (from < 1 || to < from) {
+      throw new Error(`Invalid page range "${token}"`);
+    }
+    ranges.push({ from, to });
+  }
+  return ranges.length ? ranges : null;
+}
+
+function normalizePrintOptions(rawOptions) {
+  const input = rawOptions || {};
+  const copies = Math.floor(Number(input.copies) || 1);
+  const pageRanges = String(input.pageRanges || "").trim();
+  // Validate early so a typo fails the request rather than every job.
+  parsePageRanges(pageRanges);
+
+  return {
+    copies: Math.min(999, Math.max(1, copies)),
+    pageRanges,
+    duplex: PRINT_DUPLEX_MODES.has(input.duplex) ? input.duplex : "simplex",
+    monochrome: Boolean(input.monochrome),
+    paperSize: PRINT_PAPER_SIZES.has(input.paperSize) ? input.paperSize : null,
+    orientation: PRINT_ORIENTATIONS.has(input.orientation)
+      ? input.orientation
+      : "portrait",
+    scale: PRINT_SCALE_MODES.has(input.scale) ? input.scale : "fit",
+    layout: PRINT_LAYOUTS.has(input.layout) ? input.layout : "normal",
+    posterTiles: POSTER_TILE_GRIDS[input.posterTiles]
+      ? input.posterTiles
+      : "2x2",
+  };
+}
+
+// A named set of print panel choices. fileTypes holds the renderer's file
+// types ("pdf", "image" or an extension such as "docx") the preset is picked
+// for automatically. Page ranges differ per job, so presets never keep them.
+function normalizePrintPreset(preset = {}) {
+  const { pageRanges, ...options } = normalizePrintOptions({
+    ...preset.options,
+    pageRanges: "",
+  });
+  const photoSize = String(preset.photoSize || "");
+  return {
+    id: String(preset.id || "") || generateRecordId(),
+    name: String(preset.name || "").trim() || "Preset",
+    fileTypes: splitListSetting(preset.fileTypes).map((type) =>
+      type.toLowerCase().replace(/^\./, ""),
+    ),
+    printerName: String(preset.printerName || "").trim(),
+    options,
+    photoSize: Object.hasOwn(getAppSettings().pricing.photoPrices, photoSize)
+      ? photoSize
+      : null,
+  };
+}
+
+function toPdfToPrinterOptions(printerName, options) {
+  const sides = {
+    simplex: "simplex",
+    "long-edge": "duplexlong",
+    "short-edge": "duplexshort",
+  };
+  const result = {
+    printer: printerName,
+    copies: options.copies,
+    side: sides[options.duplex],
+    monochrome: options.monochrome,
+    orientation: options.orientation,
+    scale: options.scale,
+  };
+  if (options.pageRanges) result.pages = options.pageRanges.replace(/\s+/g, "");
+  if (options.paperSize) result.paperSize = options.paperSize;
+  return result;
+}
+
+function toElectronPrintOptions(options) {
+  const duplexModes = {
+    simplex: "simplex",
+    "long-edge": "longEdge",
+    "short-edge": "shortEdge",
+  };
+  const result = {
+    copies: options.copies,
+    color: !options.monochrome,
+    landscape: options.orientation === "landscape",
+    duplexMode: duplexModes[options.duplex],
+  };
+  const ranges = parsePageRanges(options.pageRanges);
+  if (ranges) {
+    // Electron page ranges are 0-based and need a finite upper bound.
+    result.pageRanges = ranges.map(({ from, to }) => ({
+      from: from - 1,
+      to: Number.isFinite(to) ? to - 1 : 9998,
+    }));
+  }
+  if (options.paperSize) result.pageSize = options.paperSize;
+  return result;
+}
+
+function buildImagePrintHtml(fileUrl, scale) {
+  const imageCss = {
+    fit: "width: 100%; height: 100vh; object-fit: contain;",
+    shrink: "max-width: 100%; max-height: 100vh;",
+    noscale: "",
+  };
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+* { margin: 0; padding: 0; box-sizing: border-box; }
+html, body { width: 100%; background: white; }
+img { display: block; margin: 0 auto; ${imageCss[scale] || imageCss.fit} }
+@media print { img { page-break-inside: avoid; } }
+</style>
+</head>
+<body><img src="${fileUrl}"></body>
+</html>`;
+}
+
+/**
+ * Load a file into a hidden window and print it with Electron. Images are
+ * wrapped in an HTML page; other files are loaded directly.
+ */
+function printWithHiddenWindow(filePath, printOptions, scale) {
+  const { pathToFileURL } = require("url");
+  return new Promise((resolve, reject) => {
+    const fileUrl = pathToFileURL(filePath).href;
+    const isImage = isImageFilePath(filePath);
+
+    const printWin = new BrowserWindow({
+      show: false,
+      width: 800,
+      height: 1100,
+      webPreferences: {
+        contextIsolation: true,
+        nodeIntegration: false,
+      },
+    });
+
+    let tempHtmlPath = null;
+    const cleanup = () => {
+      if (tempHtmlPath) {
+        try {
+          fs.unlinkSync(tempHtmlPath);
+        } catch {}
+        tempHtmlPath = null;
+      }
+    };
+
+    const doPrint = () => {
+      // Delay lets the renderer finish painting before print is triggered,
+      // preventing blank pages on hidden windows.
+      setTimeout(() => {
+        printWin.webContents.print(printOptions, (success, errorType) => {
+          printWin.close();
+          cleanup();
+          if (success) resolve();
+          else reject(new Error(errorType || "Print cancelled"));
+        });
+      }, 500);
+    };
+
+    if (isImage) {
+      // Wrap image in a full HTML page so the renderer has proper content
+      // to paint. Loading a raw file:// image URL can produce a blank print
+      // because the browser's image-viewer wrapper is not fully rendered in
+      // a hidden window before print() is called.
+      tempHtmlPath = path.join(os.tmpdir(), `wpm-print-${Date.now()}.html`);
+      fs.writeFileSync(tempHtmlPath, buildImagePrintHtml(fileUrl, scale), "utf8");
+      printWin.loadFile(tempHtmlPath);
+    } else {
+      printWin.loadURL(fileUrl);
+    }
+
+    printWin.webContents.once("did-finish-load", doPrint);
+
+    printWin.webContents.once("did-fail-load", (_ev, code, desc) => {
+      printWin.close();
+      cleanup();
+      reject(new Error(desc || `Load failed (${code})`));
+    });
+  });
+}
+
+// Open Electron's system print dialog (Ctrl+Shift+P equivalent) for one file,
+// pre-filled with the requested options.
+async function printFileWithSystemDialog(filePath, options) {
+  await printWithHiddenWindow(
+    filePath,
+    { ...toElectronPrintOptions(options), silent: false },
+    options.scale,
+  );
+  return "system-print-dialog";
+}
+
+// Send one file straight to a named printer. Resolves with the method used.
+async function printFileToPrinter(filePath, printerName, options) {
+  if (
+    path.extname(filePath).toLowerCase() === ".pdf" ||
+    isImageFilePath(filePath)
+  ) {
+    return getPrinterBackend().printFile(filePath, printerName, options);
+  }
+
+  // For other file types (DOCX, PPTX, etc.), open with default app
+  shell.openPath(filePath);
+  return "default-app";
+}
+
+function toPrintResult(job) {
+  if (!job) return { error: "Print job not found" };
+  const base = { filePath: job.filePath, jobId: job.id, status: job.status };
+  if (job.status === "printed") {
+    return { ...base, success: true, method: job.method };
+  }
+  if (job.status === "cancelled") return { ...base, cancelled: true };
+  if (job.status === "failed") return { ...base, error: job.error };
+  return base;
+}
+
+// Queues files for printing with structured print options. Returns the jobs
+// at once, and `finished`, which settles with them once every job is done and
+// the order or ready message has been updated.
+function queuePrintJobs({
+  filePaths,
+  messageIds,
+  printerName,
+  options,
+  chatId,
+  chatName,
+  orderId,
+}) {
+  let printOptions;
+  try {
+    printOptions = normalizePrintOptions(options);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  // Without a printer each job opens Electron's system print dialog.
+  const jobs = (filePaths || []).map((filePath, index) =>
+    enqueuePrintJob({
+      filePath,
+      printerName,
+      options: printOptions,
+      chatId,
+      chatName,
+      messageId: Array.isArray(messageIds) ? messageIds[index] : null,
+      orderId,
+    }),
+  );
+  if (orderId && jobs.length > 0) markOrderPrinting(orderId);
+
+  const finished = Promise.all(
+    jobs.map((job) => waitForPrintJob(job.id)),
+  ).then((finishedJobs) => {
+    if (orderId) {
+      markOrderPrinted(orderId, finishedJobs);
+    } else {
+      maybeSendPrintBatchReadyMessage({
+        chatId,
+        chatName,
+        jobs: finishedJobs,
+      }).catch((err) => {
+        console.error("[ReadyMessage] Failed to send print message:", err);
+      });
+    }
+    return finishedJobs;
+  });
+  return { jobs, finished };
+}
+
+async function printWithSetup(request) {
+  const queued = queuePrintJobs(request);
+  if (queued.error) return { error: queued.error, results: [] };
+  const finishedJobs = await queued.finished;
+  return { results: finishedJobs.map(toPrintResult) };
+}
+
+ipcMain.handle("print-with-setup", async (event, request) =>
+  printWithSetup(request),
+);
+
+// Open the printer driver's Printing Preferences dialog on demand, for
+// settings that the structured options do not cover (trays, quality, etc.).
+ipcMain.handle("open-printer-preferences", async (event, printerName) => {
+  if (!printerName) return { error: "No printer selected" };
+  try {
+    return await getPrinterBackend().openPreferences(printerName);
+  } catch (error) {
+    console.error("[Print] Preferences dialog error:", error.message);
+    return { error: error.message };
+  }
+});
+
+// ── Printer Backends ─────────────────────────────────────────────────────────
+// Each backend lists printers, sends one file to a named printer and opens the
+// printer's own settings:
+//   listPrinters()                             -> [printer status, see below]
+//   printFile(filePath, printerName, options)  -> method name for the job
+//   openPreferences(printerName)               -> { success } or { error }
+// printFile only receives PDFs and images; other files never reach it. The
+// backend is picked from settings, or by platform when set to "auto".
+//
+// Each listed printer is
+//   { name, isDefault, state, errors, warnings, jobCount, supplies }
+// where state is "ready", "printing", "paused", "offline", "error" or
+// "unknown", errors and warnings are readable sentences, and supplies are
+// { name, level, color } with level a percentage or null when the driver
+// only reports "some left". Fields a driver does not expose stay empty.
+const PRINTER_COMMAND_TIMEOUT_MS = 30000;
+
+function runPrinterCommand(command, args) {
+  const { execFile } = require("child_process");
+  return new Promise((resolve, reject) => {
+    execFile(
+      command,
+      args,
+      { timeout: PRINTER_COMMAND_TIMEOUT_MS, windowsHide: true },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(
+            new Error(
+              error.code === "ENOENT"
+                ? `${command} was not found`
+                : String(stderr || error.message).trim(),
+            ),
+          );
+          return;
+        }
+        resolve(stdout);
+      },
+    );
+  });
+}
+
+// Win32_Printer has no supply levels, so Windows printers report none. Job
+// counts come from the spooler; a Win32_PrintJob name is "Printer, JobId".
+const WINDOWS_PRINTER_STATUS_SCRIPT = `
+$jobs = @(Get-CimInstance Win32_PrintJob | ForEach-Object {
+  $_.Name -replace ",\\s*\\d+$", ""
+})
+$printers = @(Get-CimInstance Win32_Printer | ForEach-Object {
+  $name = $_.Name
+  [pscustomobject]@{
+    Name = $name
+    Default = [bool]$_.Default
+    WorkOffline = [bool]$_.WorkOffline
+    PrinterStatus = [int]$_.PrinterStatus
+    ExtendedPrinterStatus = [int]$_.ExtendedPrinterStatus
+    DetectedErrorState = [int]$_.DetectedErrorState
+    JobCount = @($jobs | Where-Object { $_ -eq $name }).Count
+  }
+})
+ConvertTo-Json -Compress -InputObject $printers
+`;
+
+// DetectedErrorState values, split by whether the printer can still print.
+const WINDOWS_PRINTER_ERRORS = {
+  4: "Out of paper",
+  6: "Out of toner or ink",
+  7: "Door open",
+  8: "Paper jam",
+  10: "Service requested",
+  11: "Output tray full",
+};
+const WINDOWS_PRINTER_WARNINGS = { 3: "Low paper", 5: "Low toner or ink" };
+
+function toWindowsPrinterStatus(printer) {
+  const errorState = printer.DetectedErrorState;
+  const extended = printer.ExtendedPrinterStatus;
+  const errors = WINDOWS_PRINTER_ERRORS[errorState]
+    ? [WINDOWS_PRINTER_ERRORS[errorState]]
+    : [];
+  const warnings = WINDOWS_PRINTER_WARNINGS[errorState]
+    ? [WINDOWS_PRINTER_WARNINGS[errorState]]
+    : [];
+
+  let state = "ready";
+  if (
+    printer.WorkOffline ||
+    printer.PrinterStatus === 7 ||
+    extended === 7 ||
+    errorState === 9
+  ) {
+    state = "offline";
+  } else if (extended === 8) {
+    state = "paused";
+  } else if (errors.length > 0 || extended === 9) {
+    state = "error";
+  } else if (printer.PrinterStatus === 4 || extended === 4) {
+    state = "printing";
+  } else if (printer.PrinterStatus === 2 && extended === 2) {
+    state = "unknown";
+  }
+
+  return {
+    name: printer.Name,
+    isDefault: printer.Default,
+    state,
+    errors,
+    warnings,
+    jobCount: printer.JobCount || 0,
+    supplies: [],
+  };
+}
+
+const windowsPrinterBackend = {
+  name: "windows",
+
+  async listPrinters() {
+    const stdout = await runPrinterCommand("powershell.exe", [
+      "-NoProfile",
+      "-Command",
+      WINDOWS_PRINTER_STATUS_SCRIPT,
+    ]);
+    const printers = JSON.parse(stdout.trim() || "[]");
+    return printers.map(toWindowsPrinterStatus);
+  },
+
+  async printFile(filePath, printerName, options) {
+    if (path.extname(filePath).toLowerCase() === ".pdf") {
+      // Use pdf-to-printer (SumatraPDF) to print to the selected printer
+      const ptp = require("pdf-to-printer");
+      await ptp.print(filePath, toPdfToPrinterOptions(printerName, options));
+      return "pdf-to-printer";
+    }
+
+    // Print images silently through Chromium so copies, colour, duplex and
+    // paper size are honoured without opening the driver dialog.
+    await printWithHiddenWindow(
+      filePath,
+      {
+        ...toElectronPrintOptions(options),
+        silent: true,
+        deviceName: printerName,
+      },
+      options.scale,
+    );
+    return "electron-print";
+  },
+
+  async openPreferences(printerName) {
+    // printui /e opens "Printing Preferences" for the named printer and exits
+    // when the user closes the dialog (OK or Cancel).
+    await runPrinterCommand("printui.exe", ["/e", "/n", printerName]);
+    return { success: true };
+  },
+};
+
+const CUPS_SIDES = {
+  simplex: "one-sided",
+  "long-edge": "two-sided-long-edge",
+  "short-edge": "two-sided-short-edge",
+};
+const CUPS_SCALING = { fit: "fit", shrink: "auto", noscale: "none" };
+
+// Options for `lp`. Both the IPP attribute and the older PPD option are given
+// for colour, since drivers differ in which one they honour.
+function toCupsPrintArgs(filePath, printerName, options) {
+  const args = [
+    "-d",
+    printerName,
+    "-n",
+    String(options.copies),
+    "-t",
+    path.basename(filePath),
+    "-o",
+    `sides=${CUPS_SIDES[options.duplex]}`,
+    "-o",
+    `orientation-requested=${options.orientation === "landscape" ? 4 : 3}`,
+    "-o",
+    `print-scaling=${CUPS_SCALING[options.scale]}`,
+  ];
+  if (options.scale === "fit") args.push("-o", "fit-to-page");
+  if (options.monochrome) {
+    args.push("-o", "print-color-mode=monochrome", "-o", "ColorModel=Gray");
+  }
+  if (options.paperSize) args.push("-o", `media=${options.paperSize}`);
+  if (options.pageRanges) {
+    args.push("-o", `page-ranges=${options.pageRanges.replace(/\s+/g, "")}`);
+  }
+  // "--" keeps a file name starting with "-" from being read as an option.
+  args.push("--", filePath);
+  return args;
+}
+
+// printer-state-reasons keywords, without their -error/-warning/-report
+// suffix. Reasons not listed here are shown as they are.
+const CUPS_STATE_REASONS = {
+  "media-empty": "Out of paper",
+  "media-needed": "Out of paper",
+  "media-low": "Low paper",
+  "media-jam": "Paper jam",
+  "door-open": "Door open",
+  "cover-open": "Cover open",
+  "toner-empty": "Out of toner",
+  "toner-low": "Low toner",
+  "marker-supply-empty": "Out of ink or toner",
+  "marker-supply-low": "Low ink or toner",
+  "output-area-full": "Output tray full",
+  "input-tray-missing": "Paper tray missing",
+};
+const CUPS_OFFLINE_REASONS = ["offline", "connecting-to-device", "shutdown"];
+
+function describeCupsReason(reason) {
+  return (
+    CUPS_STATE_REASONS[reason] ||
+    reason.charAt(0).toUpperCase() + reason.slice(1).replace(/-/g, " ")
+  );
+}
+
+// Reads `lpstat -l -p`: a "printer NAME ..." line per printer, followed by
+// indented detail lines. A disabled printer's first detail line is the reason
+// it was stopped, and "Alerts:" holds its printer-state-reasons.
+function parseCupsPrinterStatus(stdout) {
+  const printers = [];
+  let current = null;
+  for (const line of stdout.split("\n")) {
+    const header = /^printer\s+(\S+)\s+(.*)$/.exec(line);
+    if (header) {
+      const [, name, rest] = header;
+      current = {
+        name,
+        state: /^disabled/.test(rest)
+          ? "paused"
+          : /now printing/.test(rest)
+            ? "printing"
+            : "ready",
+        errors: [],
+        warnings: [],
+        stopReason: null,
+        reasons: [],
+      };
+      printers.push(current);
+      continue;
+    }
+    if (!current || !/^\s/.test(line)) continue;
+    const detail = line.trim();
+    if (current.state === "paused" && current.stopReason === null) {
+      current.stopReason = detail;
+      continue;
+    }
+    const alerts = /^Alerts:\s*(.*)$/.exec(detail);
+    if (alerts) current.reasons = alerts[1].split(/\s+/).filter(Boolean);
+  }
+
+  return printers.map(({ stopReason, reasons, ...printer }) => {
+    for (const reason of reasons) {
+      const match = /^(.+?)(?:-(error|warning|report))?$/.exec(reason);
+      const [, keyword, severity] = match;
+      if (keyword === "none" || keyword === "paused") continue;
+      if (CUPS_OFFLINE_REASONS.includes(keyword)) {
+        printer.state = "offline";
+      } else if (severity === "error") {
+        printer.errors.push(describeCupsReason(keyword));
+      } else if (severity === "warning") {
+        printer.warnings.push(describeCupsReason(keyword));
+      }
+    }
+    // A stop reason other than "Paused" is usually CUPS giving up after a
+    // backend failure, which the user needs to see.
+    if (stopReason && !/^paused$/i.test(stopReason)) {
+      printer.errors.push(stopReason);
+    }
+    if (printer.state !== "offline" && printer.errors.length > 0) {
+      printer.state = "error";
+    }
+    return printer;
+  });
+}
+
+// `lpstat -o` prints one line per pending job, starting "PRINTER-JOBID".
+function countCupsJobs(stdout) {
+  const counts = {};
+  for (const line of stdout.split("\n")) {
+    const name = /^(\S+)-\d+\s/.exec(line)?.[1];
+    if (name) counts[name] = (counts[name] || 0) + 1;
+  }
+  return counts;
+}
+
+// Splits `lpoptions` output into option values. Values may be quoted and use
+// backslashes to escape spaces.
+function parseCupsOptions(stdout) {
+  const options = {};
+  const pattern = /(\S+?)=((?:'[^']*'|"[^"]*"|\\.|\S)*)/g;
+  let match;
+  while ((match = pattern.exec(stdout))) {
+    options[match[1]] = match[2]
+      .replace(/'([^']*)'|"([^"]*)"/g, (quoted, single, double) =>
+        single !== undefined ? single : double,
+      )
+      .replace(/\\(.)/g, "$1");
+  }
+  return options;
+}
+
+// Supply levels change slowly, and the print panel polls the printer list
+// while it is open, so each printer's levels are read at most once a minute.
+const CUPS_SUPPLIES_CACHE_MS = 60000;
+const cupsSuppliesCache = new Map(); // printer name → { at, supplies }
+
+async function getCachedCupsSupplies(printerName) {
+  const cached = cupsSuppliesCache.get(printerName);
+  if (cached && Date.now() - cached.at < CUPS_SUPPLIES_CACHE_MS) {
+    return cached.supplies;
+  }
+  const supplies = await getCupsSupplies(printerName);
+  cupsSuppliesCache.set(printerName, { at: Date.now(), supplies });
+  return supplies;
+}
+
+// Supply levels come from marker-* attributes that IPP drivers fill in. CUPS
+// uses negative levels for "unknown" (-1, -2) and "some left" (-3).
+async function getCupsSupplies(printerName) {
+  let options;
+  try {
+    options = parseCupsOptions(
+      await runPrinterCommand("lpoptions", ["-p", printerName]),
+    );
+  } catch (err) {
+    return [];
+  }
+  if (!options["marker-names"]) return [];
+  const names = options["marker-names"].split(",");
+  const levels = (options["marker-levels"] || "").split(",");
+  const colors = (options["marker-colors"] || "").split(",");
+  return names
+    .map((name, index) => ({
+      name: name.trim(),
+      level: Number(levels[index]),
+      color: colors[index] && colors[index] !== "none" ? colors[index] : null,
+    }))
+    .filter((supply) => supply.name && ![-1, -2].includes(supply.level))
+    .map((supply) => ({
+      ...supply,
+      level: supply.level >= 0 ? supply.level : null,
+    }));
+}
+
+const cupsPrinterBackend = {
+  name: "cups",
+
+  // The default printer and job counts are extras; a CUPS without them still
+  // lists its printers. lpstat fails rather than print nothing when no
+  // printer has been added.
+  async listPrinters() {
+    const optional = (args) =>
+      runPrinterCommand("lpstat", args).catch(() => "");
+    const [printers, defaultOutput, jobsOutput] = await Promise.all([
+      runPrinterCommand("lpstat", ["-l", "-p"])
+        .catch((err) => {
+          if (/no destinations/i.test(err.message)) return "";
+          throw err;
+        })
+        .then(parseCupsPrinterStatus),
+      optional(["-d"]),
+      optional(["-o"]),
+    ]);
+    const defaultName = /destination:\s*(\S+)/.exec(defaultOutput)?.[1];
+    const jobCounts = countCupsJobs(jobsOutput);
+
+    return Promise.all(
+      printers.map(async (printer) => ({
+        ...printer,
+        isDefault: printer.name === defaultName,
+        jobCount: jobCounts[printer.name] || 0,
+        supplies: await getCachedCupsSupplies(printer.name),
+      })),
+    );
+  },
+
+  // CUPS filters turn both PDFs and images into print data.
+  async printFile(filePath, printerName, options) {
+    await runPrinterCommand(
+      "lp",
+      toCupsPrintArgs(filePath, printerName, options),
+    );
+    return "cups";
+  },
+
+  // Printer options live in the CUPS web interface.
+  async openPreferences(printerName) {
+    await shell.openExternal(
+      `http://localhost:631/printers/${encodeURIComponent(printerName)}`,
+    );
+    return { success: true };
+  },
+};
+
+const PRINTER_BACKENDS = {
+  windows: windowsPrinterBackend,
+  cups: cupsPrinterBackend,
+};
+
+function getPrinterBackend() {
+  const configured = getAppSettings().printing.backend;
+  if (PRINTER_BACKENDS[configured]) return PRINTER_BACKENDS[configured];
+  return process.platform === "win32"
+    ? windowsPrinterBackend
+    : cupsPrinterBackend;
+}
+
+// ── Print Queue IPC ──
+function getPrintJobs() {
+  ensurePrintQueueLoaded();
+  return {
+    jobs: [...printJobs]
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+      .map((job) => ({ ...job })),
+  };
+}
+
+ipcMain.handle("get-print-jobs", async () => getPrintJobs());
+
+ipcMain.handle("cancel-print-job", async (event, jobId) => {
+  return cancelPrintJob(jobId);
+});
+
+ipcMain.handle("retry-print-job", async (event, jobId) => {
+  return retryPrintJob(jobId);
+});
+
+ipcMain.handle("clear-finished-print-jobs", async () => {
+  return clearFinishedPrintJobs();
+});
+
+// Get available printers
+async function getPrinters() {
+  try {
+    return { printers: await getPrinterBackend().listPrinters() };
+  } catch (err) {
+    return { error: err.message, printers: [] };
+  }
+}
+
+ipcMain.handle("get-printers", async () => getPrinters());
+
+// Open downloads folder
+ipcMain.handle("open-downloads-folder", async () => {
+  ensureDownloadsDir();
+  shell.openPath(DOWNLOADS_DIR);
+  return { success: true };
+});
+
+// Open a specific file
+ipcMain.handle("open-file", async (event, filePath) => {
+  if (fs.existsSync(filePath)) {
+    shell.openPath(filePath);
+    return { success: true };
+  }
+  return { error: "File not found" };
+});
+
+// Open Windows "Open With" dialog for a single file
+ipcMain.handle("open-with-dialog", async (event, filePath) => {
+  try {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return { error: "File not found" };
+    }
+    await launchWindowsOpenWithDialog(filePath);
+    return { success: true };
+  } catch (error) {
+    return { error: error.message || "Failed to open dialog" };
+  }
+});
+
+ipcMain.handle("get-open-with-apps", async (event, filePath) => {
+  try {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return { error: "File not found", apps: [] };
+    }
+
+    const apps = await listOpenWithApps(filePath);
+    cleanupOpenWithSessions();
+
+    const requestId =
+      typeof crypto.randomUUID === "function"
+        ? crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    const commandMap = new Map(
+      apps
+        .filter(
+          (a) =>
+            a.id !== "__default__" &&
+            a.id !== "__windows_open_with__" &&
+            a.id !== WINDOWS_FILE_EXPLORER_APP_ID &&
+            a.command,
+        )
+        .map((a) => [a.id, a.command]),
+    );
+    openWithSessions.set(requestId, { createdAt: Date.now(), commandMap });
+
+    return {
+      requestId,
+      apps: apps.map((a) => ({ id: a.id, name: a.name })),
+    };
+  } catch (error) {
+    return { error: error.message || "Failed to get app list", apps: [] };
+  }
+});
+
+ipcMain.handle("sync-explorer-selection-folder", async (event, filePaths) => {
+  return syncExplorerSelectionFolder(filePaths);
+});
+
+ipcMain.handle("open-files-with-app", async (event, payload) => {
+  try {
+    const body = payload || {};
+    const requestId = body.requestId;
+    const appId = body.appId;
+    const filePaths = Array.isArray(body.filePaths) ? body.filePaths : [];
+    const existingFilePaths = filePaths.filter((fp) => fp && fs.existsSync(fp));
+    const allImages = existingFilePaths.every((fp) => isImageFilePath(fp));
+
+    if (!existingFilePaths.length) {
+      return { error: "No valid files selected" };
+    }
+
+    if (appId === "__paint__") {
+      // Open files in Paint - Paint only supports one file at a time
+      const results = [];
+      for (const filePath of existingFilePaths) {
+        try {
+          const { spawn } = require("child_process");
+          const child = spawn("mspaint.exe", [filePath], {
+            detached: true,
+            stdio: "ignore",
+          });
+          child.unref();
+          results.push({ filePath, success: true });
+          // Small delay between instances to ensure proper launching
+          if (existingFilePaths.length > 1) {
+            await new Promise((resolve) => setTimeout(resolve, 150));
+          }
+        } catch (error) {
+          results.push({ filePath, error: error.message });
+        }
+      }
+      return { success: results.some((r) => r.success), results };
+    }
+
+    if (appId === "__print_pictures__") {
+      return await openPrintPicturesDialog(existingFilePaths);
+    }
+
+    if (appId === "__windows_photos__") {
+      return await openWithWindowsPhotos(existingFilePaths);
+    }
+
+    if (appId === WINDOWS_FILE_EXPLORER_APP_ID) {
+      return await openExplorerSelectionFolder(existingFilePaths);
+    }
+
+    if (!appId || appId === "__default__") {
+      if (allImages) {
+        return await openPrintPicturesDialog(existingFilePaths);
+      }
+      for (const filePath of existingFilePaths) {
+        await shell.openPath(filePath);
+      }
+      return { success: true };
+    }
+
+    if (appId === "__windows_open_with__") {
+      const results = [];
+      for (const filePath of existingFilePaths) {
+        try {
+          await launchWindowsOpenWithDialog(filePath);
+          results.push({ filePath, success: true });
+        } catch (error) {
+          results.push({ filePath, error: error.message || "Failed to open" });
+        }
+      }
+      return { success: results.some((r) => r.success), results };
+    }
+
+    cleanupOpenWithSessions();
+    const session = openWithSessions.get(requestId);
+    if (!session || !session.commandMap || !session.commandMap.has(appId)) {
+      return {
+        error: "App selection expired. Please open the app menu again.",
+      };
+    }
+
+    const commandTemplate = session.commandMap.get(appId);
+    try {
+      // Launch once with all selected files so compatible apps can open tabs
+      // in a single window instead of spawning one window per file.
+      await launchWithCommandTemplate(commandTemplate, existingFilePaths);
+      return {
+        success: true,
+        results: existingFilePaths.map((filePath) => ({
+          filePath,
+          success: true,
+        })),
+      };
+    } catch (error) {
+      return {
+        error: error.message || "Failed to open",
+        results: existingFilePaths.map((filePath) => ({
+          filePath,
+          error: error.message || "Failed to open",
+        })),
+      };
+    }
+  } catch (error) {
+    return { error: error.message || "Failed to open files" };
+  }
+});
+
+// Open multiple images in the Windows "Print Pictures" dialog
+ipcMain.handle("open-print-pictures", async (event, filePaths) => {
+  return await openPrintPicturesDialog(filePaths);
+});
+
+// Delete downloaded files + optionally delete from WhatsApp chat
+ipcMain.handle(
+  "delete-files",
+  async (event, { filePaths, messageIds, chatId }) => {
+    const results = [];
+
+    // 1. Delete local files from disk. Resends in one chat share a file, which
+    // is kept until the last message using it is deleted.
+    for (const [index, filePath] of filePaths.entries()) {
+      const messageId = Array.isArray(messageIds) ? messageIds[index] : null;
+      try {
+        if (messageId && isDownloadPathShared(filePath, messageId)) {
+          removeIndexedDownloadPath(messageId);
+          results.push({ filePath, success: true, kept: true });
+        } else if (fs.existsSync(filePath)) {
+          await removeThumbnailFor(filePath);
+          fs.unlinkSync(filePath);
+          if (messageId) removeIndexedDownloadPath(messageId);
+          results.push({ filePath, success: true });
+        } else {
+          results.push({ filePath, error: "File not found on disk" });
+        }
+      } catch (err) {
+        results.push({ filePath, error: err.message });
+      }
+    }
+
+    // 2. Delete messages from WhatsApp chat (generated files have none)
+    const waResults = [];
+    const chatMessageIds = (messageIds || []).filter(
+      (msgId) => msgId && !isGeneratedFileId(msgId),
+    );
+    if (isClientReady && chatId && chatMessageIds.length > 0) {
+      try {
+        const chat = await retryOnDetachedFrame(() =>
+          whatsappClient.getChatById(chatId),
+        );
+        const messages = await retryOnDetachedFrame(() =>
+          chat.fetchMessages({ limit: 100 }),
+        );
+
+        for (const msgId of chatMessageIds) {
+          try {
+            const msg = messages.find((m) => m.id._serialized === msgId);
+            if (msg) {
+              // delete(true) = "delete for everyone" if recent enough, otherwise "delete for me"
+              await msg.delete(true);
+              waResults.push({ messageId: msgId, success: true });
+            } else {
+              waResults.push({
+                messageId: msgId,
+                error: "Message not found in chat",
+              });
+            }
+          } catch (msgErr) {
+            waResults.push({ messageId: msgId, error: msgErr.message });
+          }
+        }
+      } catch (chatErr) {
+        console.error("Error deleting WhatsApp messages:", chatErr);
+        waResults.push({ error: chatErr.message });
+      }
+    }
+
+    return { results, waResults };
+  },
+);
+
+// (Printer selection is now handled by the OS print dialog – see print-with-dialog handler)
+
+// Mark chat as read
+ipcMain.handle("mark-chat-read", async (event, chatId) => {
+  if (!isClientReady) return { error: "WhatsApp not ready" };
+  try {
+    const chat = await retryOnDetachedFrame(() =>
+      whatsappClient.getChatById(chatId),
+    );
+    await retryOnDetachedFrame(() => chat.sendSeen());
+    return { success: true };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+// ── Document Conversion ──────────────────────────────────────────────────────
+// Office and ODF documents are converted to PDF by a locally installed
+// LibreOffice running headless, so they can be printed, counted and previewed
+// like any other PDF. Converted files are cached by content hash.
+const OFFICE_EXTENSIONS = new Set([
+  ".doc",
+  ".docx",
+  ".docm",
+  ".dot",
+  ".dotx",
+  ".rtf",
+  ".odt",
+  ".ott",
+  ".xls",
+  ".xlsx",
+  ".xlsm",
+  ".ods",
+  ".ots",
+  ".ppt",
+  ".pptx",
+  ".pps",
+  ".ppsx",
+  ".odp",
+  ".otp",
+  ".odg",
+]);
+const CONVERSION_TIMEOUT_MS = 120000;
+let conversionChain = Promise.resolve();
+const conversionsInFlight = new Map(); // content hash → Promise<pdfPath>
+
+function isOfficeFilePath(filePath) {
+  return OFFICE_EXTENSIONS.has(path.extname(filePath || "").toLowerCase());
+}
+
+function findLibreOffice() {
+  const { libreOfficePath } = getAppSettings().conversion;
+  if (libreOfficePath) {
+    return fs.existsSync(libreOfficePath) ? libreOfficePath : null;
+  }
+
+  let candidates;
+  if (process.platform === "win32") {
+    candidates = [
+      process.env.ProgramFiles || "C:\\Program Files",
+      process.env["ProgramFiles(x86)"] || "C:\\Program Files (x86)",
+    ].map((dir) => path.join(dir, "LibreOffice", "program", "soffice.exe"));
+  } else if (process.platform === "darwin") {
+    candidates = ["/Applications/LibreOffice.app/Contents/MacOS/soffice"];
+  } else {
+    candidates = [
+      "/usr/bin/soffice",
+      "/usr/bin/libreoffice",
+      "/usr/local/bin/soffice",
+      "/opt/libreoffice/program/soffice",
+      "/snap/bin/libreoffice",
+    ];
+  }
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+function hashFileContents(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+function ensureConvertedDir() {
+  const convertedDir = getUserDataPath("converted");
+  if (!fs.existsSync(convertedDir)) {
+    fs.mkdirSync(convertedDir, { recursive: true });
+  }
+  return convertedDir;
+}
+
+function runLibreOfficeConversion(sofficePath, filePath, outDir) {
+  const { execFile } = require("child_process");
+  const { pathToFileURL } = require("url");
+  // A private profile keeps conversions working while staff have LibreOffice
+  // open, and avoids first-run dialogs.
+  const profileUrl = pathToFileURL(getUserDataPath("libreoffice-profile")).href;
+  const args = [
+    `-env:UserInstallation=${profileUrl}`,
+    "--headless",
+    "--norestore",
+    "--nologo",
+    "--convert-to",
+    "pdf",
+    "--outdir",
+    outDir,
+    filePath,
+  ];
+
+  return new Promise((resolve, reject) => {
+    execFile(
+      sofficePath,
+      args,
+      { timeout: CONVERSION_TIMEOUT_MS, windowsHide: true },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(
+            new Error(
+              error.killed
+                ? "LibreOffice conversion timed out"
+                : String(stderr || error.message).trim(),
+            ),
+          );
+          return;
+        }
+        resolve();
+      },
+    );
+  });
+}
+
+async function convertOfficeToPdf(filePath) {
+  const sofficePath = findLibreOffice();
+  if (!sofficePath) {
+    const error = new Error(
+      "LibreOffice was not found. Install it or set its path in Settings.",
+    );
+    error.code = "LIBREOFFICE_NOT_FOUND";
+    throw error;
+  }
+
+  const hash = await hashFileContents(filePath);
+  const targetPath = path.join(ensureConvertedDir(), `${hash}.pdf`);
+  if (fs.existsSync(targetPath)) return targetPath;
+  if (conversionsInFlight.has(hash)) return conversionsInFlight.get(hash);
+
+  // One LibreOffice process at a time: it refuses to share a profile.
+  const task = conversionChain
+    .then(async () => {
+      const workDir = await fs.promises.mkdtemp(
+        path.join(os.tmpdir(), "wpm-convert-"),
+      );
+      try {
+        await runLibreOfficeConversion(sofficePath, filePath, workDir);
+        const outputPath = path.join(
+          workDir,
+          `${path.parse(filePath).name}.pdf`,
+        );
+        if (!fs.existsSync(outputPath)) {
+          throw new Error("LibreOffice did not produce a PDF");
+        }
+        await fs.promises.copyFile(outputPath, targetPath);
+        return targetPath;
+      } finally {
+        fs.promises
+          .rm(workDir, { recursive: true, force: true })
+          .catch(() => {});
+      }
+    })
+    .finally(() => conversionsInFlight.delete(hash));
+
+  conversionChain = task.catch(() => {});
+  conversionsInFlight.set(hash, task);
+  return task;
+}
+
+// Office documents print from their converted PDF. Without LibreOffice they
+// fall back to the default application, as they did before conversion.
+async function resolvePrintablePath(filePath) {
+  if (!isOfficeFilePath(filePath)) return filePath;
+  try {
+    return await convertOfficeToPdf(filePath);
+  } catch (err) {
+    if (err.code === "LIBREOFFICE_NOT_FOUND") return filePath;
+    throw err;
+  }
+}
+
+ipcMain.handle("get-conversion-status", async () => {
+  const sofficePath = findLibreOffice();
+  return { available: !!sofficePath, path: sofficePath };
+});
+
+// ── File Metadata ────────────────────────────────────────────────────────────
+// Page count, page sizes, orientation, colour and encryption for downloaded
+// PDFs and images. Results are cached in userData next to the download index
+// and invalidated when a file's size or modification time changes.
+//
+// Colour detection is a heuristic: PDF colour operators are checked exactly,
+// but embedded RGB/CMYK images count as colour without inspecting pixels.
+const FILE_METADATA_FILE = "file-metadata.json";
+const METADATA_COLOR_SCAN_PAGE_LIMIT = 300;
+const METADATA_PERSIST_DELAY_MS = 500;
+const IMAGE_COLOR_CHANNEL_TOLERANCE = 24;
+const PAPER_SIZES_MM = [
+  { name: "A3", width: 297, height: 420 },
+  { name: "A4", width: 210, height: 297 },
+  { name: "A5", width: 148, height: 210 },
+  { name: "A6", width: 105, height: 148 },
+  { name: "Letter", width: 215.9, height: 279.4 },
+  { name: "Legal", width: 215.9, height: 355.6 },
+  { name: "Tabloid", width: 279.4, height: 431.8 },
+];
+let fileMetadataLoaded = false;
+let fileMetadataPersistTimer = null;
+const fileMetadataByPath = new Map(); // filePath → cached entry
+const fileMetadataInFlight = new Map(); // filePath → Promise<metadata>
+
+function getFileMetadataPath() {
+  return getUserDataPath(FILE_METADATA_FILE);
+}
+
+function ensureFileMetadataLoaded() {
+  if (fileMetadataLoaded) return;
+  fileMetadataLoaded = true;
+
+  try {
+    const filePath = getFileMetadataPath();
+    if (!fs.existsSync(filePath)) return;
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    for (const [localPath, entry] of Object.entries(parsed || {})) {
+      // Drop entries for files that were deleted or moved since last run.
+      if (!entry || !entry.metadata || !fs.existsSync(localPath)) continue;
+      fileMetadataByPath.set(localPath, entry);
+    }
+  } catch (error) {
+    console.warn("[Metadata] Failed to load metadata cache:", error.message);
+  }
+}
+
+function persistFileMetadata() {
+  ensureFileMetadataLoaded();
+  try {
+    fs.writeFileSync(
+      getFileMetadataPath(),
+      JSON.stringify(Object.fromEntries(fileMetadataByPath), null, 2),
+    );
+  } catch (error) {
+    console.warn("[Metadata] Failed to persist metadata cache:", error.message);
+  }
+}
+
+// Analysing a chat's files produces many results in a row; write them once.
+function schedulePersistFileMetadata() {
+  if (fileMetadataPersistTimer) return;
+  fileMetadataPersistTimer = setTimeout(() => {
+    fileMetadataPersistTimer = null;
+    persistFileMetadata();
+  }, METADATA_PERSIST_DELAY_MS);
+}
+
+function matchPaperSize(widthPt, heightPt) {
+  const toMm = (pt) => (pt * 25.4) / 72;
+  const short = toMm(Math.min(widthPt, heightPt));
+  const long = toMm(Math.max(widthPt, heightPt));
+  const match = PAPER_SIZES_MM.find(
+    (size) =>
+      Math.abs(size.width - short) <= 3 && Math.abs(size.height - long) <= 3,
+  );
+  return match ? match.name : `${Math.round(short)}×${Math.round(long)} mm`;
+}
+
+function isNonNeutralColor(components) {
+  if (components.length === 3) {
+    return Math.max(...components) - Math.min(...components) > 0.01;
+  }
+  // CMYK: only cyan/magenta/yellow that differ from each other add colour.
+  const [c, m, y] = components;
+  return Math.max(c, m, y) - Math.min(c, m, y) > 0.01;
+}
+
+function contentHasColorOperators(content) {
+  const operands = [];
+  for (const token of content.split(/\s+/)) {
+    if (/^[-+]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      operands.push(Number(token));
+      continue;
+    }
+    if (/^(rg|RG|k|K|sc|scn|SC|SCN)$/.test(token)) {
+      // sc/scn take as many operands as the current colour space has.
+      let count = token.toLowerCase() === "k" ? 4 : 3;
+      if (/^(sc|scn)$/i.test(token)) count = operands.length;
+      if ((count === 3 || count === 4) && operands.length >= count) {
+        if (isNonNeutralColor(operands.slice(-count))) return true;
+      }
+    }
+    operands.length = 0;
+  }
+  return false;
+}
+
+function isColorImageColorSpace(pdf, colorSpace) {
+  const { PDFArray, PDFName, PDFNumber } = require("pdf-lib");
+  const resolved = pdf.context.lookup(colorSpace);
+  if (!resolved) return false;
+  if (resolved instanceof PDFName) {
+    return resolved.asString() !== "/DeviceGray";
+  }
+  if (resolved instanceof PDFArray) {
+    const family = resolved.lookup(0, PDFName).asString();
+    if (family === "/Indexed") {
+      return isColorImageColorSpace(pdf, resolved.get(1));
+    }
+    if (family === "/ICCBased") {
+      const n = resolved.lookup(1).dict.lookup(PDFName.of("N"), PDFNumber);
+      return !n || n.asNumber() >= 3;
+    }
+    return family !== "/CalGray" && family !== "/Separation";
+  }
+  return false;
+}
+
+function detectPdfPageColor(pdf, page) {
+  const { PDFArray, PDFDict, PDFName, PDFRawStream, decodePDFRawStream } =
+    require("pdf-lib");
+
+  const contents = page.node.Contents();
+  const streams =
+    contents instanceof PDFArray
+      ? contents.asArray().map((ref) => pdf.context.lookup(ref))
+      : [contents];
+  for (const stream of streams) {
+    if (!stream) continue;
+    const bytes =
+      stream instanceof PDFRawStream
+        ? decodePDFRawStream(stream).decode()
+        : stream.getContents();
+    if (contentHasColorOperators(Buffer.from(bytes).toString("latin1"))) {
+      return "color";
+    }
+  }
+
+  const xObjects = page.node
+    .Resources()
+    ?.lookupMaybe(PDFName.of("XObject"), PDFDict);
+  for (const ref of xObjects ? xObjects.values() : []) {
+    const xObject = pdf.context.lookup(ref);
+    const dict = xObject?.dict;
+    if (!dict || dict.get(PDFName.of("Subtype")) !== PDFName.of("Image")) {
+      continue;
+    }
+    const colorSpace = dict.get(PDFName.of("ColorSpace"));
+    if (colorSpace && isColorImageColorSpace(pdf, colorSpace)) return "color";
+  }
+
+  return "grayscale";
+}
+
+async function analyzePdfFile(filePath) {
+  const { PDFDocument } = require("pdf-lib");
+  const pdf = await PDFDocument.load(await fs.promises.readFile(filePath), {
+    ignoreEncryption: true,
+    updateMetadata: false,
+  });
+  // Encrypted content streams cannot be read, so colour stays unknown.
+  const encrypted = pdf.isEncrypted;
+
+  const pages = pdf.getPages().map((page, index) => {
+    const { width, height } = page.getSize();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const [w, h] = rotation % 180 === 90 ? [height, width] : [width, height];
+
+    let color = "unknown";
+    if (!encrypted && index < METADATA_COLOR_SCAN_PAGE_LIMIT) {
+      try {
+        color = detectPdfPageColor(pdf, page);
+      } catch (err) {
+        color = "unknown";
+      }
+    }
+
+    return {
+      width: Math.round(w),
+      height: Math.round(h),
+      unit: "pt",
+      sizeName: matchPaperSize(w, h),
+      orientation: w > h ? "landscape" : "portrait",
+      color,
+    };
+  });
+
+  return { kind: "pdf", pageCount: pages.length, encrypted, pages };
+}
+
+function analyzeImageFile(filePath) {
+  const image = nativeImage.createFromPath(filePath);
+  // nativeImage only decodes PNG and JPEG; other formats still count as one
+  // page so they can be priced.
+  if (image.isEmpty()) {
+    return {
+      kind: "image",
+      pageCount: 1,
+      encrypted: false,
+      pages: [
+        {
+          width: null,
+          height: null,
+          unit: "px",
+          sizeName: null,
+          orientation: null,
+          color: "unknown",
+        },
+      ],
+    };
+  }
+
+  const { width, height } = image.getSize();
+  // Sample a downscaled copy; JPEG noise in grey scans is tolerated.
+  const bitmap = image.resize({ width: Math.min(width, 64) }).toBitmap();
+  const pixelCount = bitmap.length / 4;
+  let colorPixels = 0;
+  for (let i = 0; i < bitmap.length; i += 4) {
+    const [b, g, r] = [bitmap[i], bitmap[i + 1], bitmap[i + 2]];
+    if (Math.max(r, g, b) - Math.min(r, g, b) > IMAGE_COLOR_CHANNEL_TOLERANCE) {
+      colorPixels++;
+    }
+  }
+
+  return {
+    kind: "image",
+    pageCount: 1,
+    encrypted: false,
+    pages: [
+      {
+        width,
+        height,
+        unit: "px",
+        sizeName: null,
+        orientation: width > height ? "landscape" : "portrait",
+        color: colorPixels > pixelCount * 0.01 ? "color" : "grayscale",
+      },
+    ],
+  };
+}
+
+function summarizeFileMetadata(metadata) {
+  const pages = metadata.pages || [];
+  const orientations = new Set(pages.map((p) => p.orientation).filter(Boolean));
+  return {
+    ...metadata,
+    sizeNames: [...new Set(pages.map((p) => p.sizeName).filter(Boolean))],
+    orientation:
+      orientations.size > 1 ? "mixed" : [...orientations][0] || null,
+    colorPages: pages.filter((p) => p.color === "color").length,
+    grayscalePages: pages.filter((p) => p.color === "grayscale").length,
+  };
+}
+
+async function analyzeOfficeFile(filePath) {
+  const convertedPath = await convertOfficeToPdf(filePath);
+  return {
+    ...(await analyzePdfFile(convertedPath)),
+    kind: "document",
+    convertedPath,
+  };
+}
+
+// Returns cached or freshly extracted metadata, or null for file types that
+// are not analysed (audio, archives, Office files without LibreOffice, ...).
+async function getFileMetadata(filePath) {
+  if (!filePath) return null;
+  const isPdf = path.extname(filePath).toLowerCase() === ".pdf";
+  const isOffice = isOfficeFilePath(filePath);
+  if (!isPdf && !isOffice && !isImageFilePath(filePath)) return null;
+  if (isOffice && !findLibreOffice()) return null;
+  ensureFileMetadataLoaded();
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(filePath);
+  } catch (err) {
+    return null;
+  }
+
+  const cached = fileMetadataByPath.get(filePath);
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+    return cached.metadata;
+  }
+  if (fileMetadataInFlight.has(filePath)) {
+    return fileMetadataInFlight.get(filePath);
+  }
+
+  const task = (async () => {
+    let metadata;
+    try {
+      let analysis;
+      if (isPdf) analysis = await analyzePdfFile(filePath);
+      else if (isOffice) analysis = await analyzeOfficeFile(filePath);
+      else analysis = analyzeImageFile(filePath);
+      metadata = summarizeFileMetadata(analysis);
+    } catch (err) {
+      // Cache failures too, so a damaged file is not re-parsed on every view.
+      console.warn(`[Metadata] Failed to analyse ${filePath}:`, err.message);
+      metadata = {
+        kind: isPdf ? "pdf" : isOffice ? "document" : "image",
+        pageCount: null,
+        error: err.message,
+      };
+    }
+    fileMetadataByPath.set(filePath, {
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      metadata,
+    });
+    schedulePersistFileMetadata();
+    return metadata;
+  })().finally(() => fileMetadataInFlight.delete(filePath));
+
+  fileMetadataInFlight.set(filePath, task);
+  return task;
+}
+
+ipcMain.handle("get-file-metadata", async (event, filePaths) => {
+  const metadata = {};
+  // Sequential on purpose: large PDFs are parsed in memory.
+  for (const filePath of Array.isArray(filePaths) ? filePaths : []) {
+    metadata[filePath] = await getFileMetadata(filePath);
+  }
+  return { metadata };
+});
+
+// ── Pricing ──────────────────────────────────────────────────────────────────
+// Prices a selection of files against the rate card in settings. Documents
+// whose pages cannot be counted are listed in the quote but left out of the
+// total, and the quote is flagged as incomplete.
+async function countFilePages(filePath) {
+  const metadata = await getFileMetadata(filePath);
+  return Number.isFinite(metadata?.pageCount) ? metadata.pageCount : null;
+}
+
+function countPagesInRanges(pageCount, pageRangesText) {
+  const pageRanges = parsePageRanges(pageRangesText);
+  if (!pageRanges) return pageCount;
+  const pages = new Set();
+  for (const { from, to } of pageRanges) {
+    for (let page = from; page <= Math.min(to, pageCount); page++) {
+      pages.add(page);
+    }
+  }
+  return pages.size;
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+async function computePriceQuote({
+  filePaths,
+  options,
+  photoSize,
+  binding,
+  lamination,
+}) {
+  const printOptions = normalizePrintOptions(options);
+  const { pricing } = getAppSettings();
+  const { copies } = printOptions;
+  const paperSize = printOptions.paperSize || "A4";
+  const colorKey = printOptions.monochrome ? "mono" : "color";
+  const colorLabel = printOptions.monochrome ? "B/W" : "color";
+  const duplex = printOptions.duplex !== "simplex";
+  const pageRate = pricing.pagePrices[paperSize]?.[colorKey];
+
+  const lines = [];
+  for (const filePath of filePaths || []) {
+    const line = { fileName: path.basename(filePath), filePath, copies };
+    lines.push(line);
+
+    let pageCount = null;
+    try {
+      pageCount = await countFilePages(filePath);
+    } catch (err) {
+      console.warn(`[Pricing] Could not count pages of ${filePath}:`, err);
+    }
+    if (pageCount === null) {
+      Object.assign(line, { pages: null, amount: null, note: "Pages unknown" });
+      continue;
+    }
+
+    if (photoSize && isImageFilePath(filePath)) {
+      const unitPrice = pricing.photoPrices[photoSize];
+      if (!Number.isFinite(unitPrice)) {
+        Object.assign(line, {
+          pages: 1,
+          amount: null,
+          note: `No price for ${photoSize} photos`,
+        });
+        continue;
+      }
+      Object.assign(line, {
+        pages: 1,
+        description: `${photoSize} photo`,
+        amount: roundMoney(unitPrice * copies),
+      });
+      continue;
+    }
+
+    // Page ranges only apply to multi-page documents.
+    const pages = isImageFilePath(filePath)
+      ? pageCount
+      : countPagesInRanges(pageCount, printOptions.pageRanges);
+    if (!Number.isFinite(pageRate)) {
+      Object.assign(line, {
+        pages,
+        amount: null,
+        note: `No ${colorLabel} price for ${paperSize}`,
+      });
+      continue;
+    }
+
+    // Imposed layouts are charged by the sides actually printed.
+    const sides = countImposedSides(pages, printOptions);
+    const twoSided = duplex || printOptions.layout === "booklet";
+    const sheets = twoSided ? Math.ceil(sides / 2) : sides;
+    let amount = sides * pageRate * copies;
+    if (twoSided && sides > 1) {
+      amount *= 1 - (pricing.duplexDiscountPercent || 0) / 100;
+    }
+    if (lamination) amount += sheets * copies * (pricing.laminationPrice || 0);
+    if (binding) amount += copies * (pricing.bindingPrice || 0);
+
+    const layout =
+      printOptions.layout === "normal"
+        ? ""
+        : ` ${describePrintLayout(printOptions)},`;
+    Object.assign(line, {
+      pages,
+      description: `${pages} page${pages !== 1 ? "s" : ""},${layout} ${colorLabel} ${paperSize}${twoSided && sides > 1 ? " duplex" : ""}`,
+      amount: roundMoney(amount),
+    });
+  }
+
+  const priced = lines.filter((line) => line.amount !== null);
+  let total = priced.reduce((sum, line) => sum + line.amount, 0);
+  if (priced.length > 0 && total < (pricing.minimumCharge || 0)) {
+    total = pricing.minimumCharge;
+  }
+
+  return {
+    lines,
+    total: roundMoney(total),
+    formattedTotal: formatAmount(roundMoney(total)),
+    incomplete: priced.length < lines.length,
+  };
+}
+
+function formatQuoteMessage(quote, customerName) {
+  const greeting = customerName ? `Hi ${customerName}, here` : "Here";
+  const rows = quote.lines.map((line) => {
+    const copies = line.copies > 1 ? ` × ${line.copies}` : "";
+    const detail =
+      line.amount === null
+        ? "to be confirmed"
+        : `${line.description}${copies}: ${formatAmount(line.amount)}`;
+    return `• ${line.fileName} — ${detail}`;
+  });
+  return [
+    `${greeting} is the price for your files:`,
+    ...rows,
+    `Total: ${quote.formattedTotal}${quote.incomplete ? " (some files still to be confirmed)" : ""}`,
+  ].join("\n");
+}
+
+ipcMain.handle("get-price-quote", async (event, data) => {
+  try {
+    return { quote: await computePriceQuote(data || {}) };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle("send-price-quote", async (event, data) => {
+  const { chatId, customerName } = data || {};
+  if (!chatId) return { error: "No chat selected" };
+  try {
+    const quote = await computePriceQuote(data);
+    const result = await sendTextMessage(
+      chatId,
+      formatQuoteMessage(quote, customerName),
+    );
+    return result.error ? result : { ...result, quote };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+// ── Images to PDF ────────────────────────────────────────────────────────────
+// Customers photograph multi-page documents and send each page as a separate
+// image; these are laid out one per page into a single printable PDF.
+const IMAGE_PDF_PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  Letter: [612, 792],
+};
+const IMAGE_PDF_FIT_MODES = ["fit", "fill"];
+const IMAGE_PDF_ORIENTATIONS = ["auto", "portrait", "landscape"];
+const POINTS_PER_MM = 72 / 25.4;
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+function normalizeImagePdfOptions(raw) {
+  const options = raw || {};
+  const marginMm = Number(options.marginMm);
+  return {
+    pageSize: IMAGE_PDF_PAGE_SIZES[options.pageSize] ? options.pageSize : "A4",
+    orientation: IMAGE_PDF_ORIENTATIONS.includes(options.orientation)
+      ? options.orientation
+      : "auto",
+    fitMode: IMAGE_PDF_FIT_MODES.includes(options.fitMode)
+      ? options.fitMode
+      : "fit",
+    marginMm: Number.isFinite(marginMm)
+      ? Math.min(Math.max(marginMm, 0), 50)
+      : 10,
+  };
+}
+
+/**
+ * Read the EXIF orientation tag from a JPEG. Phone cameras store the photo
+ * sideways and rely on this tag, which PDF viewers ignore, so the rotation
+ * has to be applied when the image is placed on the page.
+ */
+function readJpegExifOrientation(bytes) {
+  try {
+    let offset = 2;
+    while (offset + 4 < bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      if (marker === 0xda) break; // image data starts; no more metadata
+      const length = bytes.readUInt16BE(offset + 2);
+
+      const isExif =
+        marker === 0xe1 &&
+        bytes.toString("latin1", offset + 4, offset + 10) === "Exif\0\0";
+      if (isExif) {
+        const tiff = offset + 10;
+        const little = bytes.toString("latin1", tiff, tiff + 2) === "II";
+        const read16 = (at) =>
+          little ? bytes.readUInt16LE(at) : bytes.readUInt16BE(at);
+        const read32 = (at) =>
+          little ? bytes.readUInt32LE(at) : bytes.readUInt32BE(at);
+
+        const ifd = tiff + read32(tiff + 4);
+        const count = read16(ifd);
+        for (let i = 0; i < count; i++) {
+          const tag = ifd + 2 + i * 12;
+          if (read16(tag) === 0x0112) return read16(tag + 8) || 1;
+        }
+        break;
+      }
+      offset += 2 + length;
+    }
+  } catch {
+    // Truncated or malformed EXIF: treat the image as upright.
+  }
+  return 1;
+}
+
+async function embedImageForPdf(pdf, filePath) {
+  const bytes = await fs.promises.readFile(filePath);
+  // Sniff the content rather than trusting the extension; WhatsApp file
+  // names are often wrong.
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return {
+      image: await pdf.embedJpg(bytes),
+      exifOrientation: readJpegExifOrientation(bytes),
+    };
+  }
+  if (bytes.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return { image: await pdf.embedPng(bytes), exifOrientation: 1 };
+  }
+
+  const decoded = nativeImage.createFromBuffer(bytes);
+  if (decoded.isEmpty()) {
+    throw new Error(`Unsupported image format: ${path.basename(filePath)}`);
+  }
+  return { image: await pdf.embedPng(decoded.toPNG()), exifOrientation: 1 };
+}
+
+// pdf-lib rotates around the anchor point, so the anchor moves to whichever
+// corner of the shown box ends up bottom-left after the clockwise turns.
+function getRotatedPlacement(x, y, width, height, turns) {
+  return [
+    { x, y, rotate: 0 },
+    { x, y: y + height, rotate: -90 },
+    { x: x + width, y: y + height, rotate: 180 },
+    { x: x + width, y, rotate: 90 },
+  ][turns];
+}
+
+function drawImageInBox(page, image, exifOrientation, box, fitMode) {
+  const {
+    degrees,
+    pushGraphicsState,
+    popGraphicsState,
+    rectangle,
+    clip,
+    endPath,
+  } = require("pdf-lib");
+
+  // Clockwise quarter turns needed to show the image upright. Mirrored
+  // orientations (2, 4, 5, 7) are rare from cameras and drawn unmirrored.
+  const quarterTurns = { 3: 2, 4: 2, 5: 1, 6: 1, 7: 3, 8: 3 }[exifOrientation];
+  const turns = quarterTurns || 0;
+  const sideways = turns % 2 === 1;
+  const shownWidth = sideways ? image.height : image.width;
+  const shownHeight = sideways ? image.width : image.height;
+
+  const scaleX = box.width / shownWidth;
+  const scaleY = box.height / shownHeight;
+  const scale =
+    fitMode === "fill" ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+  const width = shownWidth * scale;
+  const height = shownHeight * scale;
+  const x = box.x + (box.width - width) / 2;
+  const y = box.y + (box.height - height) / 2;
+
+  const placement = getRotatedPlacement(x, y, width, height, turns);
+
+  if (fitMode === "fill") {
+    page.pushOperators(
+      pushGraphicsState(),
+      rectangle(box.x, box.y, box.width, box.height),
+      clip(),
+      endPath(),
+    );
+  }
+  page.drawImage(image, {
+    x: placement.x,
+    y: placement.y,
+    width: sideways ? height : width,
+    height: sideways ? width : height,
+    rotate: degrees(placement.rotate),
+  });
+  if (fitMode === "fill") page.pushOperators(popGraphicsState());
+}
+
+async function combineImagesToPdf(filePaths, rawOptions) {
+  const { PDFDocument } = require("pdf-lib");
+  const options = normalizeImagePdfOptions(rawOptions);
+  const [shortSide, longSide] = IMAGE_PDF_PAGE_SIZES[options.pageSize];
+  const margin = options.marginMm * POINTS_PER_MM;
+
+  const pdf = await PDFDocument.create();
+
+  for (const filePath of filePaths) {
+    const { image, exifOrientation } = await embedImageForPdf(pdf, filePath);
+    const sideways = [5, 6, 7, 8].includes(exifOrientation);
+    const shownWidth = sideways ? image.height : image.width;
+    const shownHeight = sideways ? image.width : image.height;
+
+    const landscape =
+      options.orientation === "landscape" ||
+      (options.orientation === "auto" && shownWidth > shownHeight);
+    const pageWidth = landscape ? longSide : shortSide;
+    const pageHeight = landscape ? shortSide : longSide;
+    const page = pdf.addPage([pageWidth, pageHeight]);
+
+    const box = {
+      x: margin,
+      y: margin,
+      width: Math.max(pageWidth - margin * 2, 1),
+      height: Math.max(pageHeight - margin * 2, 1),
+    };
+    drawImageInBox(page, image, exifOrientation, box, options.fitMode);
+  }
+
+  return pdf.save();
+}
+
+function defaultCombinedPdfName(filePaths) {
+  const first = path.basename(filePaths[0], path.extname(filePaths[0]));
+  return `${first} (${filePaths.length} pages).pdf`;
+}
+
+ipcMain.handle("get-generated-files", async (event, chatId) => {
+  try {
+    return { files: getGeneratedFiles(chatId) };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle("combine-images-to-pdf", async (event, data) => {
+  const { chatId, filePaths, options, fileName } = data || {};
+  if (!Array.isArray(filePaths) || filePaths.length === 0) {
+    return { error: "No images selected" };
+  }
+  const missing = filePaths.find((filePath) => !fs.existsSync(filePath));
+  if (missing) return { error: `File not found: ${path.basename(missing)}` };
+
+  try {
+    const pdfBytes = await combineImagesToPdf(filePaths, options);
+    const file = await saveGeneratedPdf({
+      chatId,
+      fileName: fileName || defaultCombinedPdfName(filePaths),
+      data: pdfBytes,
+      sources: filePaths,
+    });
+    return { success: true, file };
+  } catch (err) {
+    console.error("[ImagesToPdf] Failed to combine images:", err.message);
+    return { error: err.message };
+  }
+});
+
+// ── Photo Sheets ─────────────────────────────────────────────────────────────
+// Passport and ID photos: one image is cropped to a standard photo size and
+// tiled onto a sheet with cut marks. Sizes are in millimetres until drawing.
+// The crop is given as fractions of the upright image (after EXIF rotation),
+// measured from its top-left corner, as the renderer's crop box shows it.
+const PHOTO_SHEET_PHOTO_SIZES = {
+  passport: { widthMm: 35, heightMm: 45 },
+  "2x2in": { widthMm: 50.8, heightMm: 50.8 },
+  stamp: { widthMm: 20, heightMm: 25 },
+};
+const PHOTO_SHEET_PAPER_SIZES = {
+  A4: [210, 297],
+  "4x6": [101.6, 152.4],
+};
+const PHOTO_SHEET_MARGIN_MM = 5;
+const PHOTO_SHEET_GAP_MM = 2;
+const PHOTO_SHEET_MAX_COPIES = 200;
+// Cut marks stop short of the photos so a slightly off cut leaves no line.
+const CUT_MARK_OFFSET_MM = 1;
+const CUT_MARK_LENGTH_MM = 3;
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number)
+    ? Math.min(Math.max(number, min), max)
+    : fallback;
+}
+
+function normalizePhotoSheetOptions(raw) {
+  const options = raw || {};
+  const size = PHOTO_SHEET_PHOTO_SIZES[options.photoSize] || {
+    widthMm: clampNumber(options.widthMm, 10, 150, 35),
+    heightMm: clampNumber(options.heightMm, 10, 150, 45),
+  };
+  const crop = options.crop || {};
+  const x = clampNumber(crop.x, 0, 0.99, 0);
+  const y = clampNumber(crop.y, 0, 0.99, 0);
+  return {
+    ...size,
+    paperSize: PHOTO_SHEET_PAPER_SIZES[options.paperSize]
+      ? options.paperSize
+      : "A4",
+    // 0 fills one sheet.
+    copies: Math.floor(
+      clampNumber(options.copies, 0, PHOTO_SHEET_MAX_COPIES, 0),
+    ),
+    cutMarks: options.cutMarks !== false,
+    crop: {
+      x,
+      y,
+      width: clampNumber(crop.width, 0.01, 1 - x, 1 - x),
+      height: clampNumber(crop.height, 0.01, 1 - y, 1 - y),
+    },
+  };
+}
+
+// A grid centred on the sheet, in whichever orientation holds more photos.
+function layoutPhotoSheet(options) {
+  const [shortSide, longSide] = PHOTO_SHEET_PAPER_SIZES[options.paperSize];
+  const fit = (sheetWidth, sheetHeight) => {
+    const count = (side, photo) =>
+      Math.floor(
+        (side - PHOTO_SHEET_MARGIN_MM * 2 + PHOTO_SHEET_GAP_MM) /
+          (photo + PHOTO_SHEET_GAP_MM),
+      );
+    const columns = count(sheetWidth, options.widthMm);
+    const rows = count(sheetHeight, options.heightMm);
+    return { sheetWidth, sheetHeight, columns, rows, perSheet: columns * rows };
+  };
+  const portrait = fit(shortSide, longSide);
+  const landscape = fit(longSide, shortSide);
+  return landscape.perSheet > portrait.perSheet ? landscape : portrait;
+}
+
+// Scales the image so the crop fills the cell, clipping the rest.
+function drawCroppedPhoto(page, image, exifOrientation, cell, crop) {
+  const {
+    pushGraphicsState,
+    popGraphicsState,
+    rectangle,
+    clip,
+    endPath,
+  } = require("pdf-lib");
+  const sideways = [5, 6, 7, 8].includes(exifOrientation);
+  const shownWidth = sideways ? image.height : image.width;
+  const shownHeight = sideways ? image.width : image.height;
+
+  const scale = Math.max(
+    cell.width / (crop.width * shownWidth),
+    cell.height / (crop.height * shownHeight),
+  );
+  const width = shownWidth * scale;
+  const height = shownHeight * scale;
+  // Crop centre measured from the image's top-left corner, in points.
+  const cropCenterX = (crop.x + crop.width / 2) * width;
+  const cropCenterY = (crop.y + crop.height / 2) * height;
+  const box = {
+    x: cell.x + cell.width / 2 - cropCenterX,
+    y: cell.y + cell.height / 2 - (height - cropCenterY),
+    width,
+    height,
+  };
+
+  page.pushOperators(
+    pushGraphicsState(),
+    rectangle(cell.x, cell.y, cell.width, cell.height),
+    clip(),
+    endPath(),
+  );
+  drawImageInBox(page, image, exifOrientation, box, "fit");
+  page.pushOperators(popGraphicsState());
+}
+
+// Marks sit in the sheet margin, in line with every photo edge.
+function drawCutMarks(page, layout, grid) {
+  const { rgb } = require("pdf-lib");
+  const mm = (value) => value * POINTS_PER_MM;
+  const line = (x1, y1, x2, y2) =>
+    page.drawLine({
+      start: { x: mm(x1), y: mm(layout.sheetHeight - y1) },
+      end: { x: mm(x2), y: mm(layout.sheetHeight - y2) },
+      thickness: 0.5,
+      color: rgb(0, 0, 0),
+    });
+  const near = CUT_MARK_OFFSET_MM;
+  const far = CUT_MARK_OFFSET_MM + CUT_MARK_LENGTH_MM;
+
+  grid.columnEdges.forEach((x) => {
+    line(x, grid.top - near, x, grid.top - far);
+    line(x, grid.bottom + near, x, grid.bottom + far);
+  });
+  grid.rowEdges.forEach((y) => {
+    line(grid.left - near, y, grid.left - far, y);
+    line(grid.right + near, y, grid.right + far, y);
+  });
+}
+
+async function createPhotoSheetPdf(filePath, rawOptions) {
+  const { PDFDocument } = require("pdf-lib");
+  const options = normalizePhotoSheetOptions(rawOptions);
+  const layout = layoutPhotoSheet(options);
+  if (layout.perSheet === 0) {
+    throw new Error(`The photo size does not fit on ${options.paperSize}`);
+  }
+
+  const pdf = await PDFDocument.create();
+  const { image, exifOrientation } = await embedImageForPdf(pdf, filePath);
+  const total = options.copies || layout.perSheet;
+  const step = (photo) => photo + PHOTO_SHEET_GAP_MM;
+
+  for (let first = 0; first < total; first += layout.perSheet) {
+    const count = Math.min(layout.perSheet, total - first);
+    const columns = Math.min(layout.columns, count);
+    const rows = Math.ceil(count / layout.columns);
+    const gridWidth = columns * step(options.widthMm) - PHOTO_SHEET_GAP_MM;
+    const gridHeight = rows * step(options.heightMm) - PHOTO_SHEET_GAP_MM;
+    // Centred on the full grid, so a part-filled last sheet lines up with
+    // the sheets before it.
+    const fullWidth =
+      layout.columns * step(options.widthMm) - PHOTO_SHEET_GAP_MM;
+    const fullHeight =
+      layout.rows * step(options.heightMm) - PHOTO_SHEET_GAP_MM;
+    const left = (layout.sheetWidth - fullWidth) / 2;
+    const top = (layout.sheetHeight - fullHeight) / 2;
+
+    const page = pdf.addPage([
+      layout.sheetWidth * POINTS_PER_MM,
+      layout.sheetHeight * POINTS_PER_MM,
+    ]);
+    const grid = {
+      left,
+      top,
+      right: left + gridWidth,
+      bottom: top + gridHeight,
+      columnEdges: [],
+      rowEdges: [],
+    };
+    for (let index = 0; index < count; index++) {
+      const column = index % layout.columns;
+      const row = Math.floor(index / layout.columns);
+      const x = left + column * step(options.widthMm);
+      const y = top + row * step(options.heightMm);
+      drawCroppedPhoto(
+        page,
+        image,
+        exifOrientation,
+        {
+          x: x * POINTS_PER_MM,
+          y: (layout.sheetHeight - y - options.heightMm) * POINTS_PER_MM,
+          width: options.widthMm * POINTS_PER_MM,
+          height: options.heightMm * POINTS_PER_MM,
+        },
+        options.crop,
+      );
+      if (row === 0) grid.columnEdges.push(x, x + options.widthMm);
+      if (column === 0) grid.rowEdges.push(y, y + options.heightMm);
+    }
+    if (options.cutMarks) drawCutMarks(page, layout, grid);
+  }
+
+  return {
+    pdfBytes: await pdf.save(),
+    photos: total,
+    sheets: Math.ceil(total / layout.perSheet),
+  };
+}
+
+ipcMain.handle("create-photo-sheet", async (event, data) => {
+  const { chatId, filePath, options, fileName } = data || {};
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { error: "Image not found" };
+  }
+
+  try {
+    const { pdfBytes, photos, sheets } = await createPhotoSheetPdf(
+      filePath,
+      options,
+    );
+    const file = await saveGeneratedPdf({
+      chatId,
+      fileName:
+        fileName ||
+        `${path.basename(filePath, path.extname(filePath))} (photo sheet).pdf`,
+      data: pdfBytes,
+      sources: [filePath],
+    });
+    return { success: true, file, photos, sheets };
+  } catch (err) {
+    console.error("[PhotoSheet] Failed to create sheet:", err.message);
+    return { error: err.message };
   }
 });
 
-// Print files with printer driver setup dialog
-ipcMain.handle(
-  "print-with-setup",
-  async (event, { filePaths, printerName }) => {
-    const { exec, execFile } = require("child_process");
-    const results = [];
+// ── PDF Tools ────────────────────────────────────────────────────────────────
+// Merging, extracting and rearranging pages always writes a new generated PDF
+// and leaves the customer's original file untouched.
+async function loadEditablePdf(filePath) {
+  const { PDFDocument } = require("pdf-lib");
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${path.basename(filePath)}`);
+  }
+  const pdf = await PDFDocument.load(await fs.promises.readFile(filePath), {
+    ignoreEncryption: true,
+  });
+  // pdf-lib cannot decrypt, so copied pages would come out blank or garbled.
+  if (pdf.isEncrypted) {
+    throw new Error(`${path.basename(filePath)} is password-protected`);
+  }
+  return pdf;
+}
 
-    // If no printer is selected, open Electron's system print dialog (Ctrl+Shift+P equivalent)
-    if (!printerName) {
-      const { pathToFileURL } = require("url");
-      const imageExts = [
-        ".jpg",
-        ".jpeg",
-        ".png",
-        ".bmp",
-        ".gif",
-        ".tiff",
-        ".tif",
-        ".webp",
-      ];
-      for (const filePath of filePaths) {
-        try {
-          if (!fs.existsSync(filePath)) {
-            results.push({ filePath, error: "File not found" });
-            continue;
-          }
-          await new Promise((resolve, reject) => {
-            const ext = path.extname(filePath).toLowerCase();
-            const fileUrl = pathToFileURL(filePath).href;
-            const isImage = imageExts.includes(ext);
-
-            const printWin = new BrowserWindow({
-              show: false,
-              width: 800,
-              height: 1100,
-              webPreferences: {
-                contextIsolation: true,
-                nodeIntegration: false,
-              },
-            });
+function normalizeRotation(angle) {
+  const quarterTurns = Math.round((Number(angle) || 0) / 90);
+  return (((quarterTurns % 4) + 4) % 4) * 90;
+}
 
-            let tempHtmlPath = null;
-            const cleanup = () => {
-              if (tempHtmlPath) {
-                try {
-                  fs.unlinkSync(tempHtmlPath);
-                } catch {}
-                tempHtmlPath = null;
-              }
-            };
+/**
+ * Expand a page range string into 1-based page numbers in the order typed,
+ * so "5, 1-3" puts page 5 first. Open-ended ranges stop at the last page.
+ */
+function expandPageRanges(pageRangesText, pageCount) {
+  const ranges = parsePageRanges(pageRangesText);
+  if (!ranges) throw new Error("Enter the pages to extract");
+
+  const pages = [];
+  for (const { from, to } of ranges) {
+    if (from > pageCount) {
+      throw new Error(`The document only has ${pageCount} pages`);
+    }
+    for (let page = from; page <= Math.min(to, pageCount); page++) {
+      pages.push(page);
+    }
+  }
+  return pages;
+}
 
-            const doPrint = () => {
-              // Delay lets the renderer finish painting before print is triggered,
-              // preventing blank pages on hidden windows.
-              setTimeout(() => {
-                printWin.webContents.print(
-                  { silent: false },
-                  (success, errorType) => {
-                    printWin.close();
-                    cleanup();
-                    if (success) resolve();
-                    else reject(new Error(errorType || "Print cancelled"));
-                  },
-                );
-              }, 500);
-            };
+async function mergePdfFiles(filePaths) {
+  const { PDFDocument } = require("pdf-lib");
+  const merged = await PDFDocument.create();
+  for (const filePath of filePaths) {
+    const source = await loadEditablePdf(filePath);
+    const copied = await merged.copyPages(source, source.getPageIndices());
+    copied.forEach((page) => merged.addPage(page));
+  }
+  return merged.save();
+}
 
-            if (isImage) {
-              // Wrap image in a full HTML page so the renderer has proper content
-              // to paint. Loading a raw file:// image URL can produce a blank print
-              // because the browser's image-viewer wrapper is not fully rendered in
-              // a hidden window before print() is called.
-              const htmlContent = `<!DOCTYPE html>
-<html>
-<head>
-<meta charset="utf-8">
-<style>
-* { margin: 0; padding: 0; box-sizing: border-box; }
-html, body { width: 100%; background: white; }
-img { max-width: 100%; height: auto; display: block; }
-@media print { img { max-width: 100%; page-break-inside: avoid; } }
-</style>
-</head>
-<body><img src="${fileUrl}"></body>
-</html>`;
-              tempHtmlPath = path.join(
-                os.tmpdir(),
-                `wpm-print-${Date.now()}.html`,
-              );
-              fs.writeFileSync(tempHtmlPath, htmlContent, "utf8");
-              printWin.loadFile(tempHtmlPath);
-            } else {
-              printWin.loadURL(fileUrl);
-            }
+/**
+ * Build a new PDF from pages of an existing one. Each entry picks a 1-based
+ * source page and an extra clockwise rotation; pages left out are dropped and
+ * the list order becomes the new page order.
+ */
+async function rearrangePdfPages(filePath, pages) {
+  const { PDFDocument, degrees } = require("pdf-lib");
+  const source = await loadEditablePdf(filePath);
+  const pageCount = source.getPageCount();
+  if (!Array.isArray(pages) || pages.length === 0) {
+    throw new Error("No pages left in the document");
+  }
 
-            printWin.webContents.once("did-finish-load", doPrint);
+  const indices = pages.map(({ page }) => {
+    const number = Math.floor(Number(page));
+    if (!(number >= 1 && number <= pageCount)) {
+      throw new Error(`Page ${page} does not exist`);
+    }
+    return number - 1;
+  });
 
-            printWin.webContents.once("did-fail-load", (_ev, code, desc) => {
-              printWin.close();
-              cleanup();
-              reject(new Error(desc || `Load failed (${code})`));
-            });
-          });
-          results.push({
-            filePath,
-            success: true,
-            method: "system-print-dialog",
-          });
-        } catch (err) {
-          // "Print cancelled" is not a real error — the user closed the dialog
-          if (err.message === "Print cancelled") {
-            results.push({
-              filePath,
-              success: true,
-              method: "system-print-dialog",
-            });
-          } else {
-            console.error(
-              `[Print] Error opening system print dialog for ${filePath}:`,
-              err,
-            );
-            results.push({ filePath, error: err.message });
-          }
-        }
+  const output = await PDFDocument.create();
+  const copied = await output.copyPages(source, indices);
+  copied.forEach((page, i) => {
+    const extra = normalizeRotation(pages[i].rotate);
+    if (extra) {
+      const current = page.getRotation().angle;
+      page.setRotation(degrees(normalizeRotation(current + extra)));
+    }
+    output.addPage(page);
+  });
+  return output.save();
+}
+
+function pdfStem(filePath) {
+  return path.basename(filePath, path.extname(filePath));
+}
+
+ipcMain.handle("merge-pdfs", async (event, data) => {
+  const { chatId, filePaths, fileName } = data || {};
+  if (!Array.isArray(filePaths) || filePaths.length < 2) {
+    return { error: "Select at least two PDFs to merge" };
+  }
+  try {
+    const file = await saveGeneratedPdf({
+      chatId,
+      fileName: fileName || `${pdfStem(filePaths[0])} (merged).pdf`,
+      data: await mergePdfFiles(filePaths),
+      sources: filePaths,
+    });
+    return { success: true, file };
+  } catch (err) {
+    console.error("[PdfTools] Merge failed:", err.message);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle("extract-pdf-pages", async (event, data) => {
+  const { chatId, filePath, pageRanges, fileName } = data || {};
+  if (!filePath) return { error: "No PDF selected" };
+  try {
+    const source = await loadEditablePdf(filePath);
+    const pages = expandPageRanges(pageRanges, source.getPageCount());
+    const label = String(pageRanges).replace(/\s+/g, "");
+    const file = await saveGeneratedPdf({
+      chatId,
+      fileName: fileName || `${pdfStem(filePath)} (pages ${label}).pdf`,
+      data: await rearrangePdfPages(
+        filePath,
+        pages.map((page) => ({ page })),
+      ),
+      sources: [filePath],
+    });
+    return { success: true, file };
+  } catch (err) {
+    console.error("[PdfTools] Extract failed:", err.message);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle("rearrange-pdf-pages", async (event, data) => {
+  const { chatId, filePath, pages, fileName } = data || {};
+  if (!filePath) return { error: "No PDF selected" };
+  try {
+    const file = await saveGeneratedPdf({
+      chatId,
+      fileName: fileName || `${pdfStem(filePath)} (edited).pdf`,
+      data: await rearrangePdfPages(filePath, pages),
+      sources: [filePath],
+    });
+    return { success: true, file };
+  } catch (err) {
+    console.error("[PdfTools] Rearrange failed:", err.message);
+    return { error: err.message };
+  }
+});
+
+// ── Imposition ───────────────────────────────────────────────────────────────
+// N-up, booklet and poster layouts are applied just before printing. The
+// chosen pages are placed onto new sheets of the job's paper size (A4 when
+// none is set) and saved as a generated PDF beside the customer's file, and
+// that PDF is what goes to the printer. Images are laid out as one A4 page.
+//   N-up     2, 4 or 9 pages per sheet, in reading order, in whichever sheet
+//            orientation shows them largest.
+//   Booklet  pages reordered for saddle stitching: two per side of landscape
+//            sheets, printed duplex and folded in the middle. The page count
+//            is padded to a multiple of four with blank pages.
+//   Poster   each page enlarged across a grid of sheets with cut marks; the
+//            margins are trimmed off and the tiles butted together. All
+//            sheets share the first page's orientation.
+const N_UP_GRIDS = { "2-up": [2, 1], "4-up": [2, 2], "9-up": [3, 3] };
+const POSTER_TILE_GRIDS = { "2x2": [2, 2], "3x3": [3, 3], "4x4": [4, 4] };
+const IMPOSITION_MARGIN_MM = 5;
+const POSTER_MARGIN_MM = 6;
+
+function describePrintLayout(options) {
+  if (options.layout === "poster") return `${options.posterTiles} poster`;
+  return options.layout;
+}
+
+function countImposedSides(pages, options) {
+  if (N_UP_GRIDS[options.layout]) {
+    const [columns, rows] = N_UP_GRIDS[options.layout];
+    return Math.ceil(pages / (columns * rows));
+  }
+  if (options.layout === "booklet") return Math.ceil(pages / 4) * 2;
+  if (options.layout === "poster") {
+    const [columns, rows] = POSTER_TILE_GRIDS[options.posterTiles];
+    return pages * columns * rows;
+  }
+  return pages;
+}
+
+function getSheetSizePoints(paperSize) {
+  const size =
+    PAPER_SIZES_MM.find((candidate) => candidate.name === paperSize) ||
+    PAPER_SIZES_MM.find((candidate) => candidate.name === "A4");
+  return [size.width * POINTS_PER_MM, size.height * POINTS_PER_MM];
+}
+
+async function loadImpositionPages(output, filePath, pageRanges) {
+  const { PDFDocument } = require("pdf-lib");
+  const isImage = isImageFilePath(filePath);
+  const source = isImage
+    ? await PDFDocument.load(
+        await combineImagesToPdf([filePath], { marginMm: 0 }),
+      )
+    : await loadEditablePdf(filePath);
+  const pageCount = source.getPageCount();
+  const numbers =
+    pageRanges && !isImage
+      ? expandPageRanges(pageRanges, pageCount)
+      : source.getPageIndices().map((index) => index + 1);
+
+  const sourcePages = numbers.map((number) => source.getPage(number - 1));
+  const embedded = await output.embedPages(sourcePages);
+  return embedded.map((page, index) => {
+    const rotation = sourcePages[index].getRotation().angle;
+    const turns = normalizeRotation(rotation) / 90;
+    const sideways = turns % 2 === 1;
+    return {
+      page,
+      turns,
+      width: sideways ? page.height : page.width,
+      height: sideways ? page.width : page.height,
+    };
+  });
+}
+
+// Scales a page to fit the box, centred, honouring the source page rotation.
+function drawPageInBox(sheet, source, box) {
+  const { degrees } = require("pdf-lib");
+  const scale = Math.min(box.width / source.width, box.height / source.height);
+  const width = source.width * scale;
+  const height = source.height * scale;
+  const placement = getRotatedPlacement(
+    box.x + (box.width - width) / 2,
+    box.y + (box.height - height) / 2,
+    width,
+    height,
+    source.turns,
+  );
+  sheet.drawPage(source.page, {
+    x: placement.x,
+    y: placement.y,
+    xScale: scale,
+    yScale: scale,
+    rotate: degrees(placement.rotate),
+  });
+}
+
+function imposeNUp(output, pages, options) {
+  const [shortSide, longSide] = getSheetSizePoints(options.paperSize);
+  const margin = IMPOSITION_MARGIN_MM * POINTS_PER_MM;
+  const [gridColumns, gridRows] = N_UP_GRIDS[options.layout];
+
+  // Try both sheet orientations with the grid both ways round and keep
+  // whichever shows the first page largest.
+  let best = null;
+  for (const [sheetWidth, sheetHeight] of [
+    [shortSide, longSide],
+    [longSide, shortSide],
+  ]) {
+    for (const [columns, rows] of [
+      [gridColumns, gridRows],
+      [gridRows, gridColumns],
+    ]) {
+      const cellWidth = (sheetWidth - margin * 2) / columns;
+      const cellHeight = (sheetHeight - margin * 2) / rows;
+      const scale = Math.min(
+        cellWidth / pages[0].width,
+        cellHeight / pages[0].height,
+      );
+      if (!best || scale > best.scale) {
+        best = { sheetWidth, sheetHeight, columns, rows, scale };
       }
-      return { results };
     }
+  }
 
-    const targetPrinter = printerName;
+  const { sheetWidth, sheetHeight, columns, rows } = best;
+  const cellWidth = (sheetWidth - margin * 2) / columns;
+  const cellHeight = (sheetHeight - margin * 2) / rows;
+  const perSheet = columns * rows;
+  for (let first = 0; first < pages.length; first += perSheet) {
+    const sheet = output.addPage([sheetWidth, sheetHeight]);
+    pages.slice(first, first + perSheet).forEach((page, index) => {
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+      drawPageInBox(sheet, page, {
+        x: margin + column * cellWidth,
+        y: sheetHeight - margin - (row + 1) * cellHeight,
+        width: cellWidth,
+        height: cellHeight,
+      });
+    });
+  }
+  return sheetWidth > sheetHeight;
+}
 
-    // Step 1: Open the printer driver's Printing Preferences dialog
-    // This lets the user set color/BW, quality, paper size, orientation, pages per sheet, etc.
-    try {
-      console.log(`[Print] Opening preferences for printer: ${targetPrinter}`);
-      await new Promise((resolve) => {
-        // printui /e opens "Printing Preferences" for the named printer
-        const cmd = `printui /e /n "${targetPrinter.replace(/"/g, '\\"')}"`;
-        exec(cmd, (error) => {
-          // printui exits when the user closes the dialog (OK or Cancel)
-          if (error) {
-            console.error("[Print] Preferences dialog error:", error.message);
-          }
-          // We proceed to print regardless — user may have clicked OK or Cancel
-          resolve();
+// Sheet n (from 0) carries, as left and right halves, pages last-2n and 2n on
+// its front and 2n+1 and last-2n-1 on its back, so the folded stack reads in
+// order.
+function imposeBooklet(output, pages, options) {
+  const [sheetHeight, sheetWidth] = getSheetSizePoints(options.paperSize);
+  const margin = IMPOSITION_MARGIN_MM * POINTS_PER_MM;
+  const halfWidth = sheetWidth / 2;
+  const total = Math.ceil(pages.length / 4) * 4;
+
+  for (let sheetIndex = 0; sheetIndex < total / 4; sheetIndex++) {
+    const front = [total - 1 - sheetIndex * 2, sheetIndex * 2];
+    const back = [sheetIndex * 2 + 1, total - 2 - sheetIndex * 2];
+    for (const side of [front, back]) {
+      const sheet = output.addPage([sheetWidth, sheetHeight]);
+      side.forEach((pageIndex, half) => {
+        if (!pages[pageIndex]) return; // padding page
+        drawPageInBox(sheet, pages[pageIndex], {
+          x: half * halfWidth + margin,
+          y: margin,
+          width: halfWidth - margin * 2,
+          height: sheetHeight - margin * 2,
         });
       });
-    } catch (e) {
-      console.error("[Print] Failed to open preferences:", e);
     }
+  }
+  return true;
+}
 
-    // Step 2: Print each file to the selected printer with the configured preferences
-    for (const filePath of filePaths) {
-      try {
-        if (!fs.existsSync(filePath)) {
-          results.push({ filePath, error: "File not found" });
-          continue;
-        }
+function imposePoster(output, pages, options) {
+  const {
+    pushGraphicsState,
+    popGraphicsState,
+    rectangle,
+    clip,
+    endPath,
+  } = require("pdf-lib");
+  const [columns, rows] = POSTER_TILE_GRIDS[options.posterTiles];
+  const [shortSide, longSide] = getSheetSizePoints(options.paperSize);
+  const margin = POSTER_MARGIN_MM * POINTS_PER_MM;
+  // The job prints in one orientation, taken from the first page. Pages the
+  // other way round are given a quarter turn to fill the same tiles.
+  const landscape = pages[0].width > pages[0].height;
+  const sheetWidth = landscape ? longSide : shortSide;
+  const sheetHeight = landscape ? shortSide : longSide;
+  const tileWidth = sheetWidth - margin * 2;
+  const tileHeight = sheetHeight - margin * 2;
+  // drawCutMarks works in millimetres from the sheet's top-left corner.
+  const sheetMm = { sheetHeight: sheetHeight / POINTS_PER_MM };
+  const innerMm = {
+    left: POSTER_MARGIN_MM,
+    top: POSTER_MARGIN_MM,
+    right: sheetWidth / POINTS_PER_MM - POSTER_MARGIN_MM,
+    bottom: sheetMm.sheetHeight - POSTER_MARGIN_MM,
+  };
 
-        const ext = path.extname(filePath).toLowerCase();
-        const isPDF = ext === ".pdf";
-        const imageExts = [
-          ".jpg",
-          ".jpeg",
-          ".png",
-          ".bmp",
-          ".gif",
-          ".tiff",
-          ".tif",
-          ".webp",
-        ];
-        const isImage = imageExts.includes(ext);
-
-        if (isPDF) {
-          // Use pdf-to-printer (SumatraPDF) to print to the selected printer
-          const ptp = require("pdf-to-printer");
-          await ptp.print(filePath, { printer: targetPrinter });
-          results.push({ filePath, success: true, method: "pdf-to-printer" });
-        } else if (isImage) {
-          // Use mspaint to print images to the specific printer
-          await new Promise((resolve, reject) => {
-            execFile(
-              "mspaint.exe",
-              ["/pt", filePath, targetPrinter],
-              (error) => {
-                if (error) reject(error);
-                else resolve();
-              },
-            );
-          });
-          results.push({ filePath, success: true, method: "mspaint-print" });
-        } else {
-          // For other file types (DOCX, PPTX, etc.), open with default app
-          shell.openPath(filePath);
-          results.push({ filePath, success: true, method: "default-app" });
-        }
-      } catch (err) {
-        console.error(`[Print] Error printing ${filePath}:`, err);
-        results.push({ filePath, error: err.message });
+  for (const source of pages) {
+    const page =
+      source.width > source.height === landscape
+        ? source
+        : {
+            ...source,
+            turns: (source.turns + 1) % 4,
+            width: source.height,
+            height: source.width,
+          };
+    const scale = Math.min(
+      (tileWidth * columns) / page.width,
+      (tileHeight * rows) / page.height,
+    );
+    const width = page.width * scale;
+    const height = page.height * scale;
+    // Offsets centre the enlarged page on the whole poster.
+    const offsetX = (tileWidth * columns - width) / 2;
+    const offsetY = (tileHeight * rows - height) / 2;
+
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const sheet = output.addPage([sheetWidth, sheetHeight]);
+        const top = sheetHeight - margin + row * tileHeight - offsetY;
+        sheet.pushOperators(
+          pushGraphicsState(),
+          rectangle(margin, margin, tileWidth, tileHeight),
+          clip(),
+          endPath(),
+        );
+        drawPageInBox(sheet, page, {
+          x: margin - column * tileWidth + offsetX,
+          y: top - height,
+          width,
+          height,
+        });
+        sheet.pushOperators(popGraphicsState());
+        drawCutMarks(sheet, sheetMm, {
+          ...innerMm,
+          columnEdges: [innerMm.left, innerMm.right],
+          rowEdges: [innerMm.top, innerMm.bottom],
+        });
       }
     }
+  }
+  return landscape;
+}
 
-    return { results };
-  },
-);
+const IMPOSERS = {
+  "2-up": imposeNUp,
+  "4-up": imposeNUp,
+  "9-up": imposeNUp,
+  booklet: imposeBooklet,
+  poster: imposePoster,
+};
 
-// Get available printers
-ipcMain.handle("get-printers", async () => {
-  try {
-    const { exec } = require("child_process");
-    const printers = await new Promise((resolve, reject) => {
-      exec(
-        'powershell -Command "Get-CimInstance Win32_Printer | Select-Object -ExpandProperty Name"',
-        (err, stdout) => {
-          if (err) reject(err);
-          else {
-            const names = stdout
-              .split("\n")
-              .map((s) => s.trim())
-              .filter(Boolean);
-            resolve(names.map((name) => ({ name })));
-          }
-        },
-      );
+// Returns the PDF bytes and whether its sheets are landscape.
+async function imposePdf(filePath, options) {
+  const { PDFDocument } = require("pdf-lib");
+  const output = await PDFDocument.create();
+  const pages = await loadImpositionPages(
+    output,
+    filePath,
+    options.pageRanges,
+  );
+  if (pages.length === 0) throw new Error("The document has no pages");
+  const landscape = IMPOSERS[options.layout](output, pages, options);
+  return { pdfBytes: await output.save(), landscape };
+}
+
+// Returns the file and options that go to the printer. An imposed PDF already
+// holds the chosen pages, so page ranges are dropped and the orientation
+// follows its sheets; booklets are always printed duplex, flipping on the
+// short edge. A retried job reuses the PDF made the first time.
+async function imposeForPrinting(job, filePath, options) {
+  if (options.layout === "normal") return { printPath: filePath, options };
+  const isPdf = path.extname(filePath).toLowerCase() === ".pdf";
+  if (!isPdf && !isImageFilePath(filePath)) {
+    throw new Error(
+      `A ${describePrintLayout(options)} layout needs a PDF or image; install LibreOffice to use it with Office files`,
+    );
+  }
+
+  let printPath = job.imposedPath;
+  let landscape = job.imposedLandscape;
+  if (!printPath || !fs.existsSync(printPath)) {
+    const imposed = await imposePdf(filePath, options);
+    const file = await saveGeneratedPdf({
+      chatId: job.chatId,
+      fileName: `${pdfStem(job.filePath)} (${describePrintLayout(options)}).pdf`,
+      data: imposed.pdfBytes,
+      sources: [job.filePath],
+    });
+    printPath = file.localPath;
+    landscape = imposed.landscape;
+    updatePrintJob(job, {
+      imposedPath: printPath,
+      imposedLandscape: landscape,
     });
-    return { printers };
-  } catch (err) {
-    return { error: err.message, printers: [] };
   }
-});
 
-// Open downloads folder
-ipcMain.handle("open-downloads-folder", async () => {
-  shell.openPath(DOWNLOADS_DIR);
-  return { success: true };
-});
+  return {
+    printPath,
+    options: {
+      ...options,
+      pageRanges: "",
+      orientation: landscape ? "landscape" : "portrait",
+      duplex: options.layout === "booklet" ? "short-edge" : options.duplex,
+    },
+  };
+}
 
-// Open a specific file
-ipcMain.handle("open-file", async (event, filePath) => {
-  if (fs.existsSync(filePath)) {
-    shell.openPath(filePath);
-    return { success: true };
-  }
-  return { error: "File not found" };
-});
+// ── Orders ───────────────────────────────────────────────────────────────────
+// An order groups files a customer sent in one chat into a ticket with a short
+// order number that staff can call out at the counter, and tracks it from
+// "received" to "collected".
+const ORDERS_FILE = "orders.json";
+const ORDER_STATUSES = ["received", "printing", "ready", "collected"];
+const FIRST_ORDER_NUMBER = 1001;
+let ordersLoaded = false;
+let nextOrderNumber = FIRST_ORDER_NUMBER;
+const orders = [];
+
+function getOrdersPath() {
+  return getUserDataPath(ORDERS_FILE);
+}
+
+function ensureOrdersLoaded() {
+  if (ordersLoaded) return;
+  ordersLoaded = true;
 
-// Open Windows "Open With" dialog for a single file
-ipcMain.handle("open-with-dialog", async (event, filePath) => {
   try {
-    if (!filePath || !fs.existsSync(filePath)) {
-      return { error: "File not found" };
+    const filePath = getOrdersPath();
+    if (!fs.existsSync(filePath)) return;
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!parsed || !Array.isArray(parsed.orders)) return;
+
+    for (const order of parsed.orders) {
+      if (!order || !order.id) continue;
+      orders.push(order);
     }
-    await launchWindowsOpenWithDialog(filePath);
-    return { success: true };
+
+    // Never hand out a number twice, even if the counter was lost.
+    const highestNumber = orders.reduce(
+      (max, order) => Math.max(max, Number(order.orderNumber) || 0),
+      0,
+    );
+    nextOrderNumber = Math.max(
+      Number(parsed.nextOrderNumber) || FIRST_ORDER_NUMBER,
+      highestNumber + 1,
+    );
   } catch (error) {
-    return { error: error.message || "Failed to open dialog" };
+    console.warn("[Orders] Failed to load orders:", error.message);
   }
-});
+}
 
-ipcMain.handle("get-open-with-apps", async (event, filePath) => {
+function persistOrders() {
+  ensureOrdersLoaded();
   try {
-    if (!filePath || !fs.existsSync(filePath)) {
-      return { error: "File not found", apps: [] };
+    fs.writeFileSync(
+      getOrdersPath(),
+      JSON.stringify({ nextOrderNumber, orders }, null, 2),
+    );
+  } catch (error) {
+    console.warn("[Orders] Failed to persist orders:", error.message);
+  }
+}
+
+function getOrder(orderId) {
+  ensureOrdersLoaded();
+  return orders.find((order) => order.id === orderId) || null;
+}
+
+function getCustomerNumberFromChatId(chatId) {
+  // Only 1:1 chats ("<number>@c.us") carry the customer's phone number.
+  if (typeof chatId !== "string" || !chatId.endsWith("@c.us")) return null;
+  return chatId.split("@")[0] || null;
+}
+
+function toOrderItem(item) {
+  const filePath =
+    item.filePath ||
+    (item.messageId
+      ? resolveDownloadedPath(item.messageId, item.fileName)
+      : null);
+  return {
+    messageId: item.messageId || null,
+    fileName: item.fileName || (filePath ? path.basename(filePath) : "file"),
+    filePath: filePath || null,
+    mimeType: item.mimeType || null,
+    fileSize: Number(item.fileSize) || 0,
+    pageCount: null,
+  };
+}
+
+// Items added before their media finished downloading pick up the local path
+// once the download index knows about it.
+function resolveOrderItemPaths(order) {
+  let changed = false;
+  for (const item of order.items || []) {
+    if (item.filePath && fs.existsSync(item.filePath)) continue;
+    const resolved = item.messageId
+      ? resolveDownloadedPath(item.messageId, item.fileName)
+      : null;
+    if ((resolved || null) !== (item.filePath || null)) {
+      item.filePath = resolved || null;
+      changed = true;
     }
+  }
+  return changed;
+}
 
-    const apps = await listOpenWithApps(filePath);
-    cleanupOpenWithSessions();
+function updateOrder(order, changes) {
+  const now = Date.now();
+  const becameReady = changes.status === "ready" && order.status !== "ready";
+  if (changes.status && changes.status !== order.status) {
+    order.statusHistory = [
+      ...(order.statusHistory || []),
+      { status: changes.status, at: now },
+    ];
+  }
+  Object.assign(order, changes, { updatedAt: now });
+  persistOrders();
+  sendAppEvent("order:updated", { ...order });
 
-    const requestId =
-      typeof crypto.randomUUID === "function"
-        ? crypto.randomUUID()
-        : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  if (becameReady) maybeSendOrderReadyMessage(order.id);
+  return order;
+}
 
-    const commandMap = new Map(
-      apps
-        .filter(
-          (a) =>
-            a.id !== "__default__" &&
-            a.id !== "__windows_open_with__" &&
-            a.id !== WINDOWS_FILE_EXPLORER_APP_ID &&
-            a.command,
-        )
-        .map((a) => [a.id, a.command]),
-    );
-    openWithSessions.set(requestId, { createdAt: Date.now(), commandMap });
+async function createOrder({ chatId, customerName, items, notes }) {
+  ensureOrdersLoaded();
+
+  const orderItems = (Array.isArray(items) ? items : [])
+    .filter((item) => item && (item.messageId || item.filePath))
+    .map(toOrderItem);
+  if (orderItems.length === 0) {
+    throw new Error("An order needs at least one file");
+  }
+  for (const item of orderItems) {
+    item.pageCount = await countFilePages(item.filePath);
+  }
+
+  const now = Date.now();
+  const customerNumber = getCustomerNumberFromChatId(chatId);
+  const order = {
+    id: generateRecordId(),
+    orderNumber: nextOrderNumber++,
+    chatId: chatId || null,
+    customerName: (customerName || "").trim() || customerNumber || "Customer",
+    customerNumber,
+    items: orderItems,
+    notes: typeof notes === "string" ? notes.trim() : "",
+    amountDue: null,
+    readyMessage: null,
+    status: "received",
+    statusHistory: [{ status: "received", at: now }],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  orders.push(order);
+  persistOrders();
+  sendAppEvent("order:updated", { ...order });
+  return order;
+}
+
+function setOrderStatus(orderId, status) {
+  const order = getOrder(orderId);
+  if (!order) return { error: "Order not found" };
+  if (!ORDER_STATUSES.includes(status)) {
+    return { error: `Unknown order status "${status}"` };
+  }
+  return { success: true, order: { ...updateOrder(order, { status }) } };
+}
+
+function updateOrderDetails(orderId, { customerName, notes, amountDue } = {}) {
+  const order = getOrder(orderId);
+  if (!order) return { error: "Order not found" };
+
+  const changes = {};
+  if (typeof customerName === "string" && customerName.trim()) {
+    changes.customerName = customerName.trim();
+  }
+  if (typeof notes === "string") changes.notes = notes.trim();
+  if (amountDue !== undefined) {
+    const amount =
+      amountDue === null || amountDue === "" ? null : Number(amountDue);
+    if (amount !== null && (!Number.isFinite(amount) || amount < 0)) {
+      return { error: "Amount due must be a positive number" };
+    }
+    changes.amountDue = amount;
+  }
+  return { success: true, order: { ...updateOrder(order, changes) } };
+}
+
+function deleteOrder(orderId) {
+  ensureOrdersLoaded();
+  const index = orders.findIndex((order) => order.id === orderId);
+  if (index === -1) return { error: "Order not found" };
+  orders.splice(index, 1);
+  persistOrders();
+  sendAppEvent("order:removed", { id: orderId });
+  return { success: true };
+}
+
+// Printing an order's files moves it along automatically; staff can still
+// set any status by hand from the Orders view.
+function markOrderPrinting(orderId) {
+  const order = getOrder(orderId);
+  if (order && order.status === "received") {
+    updateOrder(order, { status: "printing" });
+  }
+}
+
+function markOrderPrinted(orderId, finishedJobs) {
+  const order = getOrder(orderId);
+  if (!order || order.status !== "printing") return;
+  const allPrinted =
+    finishedJobs.length > 0 &&
+    finishedJobs.every((job) => job && job.status === "printed");
+  if (allPrinted) updateOrder(order, { status: "ready" });
+}
+
+ipcMain.handle("get-orders", async () => {
+  ensureOrdersLoaded();
+  if (orders.filter(resolveOrderItemPaths).length > 0) persistOrders();
+  return {
+    orders: [...orders]
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+      .map((order) => ({ ...order })),
+  };
+});
 
-    return {
-      requestId,
-      apps: apps.map((a) => ({ id: a.id, name: a.name })),
-    };
-  } catch (error) {
-    return { error: error.message || "Failed to get app list", apps: [] };
+ipcMain.handle("create-order", async (event, data) => {
+  try {
+    return { success: true, order: { ...(await createOrder(data || {})) } };
+  } catch (err) {
+    return { error: err.message };
   }
 });
 
-ipcMain.handle("sync-explorer-selection-folder", async (event, filePaths) => {
-  return syncExplorerSelectionFolder(filePaths);
+ipcMain.handle("update-order", async (event, orderId, changes) => {
+  return updateOrderDetails(orderId, changes);
 });
 
-ipcMain.handle("open-files-with-app", async (event, payload) => {
-  try {
-    const body = payload || {};
-    const requestId = body.requestId;
-    const appId = body.appId;
-    const filePaths = Array.isArray(body.filePaths) ? body.filePaths : [];
-    const existingFilePaths = filePaths.filter((fp) => fp && fs.existsSync(fp));
-    const allImages = existingFilePaths.every((fp) => isImageFilePath(fp));
+ipcMain.handle("set-order-status", async (event, orderId, status) => {
+  return setOrderStatus(orderId, status);
+});
 
-    if (!existingFilePaths.length) {
-      return { error: "No valid files selected" };
+ipcMain.handle("delete-order", async (event, orderId) => {
+  return deleteOrder(orderId);
+});
+
+// ── Storage Retention ────────────────────────────────────────────────────────
+// Removes downloaded files the shop no longer needs, by age, by how long ago
+// their order was collected, or oldest-first once the storage root exceeds a
+// quota. Files are deleted or moved to an archive folder, and the download
+// store is updated either way. Files in an open order or waiting to print are
+// never touched.
+const RETENTION_ACTIONS = ["delete", "archive"];
+const RETENTION_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const RETENTION_FIRST_RUN_DELAY_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+let retentionTimer = null;
+let retentionRunning = false;
+
+function normalizeRetentionPolicy(raw = {}) {
+  const nonNegative = (value) => Math.max(0, Number(value) || 0);
+  return {
+    enabled: Boolean(raw.enabled),
+    action: RETENTION_ACTIONS.includes(raw.action) ? raw.action : "delete",
+    archivePath: String(raw.archivePath || "").trim(),
+    maxAgeDays: nonNegative(raw.maxAgeDays),
+    collectedOrderDays: nonNegative(raw.collectedOrderDays),
+    quotaGb: nonNegative(raw.quotaGb),
+  };
+}
+
+function getRetentionProtectedPaths() {
+  ensureOrdersLoaded();
+  ensurePrintQueueLoaded();
+  const protectedPaths = new Set();
+  for (const order of orders) {
+    if (order.status === "collected") continue;
+    for (const item of order.items || []) {
+      if (item.filePath) protectedPaths.add(item.filePath);
+    }
+  }
+  for (const job of printJobs) {
+    if (!PRINT_JOB_FINAL_STATUSES.has(job.status)) {
+      protectedPaths.add(job.filePath);
     }
+  }
+  return protectedPaths;
+}
 
-    if (appId === "__paint__") {
-      // Open files in Paint - Paint only supports one file at a time
-      const results = [];
-      for (const filePath of existingFilePaths) {
-        try {
-          const { spawn } = require("child_process");
-          const child = spawn("mspaint.exe", [filePath], {
-            detached: true,
-            stdio: "ignore",
-          });
-          child.unref();
-          results.push({ filePath, success: true });
-          // Small delay between instances to ensure proper launching
-          if (existingFilePaths.length > 1) {
-            await new Promise((resolve) => setTimeout(resolve, 150));
-          }
-        } catch (error) {
-          results.push({ filePath, error: error.message });
-        }
+// Latest collection time of the orders each file belongs to.
+function getCollectedOrdersByPath() {
+  ensureOrdersLoaded();
+  const collectedByPath = new Map();
+  for (const order of orders) {
+    if (order.status !== "collected") continue;
+    const collected = [...(order.statusHistory || [])]
+      .reverse()
+      .find((entry) => entry.status === "collected");
+    const at = collected?.at || order.updatedAt;
+    for (const item of order.items || []) {
+      if (!item.filePath) continue;
+      const previous = collectedByPath.get(item.filePath);
+      if (!previous || previous.at < at) {
+        collectedByPath.set(item.filePath, {
+          at,
+          orderNumber: order.orderNumber,
+        });
       }
-      return { success: results.some((r) => r.success), results };
     }
+  }
+  return collectedByPath;
+}
 
-    if (appId === "__print_pictures__") {
-      return await openPrintPicturesDialog(existingFilePaths);
-    }
+// The dry run: lists what a cleanup with this policy would remove and why,
+// without changing anything.
+function planRetentionCleanup(rawPolicy, now = Date.now()) {
+  const policy = normalizeRetentionPolicy(rawPolicy);
+  if (policy.action === "archive" && !path.isAbsolute(policy.archivePath)) {
+    throw new Error("Choose an archive folder first");
+  }
 
-    if (appId === "__windows_photos__") {
-      return await openWithWindowsPhotos(existingFilePaths);
+  const protectedPaths = getRetentionProtectedPaths();
+  const collectedByPath = getCollectedOrdersByPath();
+
+  // Duplicates share one file (see saveDownloadedMedia), so the rules apply
+  // per file, and its most recent download counts for the age rule.
+  const filesByPath = new Map();
+  for (const record of getActiveDownloadRecords()) {
+    const known = filesByPath.get(record.localPath);
+    if (known) {
+      known.messageIds.push(record.messageId);
+      known.downloadedAt = Math.max(known.downloadedAt, record.downloadedAt);
+      continue;
     }
-
-    if (appId === WINDOWS_FILE_EXPLORER_APP_ID) {
-      return await openExplorerSelectionFolder(existingFilePaths);
+    try {
+      filesByPath.set(record.localPath, {
+        messageIds: [record.messageId],
+        localPath: record.localPath,
+        fileName: path.basename(record.localPath),
+        size: fs.statSync(record.localPath).size,
+        downloadedAt: record.downloadedAt,
+      });
+    } catch (_) {
+      // Deleted outside the app; getIndexedDownloadPath marks it missing.
     }
+  }
 
-    if (!appId || appId === "__default__") {
-      if (allImages) {
-        return await openPrintPicturesDialog(existingFilePaths);
-      }
-      for (const filePath of existingFilePaths) {
-        await shell.openPath(filePath);
-      }
-      return { success: true };
+  const candidates = [...filesByPath.values()].sort(
+    (a, b) => a.downloadedAt - b.downloadedAt,
+  );
+  let usedBytes = candidates.reduce((sum, file) => sum + file.size, 0);
+  const files = [];
+  const addFile = (file, reason) => {
+    files.push({ ...file, reason });
+    usedBytes -= file.size;
+  };
+
+  const removable = candidates.filter(
+    (file) => !protectedPaths.has(file.localPath),
+  );
+  for (const file of removable) {
+    const collected = collectedByPath.get(file.localPath);
+    if (
+      policy.maxAgeDays > 0 &&
+      now - file.downloadedAt > policy.maxAgeDays * DAY_MS
+    ) {
+      addFile(file, `Older than ${policy.maxAgeDays} days`);
+    } else if (
+      policy.collectedOrderDays > 0 &&
+      collected &&
+      now - collected.at > policy.collectedOrderDays * DAY_MS
+    ) {
+      addFile(
+        file,
+        `Order #${collected.orderNumber} collected over ${policy.collectedOrderDays} days ago`,
+      );
     }
+  }
 
-    if (appId === "__windows_open_with__") {
-      const results = [];
-      for (const filePath of existingFilePaths) {
-        try {
-          await launchWindowsOpenWithDialog(filePath);
-          results.push({ filePath, success: true });
-        } catch (error) {
-          results.push({ filePath, error: error.message || "Failed to open" });
-        }
-      }
-      return { success: results.some((r) => r.success), results };
+  const quotaBytes = policy.quotaGb * BYTES_PER_GB;
+  if (quotaBytes > 0 && usedBytes > quotaBytes) {
+    const planned = new Set(files.map((file) => file.localPath));
+    for (const file of removable) {
+      if (usedBytes <= quotaBytes) break;
+      if (planned.has(file.localPath)) continue;
+      addFile(file, `Storage over ${policy.quotaGb} GB`);
     }
+  }
 
-    cleanupOpenWithSessions();
-    const session = openWithSessions.get(requestId);
-    if (!session || !session.commandMap || !session.commandMap.has(appId)) {
-      return {
-        error: "App selection expired. Please open the app menu again.",
-      };
+  return {
+    action: policy.action,
+    files,
+    totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+    usedBytesAfter: usedBytes,
+    quotaBytes,
+  };
+}
+
+// Keeps the file's folders (date, customer) below the archive root when it
+// sits under a known storage root.
+function getArchiveFolderFor(filePath, archiveRoot) {
+  for (const root of [DOWNLOADS_DIR, app.getPath("downloads")]) {
+    if (!root) continue;
+    const relative = path.relative(root, path.dirname(filePath));
+    if (!relative.startsWith("..") && !path.isAbsolute(relative)) {
+      return path.join(archiveRoot, relative);
     }
+  }
+  return archiveRoot;
+}
 
-    const commandTemplate = session.commandMap.get(appId);
+async function moveFile(sourcePath, targetPath) {
+  try {
+    await fs.promises.rename(sourcePath, targetPath);
+  } catch (err) {
+    // rename cannot cross drives, e.g. to an archive on a USB disk.
+    if (err.code !== "EXDEV") throw err;
+    await fs.promises.copyFile(sourcePath, targetPath);
+    await fs.promises.unlink(sourcePath);
+  }
+}
+
+// Date and customer folders emptied by a cleanup are removed, up to (but not
+// including) the storage root.
+async function removeEmptyDownloadFolders(folder) {
+  let current = folder;
+  while (true) {
+    const relative = path.relative(DOWNLOADS_DIR, current);
+    if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+      return;
+    }
     try {
-      // Launch once with all selected files so compatible apps can open tabs
-      // in a single window instead of spawning one window per file.
-      await launchWithCommandTemplate(commandTemplate, existingFilePaths);
-      return {
-        success: true,
-        results: existingFilePaths.map((filePath) => ({
-          filePath,
-          success: true,
-        })),
-      };
-    } catch (error) {
-      return {
-        error: error.message || "Failed to open",
-        results: existingFilePaths.map((filePath) => ({
-          filePath,
-          error: error.message || "Failed to open",
-        })),
-      };
+      await fs.promises.rmdir(current);
+    } catch (_) {
+      return; // not empty
     }
-  } catch (error) {
-    return { error: error.message || "Failed to open files" };
+    current = path.dirname(current);
   }
-});
-
-// Open multiple images in the Windows "Print Pictures" dialog
-ipcMain.handle("open-print-pictures", async (event, filePaths) => {
-  return await openPrintPicturesDialog(filePaths);
-});
+}
 
-// Delete downloaded files + optionally delete from WhatsApp chat
-ipcMain.handle(
-  "delete-files",
-  async (event, { filePaths, messageIds, chatId }) => {
-    const results = [];
+// With onlyPaths, a cleanup staff confirmed from a preview touches just the
+// previewed files that a fresh plan still selects. A file printed, added to an
+// order or re-downloaded since the preview is therefore left alone.
+async function runRetentionCleanup(rawPolicy, { onlyPaths } = {}) {
+  if (retentionRunning) throw new Error("A cleanup is already running");
+  retentionRunning = true;
 
-    // 1. Delete local files from disk
-    for (const filePath of filePaths) {
+  try {
+    ensureDownloadsDir();
+    const policy = normalizeRetentionPolicy(rawPolicy);
+    const plan = planRetentionCleanup(policy);
+    const confirmed = onlyPaths ? new Set(onlyPaths) : null;
+    const files = confirmed
+      ? plan.files.filter((file) => confirmed.has(file.localPath))
+      : plan.files;
+    const processed = [];
+    const failed = [];
+
+    for (const file of files) {
       try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          results.push({ filePath, success: true });
+        await removeThumbnailFor(file.localPath);
+        let newPath = null;
+        if (policy.action === "archive") {
+          const target = resolveUniqueDownloadTarget(
+            file.fileName,
+            null,
+            getArchiveFolderFor(file.localPath, policy.archivePath),
+          );
+          await moveFile(file.localPath, target.localPath);
+          for (const messageId of file.messageIds) {
+            markDownloadArchived(messageId, target.localPath);
+          }
+          newPath = target.localPath;
         } else {
-          results.push({ filePath, error: "File not found on disk" });
+          await fs.promises.unlink(file.localPath);
+          file.messageIds.forEach(removeIndexedDownloadPath);
         }
+        await removeEmptyDownloadFolders(path.dirname(file.localPath));
+        processed.push({ ...file, newPath });
       } catch (err) {
-        results.push({ filePath, error: err.message });
+        failed.push({ ...file, error: err.message });
       }
     }
 
-    if (Array.isArray(messageIds)) {
-      results.forEach((result, index) => {
-        if (result?.success && messageIds[index]) {
-          removeIndexedDownloadPath(messageIds[index]);
-        }
+    const freedBytes = processed.reduce((sum, file) => sum + file.size, 0);
+    if (processed.length > 0) {
+      console.log(
+        `[Retention] ${policy.action === "archive" ? "Archived" : "Deleted"} ${processed.length} file(s), ${freedBytes} bytes`,
+      );
+      sendAppEvent("downloads:retention-applied", {
+        action: policy.action,
+        files: processed,
       });
     }
+    const skipped = confirmed ? confirmed.size - files.length : 0;
+    return { action: policy.action, processed, failed, skipped, freedBytes };
+  } finally {
+    retentionRunning = false;
+  }
+}
 
-    // 2. Delete messages from WhatsApp chat
-    const waResults = [];
-    if (isClientReady && chatId && messageIds && messageIds.length > 0) {
-      try {
-        const chat = await retryOnDetachedFrame(() =>
-          whatsappClient.getChatById(chatId),
-        );
-        const messages = await retryOnDetachedFrame(() =>
-          chat.fetchMessages({ limit: 100 }),
-        );
-
-        for (const msgId of messageIds) {
-          try {
-            const msg = messages.find((m) => m.id._serialized === msgId);
-            if (msg) {
-              // delete(true) = "delete for everyone" if recent enough, otherwise "delete for me"
-              await msg.delete(true);
-              waResults.push({ messageId: msgId, success: true });
-            } else {
-              waResults.push({
-                messageId: msgId,
-                error: "Message not found in chat",
-              });
-            }
-          } catch (msgErr) {
-            waResults.push({ messageId: msgId, error: msgErr.message });
-          }
-        }
-      } catch (chatErr) {
-        console.error("Error deleting WhatsApp messages:", chatErr);
-        waResults.push({ error: chatErr.message });
-      }
-    }
+async function runScheduledRetentionCleanup() {
+  const policy = getAppSettings().retention;
+  if (!policy.enabled || retentionRunning) return;
+  try {
+    await runRetentionCleanup(policy);
+  } catch (err) {
+    console.warn("[Retention] Scheduled cleanup failed:", err.message);
+  }
+}
 
-    return { results, waResults };
-  },
-);
+function scheduleRetentionCleanup() {
+  if (retentionTimer) return;
+  setTimeout(runScheduledRetentionCleanup, RETENTION_FIRST_RUN_DELAY_MS);
+  retentionTimer = setInterval(
+    runScheduledRetentionCleanup,
+    RETENTION_INTERVAL_MS,
+  );
+}
 
-// (Printer selection is now handled by the OS print dialog – see print-with-dialog handler)
+// Both take the policy from the settings form, so staff can preview changes
+// before saving them.
+ipcMain.handle("preview-retention-cleanup", async (event, policy) => {
+  try {
+    return { plan: planRetentionCleanup(policy || getAppSettings().retention) };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
 
-// Mark chat as read
-ipcMain.handle("mark-chat-read", async (event, chatId) => {
-  if (!isClientReady) return { error: "WhatsApp not ready" };
+ipcMain.handle("run-retention-cleanup", async (event, policy, filePaths) => {
+  if (!Array.isArray(filePaths)) return { error: "Invalid file paths" };
   try {
-    const chat = await retryOnDetachedFrame(() =>
-      whatsappClient.getChatById(chatId),
+    const result = await runRetentionCleanup(
+      policy || getAppSettings().retention,
+      { onlyPaths: filePaths },
     );
-    await retryOnDetachedFrame(() => chat.sendSeen());
-    return { success: true };
+    return { success: true, ...result };
   } catch (err) {
     return { error: err.message };
   }
 });
 
+// ── Ready Messages ───────────────────────────────────────────────────────────
+// Optional templated WhatsApp reply telling the customer their print is ready.
+// Placeholders are written as {name}; see READY_MESSAGE_PLACEHOLDERS.
+const READY_MESSAGE_PLACEHOLDERS = [
+  "customerName",
+  "orderNumber",
+  "pageCount",
+  "fileCount",
+  "amountDue",
+];
+
+function renderMessageTemplate(template, values) {
+  return String(template || "")
+    .replace(/\{(\w+)\}/g, (match, key) => {
+      if (!READY_MESSAGE_PLACEHOLDERS.includes(key)) return match;
+      const value = values[key];
+      return value === null || value === undefined ? "" : String(value);
+    })
+    .trim();
+}
+
+function formatAmount(amount) {
+  if (amount === null || amount === undefined || !Number.isFinite(amount)) {
+    return "";
+  }
+  const { currencySymbol } = getAppSettings();
+  return `${currencySymbol || ""}${amount.toFixed(2)}`;
+}
+
+// Page counts are only known once every item has been measured.
+function getOrderPageCount(order) {
+  const items = order.items || [];
+  if (items.length === 0) return null;
+  if (!items.every((item) => Number.isFinite(item.pageCount))) return null;
+  return items.reduce((sum, item) => sum + item.pageCount, 0);
+}
+
+function getOrderMessageValues(order) {
+  return {
+    customerName: order.customerName || "",
+    orderNumber: order.orderNumber,
+    pageCount: getOrderPageCount(order),
+    fileCount: (order.items || []).length,
+    amountDue: formatAmount(order.amountDue),
+  };
+}
+
+async function sendOrderReadyMessage(orderId) {
+  const order = getOrder(orderId);
+  if (!order) return { error: "Order not found" };
+  if (!order.chatId) return { error: "Order is not linked to a chat" };
+
+  const { readyMessage } = getAppSettings();
+  const text = renderMessageTemplate(
+    readyMessage.template,
+    getOrderMessageValues(order),
+  );
+  if (!text) return { error: "Ready message template is empty" };
+
+  const result = await sendTextMessage(order.chatId, text);
+  updateOrder(order, {
+    readyMessage: {
+      status: result.error ? "failed" : "sent",
+      at: Date.now(),
+      messageId: result.messageId || null,
+      error: result.error || null,
+    },
+  });
+  return result;
+}
+
+function maybeSendOrderReadyMessage(orderId) {
+  const order = getOrder(orderId);
+  const { readyMessage } = getAppSettings();
+  if (!order || !readyMessage.enabled || !readyMessage.onOrderReady) return;
+  // Moving an order back and forth must not message the customer twice.
+  if (order.readyMessage?.status === "sent") return;
+
+  sendOrderReadyMessage(orderId).catch((err) => {
+    console.error("[ReadyMessage] Failed to send order message:", err);
+  });
+}
+
+// Like getOrderPageCount, a batch only has a page count if every file does.
+async function getPrintBatchPageCount(jobs) {
+  let total = 0;
+  for (const job of jobs) {
+    const pageCount = await countFilePages(job.filePath).catch(() => null);
+    if (pageCount === null) return null;
+    total += pageCount;
+  }
+  return total;
+}
+
+// Print batches that are not part of an order get one message per batch once
+// every file has printed.
+async function maybeSendPrintBatchReadyMessage({ chatId, chatName, jobs }) {
+  const { readyMessage } = getAppSettings();
+  if (!readyMessage.enabled || !readyMessage.onPrintComplete || !chatId) {
+    return;
+  }
+  if (jobs.length === 0 || !jobs.every((job) => job?.status === "printed")) {
+    return;
+  }
+
+  const text = renderMessageTemplate(readyMessage.batchTemplate, {
+    customerName: chatName || "",
+    orderNumber: "",
+    pageCount: await getPrintBatchPageCount(jobs),
+    fileCount: jobs.length,
+    amountDue: "",
+  });
+  if (!text) return;
+
+  const result = await sendTextMessage(chatId, text);
+  for (const finished of jobs) {
+    const job = getPrintJob(finished.id);
+    if (!job) continue;
+    updatePrintJob(job, {
+      readyMessage: {
+        status: result.error ? "failed" : "sent",
+        at: Date.now(),
+        messageId: result.messageId || null,
+        error: result.error || null,
+      },
+    });
+  }
+}
+
+ipcMain.handle("send-order-ready-message", async (event, orderId) => {
+  return await sendOrderReadyMessage(orderId);
+});
+
 // ── Send Messages ────────────────────────────────────────────────────────────
 
-// Send text message
-ipcMain.handle("send-text-message", async (event, chatId, message) => {
+// Send a text message and mirror it into the renderer's chat view
+async function sendTextMessage(chatId, message) {
   if (!isClientReady) return { error: "WhatsApp not ready" };
   if (!chatId || !message) return { error: "Missing chatId or message" };
   try {
@@ -2957,13 +7466,18 @@ ipcMain.handle("send-text-message", async (event, chatId, message) => {
       body: message,
       fromMe: true,
     };
-    mainWindow?.webContents.send("whatsapp:message-sent", msgInfo);
+    sendAppEvent("whatsapp:message-sent", msgInfo);
 
     return { success: true, messageId: sentMsg.id._serialized };
   } catch (err) {
     console.error("Error sending text message:", err);
     return { error: err.message };
   }
+}
+
+// Send text message
+ipcMain.handle("send-text-message", async (event, chatId, message) => {
+  return await sendTextMessage(chatId, message);
 });
 
 // Send voice message
@@ -3128,7 +7642,7 @@ ipcMain.handle(
         body: "",
         fromMe: true,
       };
-      mainWindow?.webContents.send("whatsapp:message-sent", msgInfo);
+      sendAppEvent("whatsapp:message-sent", msgInfo);
 
       return { success: true, messageId: sentMsg.id._serialized };
     } catch (err) {
@@ -3142,44 +7656,45 @@ ipcMain.handle(
 );
 
 // Send file message
-ipcMain.handle(
-  "send-file-message",
-  async (event, chatId, filePath, caption) => {
-    if (!isClientReady) return { error: "WhatsApp not ready" };
-    if (!chatId || !filePath) return { error: "Missing chatId or file path" };
-    try {
-      if (!fs.existsSync(filePath)) {
-        return { error: "File not found" };
-      }
+async function sendFileMessage(chatId, filePath, caption) {
+  if (!isClientReady) return { error: "WhatsApp not ready" };
+  if (!chatId || !filePath) return { error: "Missing chatId or file path" };
+  try {
+    if (!fs.existsSync(filePath)) {
+      return { error: "File not found" };
+    }
 
-      const chat = await retryOnDetachedFrame(() =>
-        whatsappClient.getChatById(chatId),
-      );
+    const chat = await retryOnDetachedFrame(() =>
+      whatsappClient.getChatById(chatId),
+    );
 
-      const media = MessageMedia.fromFilePath(filePath);
-      const sentMsg = await retryOnDetachedFrame(() =>
-        chat.sendMessage(media, { caption: caption || "" }),
-      );
+    const media = MessageMedia.fromFilePath(filePath);
+    const sentMsg = await retryOnDetachedFrame(() =>
+      chat.sendMessage(media, { caption: caption || "" }),
+    );
 
-      // Notify renderer about the sent message
-      const msgInfo = {
-        messageId: sentMsg.id._serialized,
-        chatId,
-        sender: null,
-        timestamp: sentMsg.timestamp || Math.floor(Date.now() / 1000),
-        type: sentMsg.type || "document",
-        body: caption || "",
-        fileName: path.basename(filePath),
-        fromMe: true,
-      };
-      mainWindow?.webContents.send("whatsapp:message-sent", msgInfo);
+    // Notify renderer about the sent message
+    const msgInfo = {
+      messageId: sentMsg.id._serialized,
+      chatId,
+      sender: null,
+      timestamp: sentMsg.timestamp || Math.floor(Date.now() / 1000),
+      type: sentMsg.type || "document",
+      body: caption || "",
+      fileName: path.basename(filePath),
+      fromMe: true,
+    };
+    sendAppEvent("whatsapp:message-sent", msgInfo);
 
-      return { success: true, messageId: sentMsg.id._serialized };
-    } catch (err) {
-      console.error("Error sending file message:", err);
-      return { error: err.message };
-    }
-  },
+    return { success: true, messageId: sentMsg.id._serialized };
+  } catch (err) {
+    console.error("Error sending file message:", err);
+    return { error: err.message };
+  }
+}
+
+ipcMain.handle("send-file-message", async (event, chatId, filePath, caption) =>
+  sendFileMessage(chatId, filePath, caption),
 );
 
 // Select file to send (opens file dialog)
@@ -3341,7 +7856,7 @@ ipcMain.handle("logout-whatsapp", async () => {
   }
 
   // Notify renderer to switch to login screen
-  mainWindow?.webContents.send("whatsapp:status", "logged_out");
+  sendAppEvent("whatsapp:status", "logged_out");
 
   // Re-initialize for fresh QR
   setTimeout(() => {
@@ -3392,10 +7907,55 @@ ipcMain.handle("logout-and-restart", async () => {
   return { success: true };
 });
 
+// ── File Preview ─────────────────────────────────────────────────────────────
+// The renderer draws PDF pages itself with pdf.js; it only needs the bytes,
+// with Office documents converted first. Only files the app downloaded or
+// generated are served, since the thumbnail windows that also call this
+// render untrusted PDFs.
+ipcMain.handle("get-preview-pdf", async (event, filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) return { error: "File not found" };
+  if (!isRecordedDownloadPath(String(filePath))) {
+    return { error: "Preview is only available for downloaded files" };
+  }
+
+  const isPdf = path.extname(filePath).toLowerCase() === ".pdf";
+  if (!isPdf && !isOfficeFilePath(filePath)) {
+    return { error: "Preview is only available for PDF and Office documents" };
+  }
+
+  try {
+    const pdfPath = isPdf ? filePath : await convertOfficeToPdf(filePath);
+    return { data: await fs.promises.readFile(pdfPath) };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
 // ── Thumbnail Generation ─────────────────────────────────────────────────────
-let thumbWindow = null;
-let thumbBusy = false;
+// Hidden windows load src/thumbnail.html, which draws the first page of a PDF
+// (Office documents are converted first) or a downscaled image onto a canvas.
+// renderThumbnail() there resolves once drawing has finished, so nothing has
+// to guess how long rendering takes. HEIC and TIFF, which Chromium cannot
+// decode, use the operating system's thumbnail provider instead.
+const THUMBNAIL_WIDTH = 200;
+const THUMBNAIL_CONCURRENCY = 2;
+const THUMBNAIL_TIMEOUT_MS = 30000;
+const THUMBNAIL_WORKER_IDLE_MS = 60000;
+const THUMBNAIL_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const THUMBNAIL_CACHE_LIMIT = 2000;
+const BROWSER_IMAGE_EXTENSIONS = new Set([
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".gif",
+  ".bmp",
+  ".webp",
+  ".avif",
+]);
+const SYSTEM_IMAGE_EXTENSIONS = new Set([".heic", ".heif", ".tif", ".tiff"]);
+const thumbWorkers = [];
 const thumbQueue = [];
+const thumbnailsInFlight = new Map(); // thumbnail path → Promise
 
 function ensureThumbDir() {
   const thumbDir = getUserDataPath("thumbnails");
@@ -3403,73 +7963,231 @@ function ensureThumbDir() {
   return thumbDir;
 }
 
-ipcMain.handle("generate-thumbnail", async (event, filePath) => {
-  if (!filePath || !fs.existsSync(filePath)) return { error: "File not found" };
-
+function getThumbnailKind(filePath) {
   const ext = path.extname(filePath).toLowerCase();
-  if (ext !== ".pdf") return { error: "Unsupported file type" };
+  if (ext === ".pdf" || isOfficeFilePath(filePath)) return "pdf";
+  if (BROWSER_IMAGE_EXTENSIONS.has(ext)) return "image";
+  if (SYSTEM_IMAGE_EXTENSIONS.has(ext)) return "system";
+  return null;
+}
 
-  const thumbDir = ensureThumbDir();
-  const stat = fs.statSync(filePath);
+function getThumbnailPath(filePath, stat) {
   const hash = crypto
     .createHash("md5")
     .update(`${filePath}_${stat.size}_${stat.mtimeMs}`)
     .digest("hex");
-  const thumbPath = path.join(thumbDir, hash + ".png");
+  return path.join(ensureThumbDir(), hash + ".png");
+}
 
+async function generateThumbnail(filePath) {
+  const kind = getThumbnailKind(filePath);
+  if (!kind) throw new Error("Unsupported file type");
+
+  const thumbPath = getThumbnailPath(
+    filePath,
+    await fs.promises.stat(filePath),
+  );
   if (fs.existsSync(thumbPath)) {
-    return { thumbnailPath: thumbPath };
+    // Touched on use so cache cleanup only removes thumbnails nobody views.
+    const now = new Date();
+    fs.promises.utimes(thumbPath, now, now).catch(() => {});
+    return thumbPath;
   }
 
-  return new Promise((resolve) => {
-    thumbQueue.push({ filePath, thumbPath, resolve });
+  if (!thumbnailsInFlight.has(thumbPath)) {
+    const work = createThumbnail(filePath, kind, thumbPath).finally(() =>
+      thumbnailsInFlight.delete(thumbPath),
+    );
+    thumbnailsInFlight.set(thumbPath, work);
+  }
+  return thumbnailsInFlight.get(thumbPath);
+}
+
+async function createThumbnail(filePath, kind, thumbPath) {
+  let png;
+  if (kind === "system") {
+    png = await createSystemThumbnail(filePath);
+  } else {
+    const sourcePath = isOfficeFilePath(filePath)
+      ? await convertOfficeToPdf(filePath)
+      : filePath;
+    png = await runThumbnailJob({ kind, filePath: sourcePath });
+  }
+  await fs.promises.writeFile(thumbPath, png);
+  return thumbPath;
+}
+
+async function createSystemThumbnail(filePath) {
+  // Only available on Windows and macOS; HEIC also needs the HEIF codec.
+  if (typeof nativeImage.createThumbnailFromPath !== "function") {
+    throw new Error("No thumbnail provider for this format");
+  }
+  const image = await nativeImage.createThumbnailFromPath(filePath, {
+    width: THUMBNAIL_WIDTH,
+    height: Math.round(THUMBNAIL_WIDTH * 1.3),
+  });
+  if (image.isEmpty()) throw new Error("No thumbnail provider for this format");
+  return image.toPNG();
+}
+
+function runThumbnailJob(job) {
+  return new Promise((resolve, reject) => {
+    thumbQueue.push({ ...job, resolve, reject });
     processThumbQueue();
   });
-});
+}
 
-async function processThumbQueue() {
-  if (thumbBusy || thumbQueue.length === 0) return;
-  thumbBusy = true;
+function processThumbQueue() {
+  while (thumbQueue.length > 0) {
+    const worker = acquireThumbWorker();
+    if (!worker) return;
+    runOnThumbWorker(worker, thumbQueue.shift());
+  }
+}
 
-  const { filePath, thumbPath, resolve } = thumbQueue.shift();
+function acquireThumbWorker() {
+  let worker = thumbWorkers.find((w) => !w.busy && !w.window.isDestroyed());
+  if (!worker && thumbWorkers.length < THUMBNAIL_CONCURRENCY) {
+    worker = createThumbWorker();
+  }
+  if (!worker) return null;
 
-  try {
-    if (!thumbWindow || thumbWindow.isDestroyed()) {
-      thumbWindow = new BrowserWindow({
-        width: 200,
-        height: 260,
-        show: false,
-        webPreferences: {
-          plugins: true,
-          contextIsolation: true,
-          nodeIntegration: false,
-        },
-      });
-    }
+  worker.busy = true;
+  clearTimeout(worker.idleTimer);
+  return worker;
+}
 
-    const fileUrl =
-      "file:///" +
-      filePath.replace(/\\/g, "/") +
-      "#toolbar=0&navpanes=0&scrollbar=0&view=Fit";
-    await thumbWindow.loadURL(fileUrl);
+function createThumbWorker() {
+  const win = new BrowserWindow({
+    width: 400,
+    height: 400,
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, "thumbnail-preload.js"),
+      contextIsolation: true,
+      nodeIntegration: false,
+      // Hidden windows are throttled by default, which stalls rendering.
+      backgroundThrottling: false,
+    },
+  });
+  const worker = {
+    window: win,
+    busy: false,
+    idleTimer: null,
+    ready: win.loadFile(path.join(__dirname, "src", "thumbnail.html")),
+  };
+  // Avoid an unhandled rejection if the page fails before its first job.
+  worker.ready.catch(() => {});
+
+  win.webContents.on("render-process-gone", () => win.destroy());
+  win.on("closed", () => {
+    clearTimeout(worker.idleTimer);
+    const index = thumbWorkers.indexOf(worker);
+    if (index !== -1) thumbWorkers.splice(index, 1);
+    processThumbQueue();
+  });
+  thumbWorkers.push(worker);
+  return worker;
+}
 
-    // Wait for PDF to render
-    await new Promise((r) => setTimeout(r, 2500));
+async function runOnThumbWorker(worker, job) {
+  const { pathToFileURL } = require("url");
+  let timer = null;
+
+  try {
+    await worker.ready;
+    const request = JSON.stringify({
+      kind: job.kind,
+      filePath: job.filePath,
+      fileUrl: pathToFileURL(job.filePath).href,
+      width: THUMBNAIL_WIDTH,
+    });
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        // A page stuck on a pathological file is replaced, not reused.
+        worker.window.destroy();
+        reject(new Error("Thumbnail rendering timed out"));
+      }, THUMBNAIL_TIMEOUT_MS);
+    });
+    const result = await Promise.race([
+      worker.window.webContents.executeJavaScript(
+        `renderThumbnail(${request})`,
+      ),
+      timeout,
+    ]);
+    if (result?.error) throw new Error(result.error);
+    job.resolve(Buffer.from(result.dataUrl.split(",")[1], "base64"));
+  } catch (err) {
+    job.reject(err);
+  } finally {
+    clearTimeout(timer);
+    worker.busy = false;
+    if (!worker.window.isDestroyed()) {
+      worker.idleTimer = setTimeout(
+        () => worker.window.destroy(),
+        THUMBNAIL_WORKER_IDLE_MS,
+      );
+    }
+    processThumbQueue();
+  }
+}
 
-    const image = await thumbWindow.webContents.capturePage();
-    const resized = image.resize({ width: 200 });
-    fs.writeFileSync(thumbPath, resized.toPNG());
+function destroyThumbWorkers() {
+  for (const worker of thumbWorkers.slice()) {
+    if (!worker.window.isDestroyed()) worker.window.destroy();
+  }
+}
 
-    resolve({ thumbnailPath: thumbPath });
+async function removeThumbnailFor(filePath) {
+  try {
+    const stat = await fs.promises.stat(filePath);
+    await fs.promises.unlink(getThumbnailPath(filePath, stat));
   } catch (err) {
-    console.error("Thumbnail generation error:", err);
-    resolve({ error: err.message });
+    // No thumbnail was ever made for this file.
+  }
+}
+
+// Drops thumbnails that have not been viewed for a while, and the oldest ones
+// once the cache grows past its limit.
+async function cleanupThumbnailCache() {
+  const thumbDir = ensureThumbDir();
+  const entries = [];
+  for (const name of await fs.promises.readdir(thumbDir)) {
+    const filePath = path.join(thumbDir, name);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      if (stat.isFile()) entries.push({ filePath, mtimeMs: stat.mtimeMs });
+    } catch (err) {
+      // Removed while scanning.
+    }
   }
 
-  thumbBusy = false;
-  processThumbQueue();
+  entries.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  const cutoff = Date.now() - THUMBNAIL_MAX_AGE_MS;
+  let removed = 0;
+  for (const [index, entry] of entries.entries()) {
+    if (index < THUMBNAIL_CACHE_LIMIT && entry.mtimeMs >= cutoff) continue;
+    try {
+      await fs.promises.unlink(entry.filePath);
+      removed += 1;
+    } catch (err) {
+      console.warn("[Thumbnails] Failed to remove:", err.message);
+    }
+  }
+  if (removed > 0) {
+    console.log(`[Thumbnails] Removed ${removed} stale thumbnail(s)`);
+  }
 }
 
+ipcMain.handle("generate-thumbnail", async (event, filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) return { error: "File not found" };
+  try {
+    return { thumbnailPath: await generateThumbnail(filePath) };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
 // ── Global error handlers ────────────────────────────────────────────────────
 // Prevent the app from crashing on transient puppeteer / whatsapp-web.js errors
 // such as "Attempted to use detached Frame" which can occur when WhatsApp Web
@@ -3625,6 +8343,7 @@ autoUpdater.on("update-downloaded", (info) => {
   }
   // Wait a moment so user sees "Installing..." then quit-and-install
   setTimeout(() => {
+    isQuitting = true;
     autoUpdater.quitAndInstall(false, true);
   }, 3000);
 });
@@ -3736,6 +8455,385 @@ ipcMain.on("cancel-update", () => {
   }
 });
 
+// ── Local API ────────────────────────────────────────────────────────────────
+// An optional HTTP + WebSocket server on 127.0.0.1 for the shop's own software
+// (point-of-sale, counter display). REST routes call the same functions as the
+// renderer's IPC handlers, and every event sent to the window is repeated to
+// WebSocket clients as { event, data }. Requests need the token from settings,
+// either as "Authorization: Bearer <token>" or, for browsers opening a
+// WebSocket, as ?token=<token>.
+const API_HOST = "127.0.0.1";
+const API_MAX_BODY_BYTES = 1024 * 1024;
+const API_HEARTBEAT_MS = 30000;
+let apiServer = null;
+let apiSocketServer = null;
+let apiHeartbeatTimer = null;
+let apiServerPort = null;
+let apiServerError = null;
+// The command-line tool talks to the app through this API, so once it has
+// started or woken the app the server stays up until the app quits.
+let apiRequiredByCli = isHeadless;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function generateApiToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+// Compares digests so the check takes the same time however much matches.
+function isValidApiToken(candidate) {
+  const { token } = getAppSettings().api;
+  if (!token || !candidate) return false;
+  const digest = (value) =>
+    crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(candidate), digest(token));
+}
+
+function getApiRequestToken(req, url) {
+  const header = req.headers.authorization || "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : url.searchParams.get("token");
+}
+
+function readApiBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > API_MAX_BODY_BYTES) {
+        reject(new ApiError(413, "Request body is too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8").trim();
+      if (!text) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch (err) {
+        reject(new ApiError(400, "Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Each route maps a method and path onto the function behind the matching IPC
+// handler. Path parameters are URL-decoded, since WhatsApp IDs contain "@".
+const API_ROUTES = [
+  {
+    method: "GET",
+    path: /^\/api\/status$/,
+    handle: () => ({ ready: isClientReady }),
+  },
+  {
+    method: "GET",
+    path: /^\/api\/chats$/,
+    handle: ({ query }) =>
+      getAllChats({ limit: Number(query.get("limit")) || undefined }),
+  },
+  {
+    method: "GET",
+    path: /^\/api\/chats\/unread$/,
+    handle: () => getUnreadChats(),
+  },
+  {
+    method: "GET",
+    path: /^\/api\/chats\/([^/]+)\/files$/,
+    handle: ({ params }) => getChatFiles(params[0]),
+  },
+  {
+    method: "POST",
+    path: /^\/api\/chats\/([^/]+)\/messages$/,
+    handle: ({ params, body }) => {
+      if (!body.filePath) return sendTextMessage(params[0], body.text);
+      // Only files the app downloaded or generated can be sent, not any file
+      // the token holder can name.
+      if (!isRecordedDownloadPath(String(body.filePath))) {
+        throw new ApiError(403, "Only downloaded files can be sent");
+      }
+      return sendFileMessage(params[0], body.filePath, body.caption || "");
+    },
+  },
+  {
+    method: "POST",
+    path: /^\/api\/chats\/([^/]+)\/download-all$/,
+    handle: ({ params, body }) =>
+      startBulkDownload({ ...body, chatId: params[0] }),
+  },
+  {
+    method: "POST",
+    path: /^\/api\/downloads$/,
+    handle: ({ body }) =>
+      downloadChatFile({
+        messageId: body.messageId,
+        chatId: body.chatId,
+        fileName: body.fileName,
+      }),
+  },
+  {
+    method: "GET",
+    path: /^\/api\/chats\/([^/]+)\/downloads$/,
+    handle: ({ params, query }) => {
+      let downloads = getChatDownloads(params[0], {
+        from: query.get("from"),
+        to: query.get("to"),
+      });
+      // ?printable=1 leaves out voice notes, videos and other files the
+      // print queue cannot handle.
+      if (query.get("printable") === "1") {
+        downloads = downloads.filter(
+          ({ localPath }) =>
+            path.extname(localPath).toLowerCase() === ".pdf" ||
+            isImageFilePath(localPath) ||
+            isOfficeFilePath(localPath),
+        );
+      }
+      return { downloads };
+    },
+  },
+  {
+    method: "GET",
+    path: /^\/api\/downloads\/bulk$/,
+    handle: () => getBulkDownload(),
+  },
+  {
+    method: "GET",
+    path: /^\/api\/printers$/,
+    handle: () => getPrinters(),
+  },
+  {
+    method: "GET",
+    path: /^\/api\/print-jobs$/,
+    handle: () => getPrintJobs(),
+  },
+  {
+    method: "POST",
+    path: /^\/api\/print-jobs$/,
+    handle: ({ body }) => {
+      const { filePaths, printerName } = body;
+      if (!Array.isArray(filePaths) || filePaths.length === 0) {
+        throw new ApiError(400, "filePaths must be a non-empty array");
+      }
+      // Without a printer the job would open a print dialog on the shop PC.
+      if (!printerName || typeof printerName !== "string") {
+        throw new ApiError(400, "printerName is required");
+      }
+      const allRecorded = filePaths.every(
+        (filePath) =>
+          typeof filePath === "string" && isRecordedDownloadPath(filePath),
+      );
+      if (!allRecorded) {
+        throw new ApiError(403, "Only downloaded files can be printed");
+      }
+      // A print run can take minutes, so the jobs are returned once queued;
+      // follow them with GET /api/print-jobs or print:job-updated events.
+      const queued = queuePrintJobs(body);
+      if (queued.error) return { error: queued.error };
+      queued.finished.catch((err) => {
+        console.error("[API] Print request failed:", err);
+      });
+      return { jobs: queued.jobs.map((job) => ({ ...job })) };
+    },
+  },
+  {
+    method: "POST",
+    path: /^\/api\/print-jobs\/([^/]+)\/cancel$/,
+    handle: ({ params }) => cancelPrintJob(params[0]),
+  },
+  {
+    method: "POST",
+    path: /^\/api\/print-jobs\/([^/]+)\/retry$/,
+    handle: ({ params }) => retryPrintJob(params[0]),
+  },
+];
+
+function decodeApiPathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (_) {
+    throw new ApiError(400, "Malformed URL encoding in path");
+  }
+}
+
+function sendApiJson(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+  });
+  res.end(JSON.stringify(payload));
+}
+
+async function handleApiRequest(req, res) {
+  // Browser pages such as a counter display call the API from another origin;
+  // the token, not the origin, is what grants access.
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  try {
+    const url = new URL(req.url, `http://${API_HOST}`);
+    if (!isValidApiToken(getApiRequestToken(req, url))) {
+      throw new ApiError(401, "Missing or invalid API token");
+    }
+
+    let params = null;
+    const route = API_ROUTES.find((candidate) => {
+      if (candidate.method !== req.method) return false;
+      const match = candidate.path.exec(url.pathname);
+      if (match) params = match.slice(1).map(decodeApiPathParam);
+      return !!match;
+    });
+    if (!route) throw new ApiError(404, "Not found");
+
+    const body = req.method === "POST" ? await readApiBody(req) : {};
+    if (!isPlainObject(body)) {
+      throw new ApiError(400, "Request body must be a JSON object");
+    }
+    const result = await route.handle({
+      params,
+      query: url.searchParams,
+      body,
+    });
+    sendApiJson(res, result?.error ? 400 : 200, result ?? {});
+  } catch (err) {
+    if (!(err instanceof ApiError)) {
+      console.error("[API] Request failed:", err);
+    }
+    sendApiJson(res, err.status || 500, { error: err.message });
+  }
+}
+
+function handleApiUpgrade(req, socket, head) {
+  const url = new URL(req.url, `http://${API_HOST}`);
+  if (url.pathname !== "/events") {
+    socket.destroy();
+    return;
+  }
+  if (!isValidApiToken(getApiRequestToken(req, url))) {
+    socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+    return;
+  }
+  apiSocketServer.handleUpgrade(req, socket, head, (client) => {
+    client.isAlive = true;
+    client.on("pong", () => (client.isAlive = true));
+    apiSocketServer.emit("connection", client, req);
+  });
+}
+
+// Clients that stop answering pings (a counter display that lost power) are
+// dropped so events are not buffered for them.
+function checkApiClients() {
+  apiSocketServer?.clients.forEach((client) => {
+    if (!client.isAlive) {
+      client.terminate();
+      return;
+    }
+    client.isAlive = false;
+    client.ping();
+  });
+}
+
+function broadcastApiEvent(event, data) {
+  if (!apiSocketServer || apiSocketServer.clients.size === 0) return;
+  let message;
+  try {
+    message = JSON.stringify({ event, data: data ?? null });
+  } catch (err) {
+    console.warn(`[API] Could not serialise ${event}:`, err.message);
+    return;
+  }
+  apiSocketServer.clients.forEach((client) => {
+    if (client.readyState === 1) client.send(message);
+  });
+}
+
+function startApiServer() {
+  const settings = getAppSettings().api;
+  if (apiServer || !(settings.enabled || apiRequiredByCli)) return;
+  if (!settings.token) {
+    updateAppSettings({ api: { token: generateApiToken() } });
+  }
+
+  let WebSocketServer;
+  try {
+    ({ WebSocketServer } = require("ws"));
+  } catch (err) {
+    apiServerError = "The ws package is not installed";
+    console.error("[API] Could not load ws:", err.message);
+    return;
+  }
+  const http = require("http");
+  apiServerError = null;
+  apiServerPort = settings.port;
+  apiSocketServer = new WebSocketServer({ noServer: true });
+  apiServer = http.createServer((req, res) => handleApiRequest(req, res));
+  apiServer.on("upgrade", handleApiUpgrade);
+  apiServer.on("error", (err) => {
+    apiServerError =
+      err.code === "EADDRINUSE"
+        ? `Port ${settings.port} is already in use`
+        : err.message;
+    console.error("[API] Server error:", err.message);
+    stopApiServer();
+  });
+  apiServer.listen(settings.port, API_HOST, () =>
+    console.log(`[API] Listening on http://${API_HOST}:${settings.port}`),
+  );
+  apiHeartbeatTimer = setInterval(checkApiClients, API_HEARTBEAT_MS);
+}
+
+function stopApiServer() {
+  clearInterval(apiHeartbeatTimer);
+  apiHeartbeatTimer = null;
+  apiSocketServer?.clients.forEach((client) => client.terminate());
+  apiSocketServer?.close();
+  apiSocketServer = null;
+  apiServer?.close();
+  apiServer = null;
+  apiServerPort = null;
+}
+
+// Called after settings are saved; a new token applies without a restart.
+function applyApiServerSettings() {
+  const { port } = getAppSettings().api;
+  const enabled = getAppSettings().api.enabled || apiRequiredByCli;
+  if (apiServer && (!enabled || port !== apiServerPort)) stopApiServer();
+  if (enabled) startApiServer();
+  else apiServerError = null;
+}
+
+function getApiServerStatus() {
+  return {
+    running: !!apiServer && apiServer.listening,
+    url: apiServer ? `http://${API_HOST}:${apiServerPort}` : null,
+    clients: apiSocketServer?.clients.size || 0,
+    error: apiServerError,
+  };
+}
+
+ipcMain.handle("get-api-status", async () => getApiServerStatus());
+
+ipcMain.handle("reset-api-token", async () => {
+  // Clients that connected with the old token lose access straight away, and
+  // before the change is announced over the socket.
+  apiSocketServer?.clients.forEach((client) => client.terminate());
+  const settings = updateAppSettings({ api: { token: generateApiToken() } });
+  return { success: true, settings };
+});
+
 // ── App Lifecycle ────────────────────────────────────────────────────────────
 
 // Prevent multiple instances of the app
@@ -3743,12 +8841,15 @@ const gotSingleLock = app.requestSingleInstanceLock();
 if (!gotSingleLock) {
   app.quit();
 } else {
-  app.on("second-instance", () => {
-    // Focus the existing window instead of opening a new one
-    if (mainWindow) {
-      if (mainWindow.isMinimized()) mainWindow.restore();
-      mainWindow.focus();
+  app.on("second-instance", (event, commandLine) => {
+    // The command-line tool only needs the API; anything else focuses the
+    // existing window instead of opening a new one.
+    if (commandLine.includes("--headless")) {
+      apiRequiredByCli = true;
+      startApiServer();
+      return;
     }
+    showMainWindow();
   });
 
   app.whenReady().then(async () => {
@@ -3756,6 +8857,14 @@ if (!gotSingleLock) {
     cleanupStaleLockFiles();
     ensureDownloadsDir();
     createWindow();
+    createTray();
+    // Resume jobs that were still queued when the app last closed.
+    processPrintQueue();
+    cleanupThumbnailCache().catch((err) =>
+      console.warn("[Thumbnails] Cache cleanup failed:", err.message),
+    );
+    scheduleRetentionCleanup();
+    startApiServer();
 
     const startupUpdateResult = await checkForUpdatesAndMaybeDownload({
       startup: true,
@@ -3768,9 +8877,7 @@ if (!gotSingleLock) {
       );
     }
 
-    app.on("activate", () => {
-      if (BrowserWindow.getAllWindows().length === 0) createWindow();
-    });
+    app.on("activate", () => showMainWindow());
   });
 
   app.on("window-all-closed", async () => {
@@ -3783,15 +8890,12 @@ if (!gotSingleLock) {
   });
 
   app.on("before-quit", async () => {
+    isQuitting = true;
     clearExplorerSelectionFolder();
 
-    // Close thumbnail window if open
-    if (thumbWindow && !thumbWindow.isDestroyed()) {
-      try {
-        thumbWindow.close();
-      } catch (_) {}
-      thumbWindow = null;
-    }
+    destroyThumbWorkers();
+    closeDownloadStore();
+    stopApiServer();
     // Close update window if open
     if (updateWindow && !updateWindow.isDestroyed()) {
       try {
@@ -30,6 +30,16 @@ contextBridge.exposeInMainWorld("api", {
     ),
   onMessageSent: (callback) =>
     ipcRenderer.on("whatsapp:message-sent", (_, data) => callback(data)),
+  onPrintJobUpdated: (callback) =>
+    ipcRenderer.on("print:job-updated", (_, data) => callback(data)),
+  onOrderUpdated: (callback) =>
+    ipcRenderer.on("order:updated", (_, data) => callback(data)),
+  onOrderRemoved: (callback) =>
+    ipcRenderer.on("order:removed", (_, data) => callback(data)),
+  onRetentionApplied: (callback) =>
+    ipcRenderer.on("downloads:retention-applied", (_, data) => callback(data)),
+  onOpenChatRequest: (callback) =>
+    ipcRenderer.on("notifications:open-chat", (_, data) => callback(data)),
 
   // ── WhatsApp Actions ──
   getUnreadChats: () => ipcRenderer.invoke("get-unread-chats"),
@@ -39,6 +49,12 @@ contextBridge.exposeInMainWorld("api", {
   downloadFile: (data) => ipcRenderer.invoke("download-file", data),
   downloadAllFiles: (chatId) =>
     ipcRenderer.invoke("download-all-files", chatId),
+  startBulkDownload: (options) =>
+    ipcRenderer.invoke("start-bulk-download", options),
+  pauseBulkDownload: () => ipcRenderer.invoke("pause-bulk-download"),
+  resumeBulkDownload: () => ipcRenderer.invoke("resume-bulk-download"),
+  cancelBulkDownload: () => ipcRenderer.invoke("cancel-bulk-download"),
+  getBulkDownload: () => ipcRenderer.invoke("get-bulk-download"),
   markChatRead: (chatId) => ipcRenderer.invoke("mark-chat-read", chatId),
   reconnectWhatsApp: () => ipcRenderer.invoke("reconnect-whatsapp"),
   getWhatsAppStatus: () => ipcRenderer.invoke("get-whatsapp-status"),
@@ -58,6 +74,28 @@ contextBridge.exposeInMainWorld("api", {
   // ── Print Actions ──
   printWithSetup: (data) => ipcRenderer.invoke("print-with-setup", data),
   getPrinters: () => ipcRenderer.invoke("get-printers"),
+  openPrinterPreferences: (printerName) =>
+    ipcRenderer.invoke("open-printer-preferences", printerName),
+  getPrintJobs: () => ipcRenderer.invoke("get-print-jobs"),
+  cancelPrintJob: (jobId) => ipcRenderer.invoke("cancel-print-job", jobId),
+  retryPrintJob: (jobId) => ipcRenderer.invoke("retry-print-job", jobId),
+  clearFinishedPrintJobs: () =>
+    ipcRenderer.invoke("clear-finished-print-jobs"),
+
+  // ── Pricing ──
+  getPriceQuote: (data) => ipcRenderer.invoke("get-price-quote", data),
+  sendPriceQuote: (data) => ipcRenderer.invoke("send-price-quote", data),
+
+  // ── Orders ──
+  getOrders: () => ipcRenderer.invoke("get-orders"),
+  createOrder: (data) => ipcRenderer.invoke("create-order", data),
+  updateOrder: (orderId, changes) =>
+    ipcRenderer.invoke("update-order", orderId, changes),
+  setOrderStatus: (orderId, status) =>
+    ipcRenderer.invoke("set-order-status", orderId, status),
+  deleteOrder: (orderId) => ipcRenderer.invoke("delete-order", orderId),
+  sendOrderReadyMessage: (orderId) =>
+    ipcRenderer.invoke("send-order-ready-message", orderId),
 
   // ── File Actions ──
   openDownloadsFolder: () => ipcRenderer.invoke("open-downloads-folder"),
@@ -74,6 +112,23 @@ contextBridge.exposeInMainWorld("api", {
   deleteFiles: (data) => ipcRenderer.invoke("delete-files", data),
   generateThumbnail: (filePath) =>
     ipcRenderer.invoke("generate-thumbnail", filePath),
+  getFileMetadata: (filePaths) =>
+    ipcRenderer.invoke("get-file-metadata", filePaths),
+  getConversionStatus: () => ipcRenderer.invoke("get-conversion-status"),
+  getPreviewPdf: (filePath) => ipcRenderer.invoke("get-preview-pdf", filePath),
+  getDuplicateFiles: (messageIds) =>
+    ipcRenderer.invoke("get-duplicate-files", messageIds),
+  getLastPrinted: (filePaths) =>
+    ipcRenderer.invoke("get-last-printed", filePaths),
+  getGeneratedFiles: (chatId) =>
+    ipcRenderer.invoke("get-generated-files", chatId),
+  combineImagesToPdf: (data) =>
+    ipcRenderer.invoke("combine-images-to-pdf", data),
+  createPhotoSheet: (data) => ipcRenderer.invoke("create-photo-sheet", data),
+  mergePdfs: (data) => ipcRenderer.invoke("merge-pdfs", data),
+  extractPdfPages: (data) => ipcRenderer.invoke("extract-pdf-pages", data),
+  rearrangePdfPages: (data) =>
+    ipcRenderer.invoke("rearrange-pdf-pages", data),
 
   // ── License Validation ──
   checkLicense: (phoneNumber) =>
@@ -82,6 +137,15 @@ contextBridge.exposeInMainWorld("api", {
 
   // ── Settings ──
   getAdminContact: () => ipcRenderer.invoke("get-admin-contact"),
+  getSettings: () => ipcRenderer.invoke("get-settings"),
+  updateSettings: (patch) => ipcRenderer.invoke("update-settings", patch),
+  selectFolder: (options) => ipcRenderer.invoke("select-folder", options),
+  getApiStatus: () => ipcRenderer.invoke("get-api-status"),
+  resetApiToken: () => ipcRenderer.invoke("reset-api-token"),
+  previewRetentionCleanup: (policy) =>
+    ipcRenderer.invoke("preview-retention-cleanup", policy),
+  runRetentionCleanup: (policy, filePaths) =>
+    ipcRenderer.invoke("run-retention-cleanup", policy, filePaths),
 
   // ── Updates ──
   checkForUpdates: () => ipcRenderer.invoke("check-for-updates"),
@@ -26,6 +26,52 @@ let selectedOpenWithApp = {
 const openWithPreferenceByType = new Map();
 const pendingUnreadIds = new Map(); // chatId → Set<messageId> tracked client-side
 let autoReclickTimer = null;
+let printJobs = []; // mirror of the main-process print queue
+let orders = []; // mirror of the main-process order list
+let orderStatusFilter = "open";
+let appSettings = null; // mirror of the main-process app settings
+let imagePdfFiles = []; // images queued for "Images to PDF", in page order
+let photoSheetFile = null; // image open in the photo sheet panel
+// Crop frame centre, as fractions of the image's width and height
+const photoSheetCrop = { centerX: 0.5, centerY: 0.5 };
+let pdfToolsFiles = []; // PDFs open in the PDF tools panel
+let pdfToolsPages = []; // [{ page, rotate, info }] for single-PDF editing
+const SELECTION_QUOTE_DEBOUNCE_MS = 250;
+const FILE_METADATA_DEBOUNCE_MS = 150;
+// Converted to PDF by LibreOffice in the main process before analysis
+const OFFICE_FILE_TYPES = new Set([
+  "doc",
+  "docx",
+  "docm",
+  "dot",
+  "dotx",
+  "rtf",
+  "odt",
+  "ott",
+  "xls",
+  "xlsx",
+  "xlsm",
+  "ods",
+  "ots",
+  "ppt",
+  "pptx",
+  "pps",
+  "ppsx",
+  "odp",
+  "otp",
+  "odg",
+]);
+const fileMetadataByPath = new Map(); // localPath → main-process metadata
+const pendingFileMetadataPaths = new Set();
+const thumbnailByPath = new Map(); // localPath → thumbnail, null while pending
+const duplicatesByMessageId = new Map(); // messageId → copies, null if none
+let fileMetadataTimer = null;
+let selectionQuoteTimer = null;
+let selectionQuoteRequestId = 0;
+let printers = []; // printer status objects from the last getPrinters()
+let printerStatusTimer = null;
+let activePrintPresetId = null; // preset last applied in the print panel
+const PRINTER_STATUS_POLL_MS = 15000;
 const AUTO_REFRESH_INTERVAL = 10000; // 10 seconds
 const EXPLORER_SELECTION_SYNC_DEBOUNCE_MS = 120;
 let explorerSelectionSyncTimer = null;
@@ -105,6 +151,170 @@ function setupButtonListeners() {
   if (btnOpenFolder)
     btnOpenFolder.addEventListener("click", () => openDownloadsFolder());
 
+  // Print queue panel
+  const btnPrintQueue = document.getElementById("btn-print-queue");
+  if (btnPrintQueue)
+    btnPrintQueue.addEventListener("click", () => togglePrintQueuePanel());
+
+  const btnClosePrintQueue = document.getElementById("btn-close-print-queue");
+  if (btnClosePrintQueue)
+    btnClosePrintQueue.addEventListener("click", () =>
+      togglePrintQueuePanel(false),
+    );
+
+  const btnClearPrintJobs = document.getElementById("btn-clear-print-jobs");
+  if (btnClearPrintJobs)
+    btnClearPrintJobs.addEventListener("click", () => clearFinishedPrintJobs());
+
+  // Orders panel
+  const btnOrders = document.getElementById("btn-orders");
+  if (btnOrders) btnOrders.addEventListener("click", () => toggleOrdersPanel());
+
+  const btnCloseOrders = document.getElementById("btn-close-orders");
+  if (btnCloseOrders)
+    btnCloseOrders.addEventListener("click", () => toggleOrdersPanel(false));
+
+  const orderFilter = document.getElementById("order-status-filter");
+  if (orderFilter)
+    orderFilter.addEventListener("change", () => {
+      orderStatusFilter = orderFilter.value;
+      renderOrders();
+    });
+
+  const btnCreateOrder = document.getElementById("btn-create-order");
+  if (btnCreateOrder)
+    btnCreateOrder.addEventListener("click", () => createOrderFromSelection());
+
+  // File preview
+  const previewButtons = {
+    "btn-close-preview": () => closePreview(),
+    "btn-preview-prev": () => goToPreviewPage(preview?.currentPage - 1),
+    "btn-preview-next": () => goToPreviewPage(preview?.currentPage + 1),
+    "btn-preview-zoom-in": () => zoomPreview(PREVIEW_ZOOM_FACTOR),
+    "btn-preview-zoom-out": () => zoomPreview(1 / PREVIEW_ZOOM_FACTOR),
+    "btn-preview-fit": () => fitPreview(),
+    "btn-preview-select-all": () => setAllPreviewPagesSelected(true),
+    "btn-preview-select-none": () => setAllPreviewPagesSelected(false),
+    "btn-preview-print": () => printFromPreview(),
+  };
+  Object.entries(previewButtons).forEach(([id, handler]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", handler);
+  });
+
+  const previewPageInput = document.getElementById("preview-page-input");
+  if (previewPageInput)
+    previewPageInput.addEventListener("change", () =>
+      goToPreviewPage(Number(previewPageInput.value)),
+    );
+
+  const previewBody = document.getElementById("preview-body");
+  if (previewBody)
+    previewBody.addEventListener("scroll", () => updatePreviewCurrentPage());
+
+  // Images to PDF panel
+  const btnBulkDownload = document.getElementById("btn-bulk-download");
+  if (btnBulkDownload)
+    btnBulkDownload.addEventListener("click", () => toggleBulkDownloadPanel());
+
+  const btnCloseBulkDownload = document.getElementById(
+    "btn-close-bulk-download",
+  );
+  if (btnCloseBulkDownload)
+    btnCloseBulkDownload.addEventListener("click", () =>
+      toggleBulkDownloadPanel(false),
+    );
+
+  const btnBulkDownloadStart = document.getElementById(
+    "btn-bulk-download-start",
+  );
+  if (btnBulkDownloadStart)
+    btnBulkDownloadStart.addEventListener("click", () => startBulkDownload());
+
+  [
+    ["btn-bulk-pause", () => window.api.pauseBulkDownload()],
+    ["btn-bulk-resume", () => window.api.resumeBulkDownload()],
+    ["btn-bulk-cancel", () => window.api.cancelBulkDownload()],
+  ].forEach(([id, action]) => {
+    document.getElementById(id)?.addEventListener("click", async () => {
+      const result = await action();
+      if (result.error) showToast(result.error, "error");
+    });
+  });
+
+  const btnImagesToPdf = document.getElementById("btn-images-to-pdf");
+  if (btnImagesToPdf)
+    btnImagesToPdf.addEventListener("click", () => toggleImagePdfPanel());
+
+  const btnCloseImagePdf = document.getElementById("btn-close-image-pdf");
+  if (btnCloseImagePdf)
+    btnCloseImagePdf.addEventListener("click", () =>
+      toggleImagePdfPanel(false),
+    );
+
+  const btnImagePdfCreate = document.getElementById("btn-image-pdf-create");
+  if (btnImagePdfCreate)
+    btnImagePdfCreate.addEventListener("click", () => createPdfFromImages());
+
+  // Photo sheet panel
+  const btnPhotoSheet = document.getElementById("btn-photo-sheet");
+  if (btnPhotoSheet)
+    btnPhotoSheet.addEventListener("click", () => togglePhotoSheetPanel());
+
+  const btnClosePhotoSheet = document.getElementById("btn-close-photo-sheet");
+  if (btnClosePhotoSheet)
+    btnClosePhotoSheet.addEventListener("click", () =>
+      togglePhotoSheetPanel(false),
+    );
+
+  const btnPhotoSheetCreate = document.getElementById(
+    "btn-photo-sheet-create",
+  );
+  if (btnPhotoSheetCreate)
+    btnPhotoSheetCreate.addEventListener("click", () => createPhotoSheet());
+
+  const photoSheetImage = document.getElementById("photo-sheet-image");
+  if (photoSheetImage)
+    photoSheetImage.addEventListener("load", () => renderPhotoSheetCrop());
+
+  const photoSheetCropBox = document.getElementById("photo-sheet-crop-box");
+  if (photoSheetCropBox)
+    photoSheetCropBox.addEventListener("pointerdown", startPhotoSheetDrag);
+
+  [
+    "photo-sheet-zoom",
+    "photo-sheet-size",
+    "photo-sheet-width",
+    "photo-sheet-height",
+  ].forEach((id) => {
+    document
+      .getElementById(id)
+      ?.addEventListener("input", () => renderPhotoSheetCrop());
+  });
+
+  // PDF tools panel
+  const btnPdfTools = document.getElementById("btn-pdf-tools");
+  if (btnPdfTools)
+    btnPdfTools.addEventListener("click", () => togglePdfToolsPanel());
+
+  const btnClosePdfTools = document.getElementById("btn-close-pdf-tools");
+  if (btnClosePdfTools)
+    btnClosePdfTools.addEventListener("click", () =>
+      togglePdfToolsPanel(false),
+    );
+
+  const btnPdfMerge = document.getElementById("btn-pdf-merge");
+  if (btnPdfMerge)
+    btnPdfMerge.addEventListener("click", () => mergeSelectedPdfs());
+
+  const btnPdfExtract = document.getElementById("btn-pdf-extract");
+  if (btnPdfExtract)
+    btnPdfExtract.addEventListener("click", () => extractPdfPages());
+
+  const btnPdfSavePages = document.getElementById("btn-pdf-save-pages");
+  if (btnPdfSavePages)
+    btnPdfSavePages.addEventListener("click", () => savePdfPages());
+
   // Profile trigger (toggle dropdown)
   const profileTrigger = document.getElementById("profile-trigger");
   if (profileTrigger)
@@ -122,6 +332,65 @@ function setupButtonListeners() {
   if (btnCheckUpdates)
     btnCheckUpdates.addEventListener("click", () => checkForUpdates());
 
+  // Settings panel
+  const btnOpenSettings = document.getElementById("btn-open-settings");
+  if (btnOpenSettings)
+    btnOpenSettings.addEventListener("click", () => toggleSettingsPanel(true));
+
+  const btnCloseSettings = document.getElementById("btn-close-settings");
+  if (btnCloseSettings)
+    btnCloseSettings.addEventListener("click", () =>
+      toggleSettingsPanel(false),
+    );
+
+  const btnSaveSettings = document.getElementById("btn-save-settings");
+  if (btnSaveSettings)
+    btnSaveSettings.addEventListener("click", () => saveSettings());
+
+  const btnBrowseDownloadsRoot = document.getElementById(
+    "btn-browse-downloads-root",
+  );
+  if (btnBrowseDownloadsRoot)
+    btnBrowseDownloadsRoot.addEventListener("click", () =>
+      browseForFolder("settings-downloads-root", "Save downloaded files in"),
+    );
+
+  const btnBrowseRetentionArchive = document.getElementById(
+    "btn-browse-retention-archive",
+  );
+  if (btnBrowseRetentionArchive)
+    btnBrowseRetentionArchive.addEventListener("click", () =>
+      browseForFolder("settings-retention-archive", "Archive old files in"),
+    );
+
+  const btnAddAutoDownloadRule = document.getElementById(
+    "btn-add-auto-download-rule",
+  );
+  if (btnAddAutoDownloadRule)
+    btnAddAutoDownloadRule.addEventListener("click", () =>
+      addAutoDownloadRule(),
+    );
+
+  const autoDownloadRulesEl = document.getElementById("auto-download-rules");
+  if (autoDownloadRulesEl)
+    autoDownloadRulesEl.addEventListener("click", (e) =>
+      handleAutoDownloadRuleClick(e),
+    );
+
+  const btnResetApiToken = document.getElementById("btn-reset-api-token");
+  if (btnResetApiToken)
+    btnResetApiToken.addEventListener("click", () => resetApiToken());
+
+  const btnRetentionPreview = document.getElementById("btn-retention-preview");
+  if (btnRetentionPreview)
+    btnRetentionPreview.addEventListener("click", () =>
+      previewRetentionCleanup(),
+    );
+
+  const btnRetentionRun = document.getElementById("btn-retention-run");
+  if (btnRetentionRun)
+    btnRetentionRun.addEventListener("click", () => runRetentionCleanup());
+
   // Display current version
   (async () => {
     try {
@@ -178,6 +447,64 @@ function setupButtonListeners() {
       toggleOpenWithDropdown(event),
     );
 
+  // Print options panel
+  const btnPrintSelected = document.getElementById("btn-print-selected");
+  if (btnPrintSelected)
+    btnPrintSelected.addEventListener("click", () => togglePrintPanel(true));
+
+  const btnClosePrintOptions = document.getElementById(
+    "btn-close-print-options",
+  );
+  if (btnClosePrintOptions)
+    btnClosePrintOptions.addEventListener("click", () =>
+      togglePrintPanel(false),
+    );
+
+  const btnPrintConfirm = document.getElementById("btn-print-confirm");
+  if (btnPrintConfirm)
+    btnPrintConfirm.addEventListener("click", () => printSelectedFiles());
+
+  const btnSendQuote = document.getElementById("btn-send-quote");
+  if (btnSendQuote)
+    btnSendQuote.addEventListener("click", () => sendSelectionQuote());
+
+  // Any change to the print options re-prices the selection
+  const printOptionsPanel = document.getElementById("print-options-panel");
+  if (printOptionsPanel)
+    printOptionsPanel.addEventListener("change", () => queueSelectionQuote());
+
+  const printPresets = document.getElementById("print-presets");
+  if (printPresets)
+    printPresets.addEventListener("click", (e) => handlePrintPresetClick(e));
+
+  const btnSavePrintPreset = document.getElementById("btn-save-print-preset");
+  if (btnSavePrintPreset)
+    btnSavePrintPreset.addEventListener("click", () => savePrintPreset());
+
+  const btnDeletePrintPreset = document.getElementById(
+    "btn-delete-print-preset",
+  );
+  if (btnDeletePrintPreset)
+    btnDeletePrintPreset.addEventListener("click", () =>
+      deleteActivePrintPreset(),
+    );
+
+  const printLayout = document.getElementById("print-layout");
+  if (printLayout)
+    printLayout.addEventListener("change", () => updatePrintLayoutFields());
+
+  const printerSelect = document.getElementById("printer-select");
+  if (printerSelect)
+    printerSelect.addEventListener("change", () => renderPrinterStatus());
+
+  const btnPrinterPreferences = document.getElementById(
+    "btn-printer-preferences",
+  );
+  if (btnPrinterPreferences)
+    btnPrinterPreferences.addEventListener("click", () =>
+      openPrinterPreferences(),
+    );
+
   updateOpenSelectedButtonLabel();
 
   const btnDelete = document.getElementById("btn-delete");
@@ -283,9 +610,16 @@ function setupButtonListeners() {
 function setupEventListeners() {
   // ── ESC key to close chat ──
   document.addEventListener("keydown", (e) => {
+    if (preview) {
+      handlePreviewKeydown(e);
+      return;
+    }
     if (e.key === "Escape" && currentChatId) {
       closeChat();
     }
+    if (e.altKey && !e.ctrlKey && !e.metaKey && /^[1-9]$/.test(e.key)) {
+      if (applyPrintPresetByNumber(Number(e.key))) e.preventDefault();
+    }
   });
 
   document.addEventListener("mousemove", handleDragSelectionMouseMove);
@@ -415,22 +749,33 @@ function setupEventListeners() {
     updateFileStatus(messageId, status);
   });
 
-  // Bulk download progress
-  window.api.onBulkDownloadProgress(({ current, total, messageId }) => {
-    const fill = document.getElementById("bulk-progress-fill");
-    const text = document.getElementById("bulk-progress-text");
-    const container = document.getElementById("bulk-progress");
-
-    container.classList.remove("hidden");
-    const pct = Math.round((current / total) * 100);
-    fill.style.width = `${pct}%`;
-    text.textContent = `Downloading ${current} of ${total} files...`;
+  // Print queue job updates
+  window.api.onPrintJobUpdated((job) => {
+    handlePrintJobUpdated(job);
+  });
 
-    if (current === total) {
-      setTimeout(() => container.classList.add("hidden"), 2000);
-    }
+  // Order updates
+  window.api.onOrderUpdated((order) => {
+    handleOrderUpdated(order);
+  });
+  window.api.onOrderRemoved(({ id }) => {
+    orders = orders.filter((o) => o.id !== id);
+    renderOrders();
   });
 
+  window.api.onRetentionApplied((data) => applyRetentionToFiles(data));
+
+  // Clicking a desktop notification opens the chat the file came from
+  window.api.onOpenChatRequest(({ chatId, chatName }) =>
+    selectChat(chatId, chatName),
+  );
+
+  // Bulk download progress
+  window.api.onBulkDownloadProgress((job) => renderBulkDownloadProgress(job));
+  window.api
+    .getBulkDownload()
+    .then(({ job }) => renderBulkDownloadProgress(job));
+
   // ── Progressive chat enrichment ──
   // As the backend streams enriched chat data (profile pics, last messages,
   // resolved names), update each chat item in-place without rebuilding.
@@ -570,9 +915,7 @@ function setupEventListeners() {
         // Update action buttons: replace download button with open buttons
         const actionsDiv = fileEl.querySelector(".file-actions");
         if (actionsDiv) {
-          actionsDiv.innerHTML = `
-            <button class="btn-file-action" data-action="open-file" data-path="${escapeHtml(localPath)}">Open</button>
-          `;
+          actionsDiv.innerHTML = renderDownloadedFileActions(file);
           attachFileEventListeners(fileEl);
         }
 
@@ -936,6 +1279,10 @@ function switchToMainScreen() {
   // Load profile info
   loadProfileInfo();
 
+  // Load persisted print jobs and orders so the badges survive a restart
+  loadPrintJobs();
+  loadOrders();
+
   // Start auto-refresh timer
   startAutoRefresh();
 }
@@ -1288,6 +1635,8 @@ async function selectChat(chatId, chatName, options = {}) {
   currentChatId = chatId;
   selectedFiles.clear();
   updateSelectionUI();
+  // Other chats may have received copies since this one was last open.
+  duplicatesByMessageId.clear();
 
   // Clear file search
   const fileSearch = document.getElementById("file-search");
@@ -1333,7 +1682,10 @@ async function selectChat(chatId, chatName, options = {}) {
     return;
   }
 
-  const unreadFiles = result.files || [];
+  // Files the app generated for this chat (e.g. images combined into a PDF)
+  // are listed alongside the chat's own media.
+  const generated = await window.api.getGeneratedFiles(chatId);
+  const unreadFiles = [...(result.files || []), ...(generated.files || [])];
   const hasOlderFiles = result.hasOlderFiles || false;
   const unreadInMemoryCount = Number(result.unreadInMemoryCount || 0);
   const olderInMemoryCount = Number(result.olderInMemoryCount || 0);
@@ -1549,13 +1901,15 @@ function renderFileItem(file) {
           ${size ? `<span>${size}</span>` : ""}
           <span>${time}</span>
           <span>From: ${escapeHtml(senderName)}</span>
+          <span class="file-doc-meta">${escapeHtml(formatFileMetadata(fileMetadataByPath.get(file.localPath)))}</span>
+          ${renderDuplicateBadge(duplicatesByMessageId.get(file.messageId))}
         </div>
       </div>
       ${statusBadge}
       <div class="file-actions">
         ${
           file.isDownloaded
-            ? `<button class="btn-file-action" data-action="open-file" data-path="${escapeHtml(file.localPath)}">Open</button>`
+            ? renderDownloadedFileActions(file)
             : `<button class="btn-file-action download" data-action="download-file" data-msg-id="${escapeHtml(file.messageId)}" data-filename="${escapeHtml(file.fileName)}">⬇️ Download</button>`
         }
       </div>
@@ -1566,6 +1920,11 @@ function renderFileItem(file) {
 // Attach action + click-to-select listeners to file items within a container.
 // Safe to call multiple times — uses event delegation markers to avoid duplication.
 function attachFileEventListeners(container) {
+  // Fill in page counts and thumbnails for downloaded files just rendered
+  queueFileMetadata();
+  queueThumbnails();
+  queueDuplicateCheck();
+
   if (!container.dataset.dragSelectionAttached) {
     container.dataset.dragSelectionAttached = "1";
     container.addEventListener("mousedown", handleFileListMouseDown);
@@ -1826,149 +2185,796 @@ function handleFileAction(e) {
     case "open-file":
       openFile(el.dataset.path);
       break;
+    case "preview-file":
+      openPreview(el.dataset.msgId);
+      break;
     case "download-file":
       downloadSingleFile(el.dataset.msgId, el.dataset.filename);
       break;
   }
 }
 
-// ── File Selection ───────────────────────────────────────────────────────
-function getFileType(fileName) {
-  if (!fileName) return "unknown";
-  const ext = fileName.split(".").pop().toLowerCase();
-  const imageExts = ["jpg", "jpeg", "png", "bmp", "gif", "tiff", "tif", "webp"];
-  if (ext === "pdf") return "pdf";
-  if (imageExts.includes(ext)) return "image";
-  return ext;
+// ── File Metadata ────────────────────────────────────────────────────────
+function formatFileMetadata(metadata) {
+  if (!metadata || metadata.error) return "";
+
+  const parts = [];
+  const firstPage = (metadata.pages || [])[0];
+  if (metadata.kind !== "image") {
+    parts.push(
+      `${metadata.pageCount} page${metadata.pageCount !== 1 ? "s" : ""}`,
+    );
+    if (metadata.sizeNames?.length === 1) parts.push(metadata.sizeNames[0]);
+    else if (metadata.sizeNames?.length > 1) parts.push("Mixed sizes");
+  } else if (firstPage?.width) {
+    parts.push(`${firstPage.width}×${firstPage.height}px`);
+  }
+
+  if (metadata.orientation === "landscape") parts.push("Landscape");
+  if (metadata.orientation === "mixed") parts.push("Mixed orientation");
+
+  if (metadata.colorPages > 0 && metadata.grayscalePages > 0) {
+    parts.push(`${metadata.colorPages} color`);
+  } else if (metadata.colorPages > 0) {
+    parts.push("Color");
+  } else if (metadata.grayscalePages > 0) {
+    parts.push("B/W");
+  }
+
+  if (metadata.encrypted) parts.push("🔒 Protected");
+  return parts.join(" · ");
 }
 
-function getNonImageFileTypeLabel(file) {
-  if (!file) return "FILE";
+function queueFileMetadata() {
+  currentFiles.forEach((file) => {
+    if (!file.isDownloaded || !file.localPath) return;
+    const type = getFileType(file.localPath);
+    if (type !== "pdf" && type !== "image" && !OFFICE_FILE_TYPES.has(type)) {
+      return;
+    }
+    if (fileMetadataByPath.has(file.localPath)) return;
+    pendingFileMetadataPaths.add(file.localPath);
+  });
+  if (pendingFileMetadataPaths.size === 0 || fileMetadataTimer) return;
+
+  fileMetadataTimer = setTimeout(async () => {
+    fileMetadataTimer = null;
+    const filePaths = Array.from(pendingFileMetadataPaths);
+    pendingFileMetadataPaths.clear();
+    // Mark as requested so re-renders while waiting don't ask again.
+    filePaths.forEach((p) => fileMetadataByPath.set(p, null));
+
+    const result = await window.api.getFileMetadata(filePaths);
+    Object.entries(result.metadata || {}).forEach(([filePath, metadata]) => {
+      fileMetadataByPath.set(filePath, metadata);
+      applyFileMetadataToDom(filePath);
+    });
+  }, FILE_METADATA_DEBOUNCE_MS);
+}
 
-  const fileName = String(file.fileName || "");
-  const mimeType = String(file.mimeType || "").toLowerCase();
-  const type = String(file.type || "").toLowerCase();
-  const extension = fileName.includes(".")
-    ? fileName.split(".").pop().trim().toLowerCase()
-    : "";
+function applyFileMetadataToDom(filePath) {
+  const text = formatFileMetadata(fileMetadataByPath.get(filePath));
+  currentFiles
+    .filter((file) => file.localPath === filePath)
+    .forEach((file) => {
+      const safeMsgId = file.messageId.replace(/[^a-zA-Z0-9]/g, "_");
+      const el = document.querySelector(`#file-${safeMsgId} .file-doc-meta`);
+      if (el) el.textContent = text;
+    });
+}
 
-  const isImage =
-    mimeType.includes("image") ||
+// ── Thumbnails ───────────────────────────────────────────────────────────
+function canHaveThumbnail(filePath) {
+  const type = getFileType(filePath);
+  return (
+    type === "pdf" ||
     type === "image" ||
-    getFileType(fileName) === "image";
-  if (isImage) return "";
+    type === "heic" ||
+    type === "heif" ||
+    OFFICE_FILE_TYPES.has(type)
+  );
+}
 
-  if (extension) return extension.toUpperCase();
-  if (type && type !== "unknown") return type.toUpperCase();
+function renderThumbnailImage(thumbnailPath) {
+  const url = `file:///${thumbnailPath.replace(/\\/g, "/")}`;
+  return `<img class="file-thumbnail" src="${escapeHtml(url)}" alt="Preview" loading="lazy" />`;
+}
 
-  if (mimeType) {
-    const mimeLeaf = mimeType.split("/").pop().split(";")[0].trim();
-    if (mimeLeaf) return mimeLeaf.toUpperCase();
-  }
+// Requests thumbnails for every downloaded file in the list. The main process
+// draws a few at a time and caches them, so asking for all is cheap.
+function queueThumbnails() {
+  currentFiles.forEach((file) => {
+    const filePath = file.localPath;
+    if (!file.isDownloaded || !filePath || !canHaveThumbnail(filePath)) return;
+    if (thumbnailByPath.has(filePath)) return;
+
+    // Mark as requested so re-renders while waiting don't ask again.
+    thumbnailByPath.set(filePath, null);
+    window.api.generateThumbnail(filePath).then((result) => {
+      if (!result.thumbnailPath) return;
+      thumbnailByPath.set(filePath, result.thumbnailPath);
+      applyThumbnailToDom(filePath);
+    });
+  });
+}
 
-  return "FILE";
+function applyThumbnailToDom(filePath) {
+  const thumbnailPath = thumbnailByPath.get(filePath);
+  currentFiles
+    .filter((file) => file.localPath === filePath)
+    .forEach((file) => {
+      const safeMsgId = file.messageId.replace(/[^a-zA-Z0-9]/g, "_");
+      const icon = document.querySelector(`#file-${safeMsgId} .file-icon`);
+      if (!icon || icon.querySelector(".file-thumbnail")) return;
+      icon.querySelector(".file-type-svg")?.remove();
+      icon.insertAdjacentHTML(
+        "afterbegin",
+        renderThumbnailImage(thumbnailPath),
+      );
+    });
 }
 
-function isSelectableMediaFile(file) {
-  if (!file) return false;
-  const type = String(file.type || "").toLowerCase();
-  return !["chat", "ptt", "audio", "sticker"].includes(type);
+// ── Duplicates ───────────────────────────────────────────────────────────
+// The main process links a resent file to the copy it already has, so
+// duplicates share one local file. Flagging them keeps staff from printing
+// the same document twice.
+function renderDuplicateBadge(duplicate) {
+  if (!duplicate) return "";
+  const times = `${duplicate.count} other time${duplicate.count !== 1 ? "s" : ""}`;
+  const chats = duplicate.otherChatCount
+    ? `, including ${duplicate.otherChatCount} other chat${duplicate.otherChatCount !== 1 ? "s" : ""}`
+    : "";
+  const first = formatTime(Math.floor(duplicate.firstReceivedAt / 1000));
+  return `<span class="file-duplicate-badge" title="Same file received ${times}${chats}. First received ${escapeHtml(first)}.">Duplicate</span>`;
 }
 
-function toggleFileSelect(messageId) {
-  const fileToSelect = currentFiles.find((f) => f.messageId === messageId);
-  if (!fileToSelect) return;
+function queueDuplicateCheck() {
+  const messageIds = currentFiles
+    .filter(
+      (file) =>
+        file.isDownloaded && !duplicatesByMessageId.has(file.messageId),
+    )
+    .map((file) => file.messageId);
+  if (messageIds.length === 0) return;
+
+  // Mark as requested so re-renders while waiting don't ask again.
+  messageIds.forEach((messageId) => duplicatesByMessageId.set(messageId, null));
+  window.api.getDuplicateFiles(messageIds).then((result) => {
+    Object.entries(result.duplicates || {}).forEach(([messageId, info]) => {
+      duplicatesByMessageId.set(messageId, info);
+      applyDuplicateToDom(messageId);
+    });
+  });
+}
 
-  if (selectedFiles.has(messageId)) {
-    selectedFiles.delete(messageId);
-  } else {
-    selectedFiles.add(messageId);
-  }
+function applyDuplicateToDom(messageId) {
+  const safeMsgId = messageId.replace(/[^a-zA-Z0-9]/g, "_");
+  const meta = document.querySelector(`#file-${safeMsgId} .file-meta`);
+  if (!meta || meta.querySelector(".file-duplicate-badge")) return;
+  meta.insertAdjacentHTML(
+    "beforeend",
+    renderDuplicateBadge(duplicatesByMessageId.get(messageId)),
+  );
+}
 
-  // Update visual
-  const el = document.getElementById(
-    `file-${messageId.replace(/[^a-zA-Z0-9]/g, "_")}`,
+// Asks before printing a file when it, or another copy of it, was already
+// printed today.
+async function confirmReprintToday(files) {
+  const result = await window.api.getLastPrinted(files.map((f) => f.filePath));
+  if (result.error) return true;
+
+  const today = new Date().toDateString();
+  const printedToday = result.files.filter(
+    (file) =>
+      file.lastPrintedAt &&
+      new Date(file.lastPrintedAt).toDateString() === today,
   );
-  if (el) el.classList.toggle("selected", selectedFiles.has(messageId));
+  if (printedToday.length === 0) return true;
 
-  updateSelectionUI();
+  const lines = printedToday.slice(0, 5).map((file) => {
+    const name = file.filePath.split(/[\\/]/).pop();
+    const at = new Date(file.lastPrintedAt).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    return `• ${name} (at ${at})`;
+  });
+  if (printedToday.length > lines.length) {
+    lines.push(`• …and ${printedToday.length - lines.length} more`);
+  }
+  return confirm(`Already printed today:\n${lines.join("\n")}\n\nPrint again?`);
 }
 
-function updateSelectionUI() {
-  // Update delete button
-  const btnDelete = document.getElementById("btn-delete");
-  const btnDeleteBadge = document.getElementById("btn-delete-badge");
-  if (btnDelete) {
-    btnDelete.classList.toggle("hidden", selectedFiles.size === 0);
-    if (btnDeleteBadge) {
-      btnDeleteBadge.textContent = selectedFiles.size.toString();
-    }
-  }
+// ── File Preview ─────────────────────────────────────────────────────────
+// PDFs (and Office documents, converted by the main process) are drawn page by
+// page with pdf.js. Only pages near the viewport keep a rendered canvas, so
+// long documents don't exhaust memory.
+const PDFJS_BASE_URL = "../node_modules/pdfjs-dist/";
+const PREVIEW_MIN_SCALE = 0.25;
+const PREVIEW_MAX_SCALE = 4;
+const PREVIEW_ZOOM_FACTOR = 1.25;
+let preview = null; // state of the open preview, null when closed
+
+if (window.pdfjsLib) {
+  pdfjsLib.GlobalWorkerOptions.workerSrc = `${PDFJS_BASE_URL}build/pdf.worker.min.js`;
+}
 
-  // Show unselect button only when files are selected
-  const btnUnselectAll = document.getElementById("btn-unselect-all");
-  if (btnUnselectAll) {
-    btnUnselectAll.classList.toggle("hidden", selectedFiles.size === 0);
-  }
+function isPreviewableFile(file) {
+  if (!file?.localPath) return false;
+  const type = getFileType(file.fileName);
+  return type === "pdf" || type === "image" || OFFICE_FILE_TYPES.has(type);
+}
 
-  // Show open-with container only when files are selected
-  const openWithContainer = document.getElementById("open-with-container");
-  if (openWithContainer) {
-    openWithContainer.classList.toggle("hidden", selectedFiles.size === 0);
-  }
+function renderDownloadedFileActions(file) {
+  const previewButton = isPreviewableFile(file)
+    ? `<button class="btn-file-action" data-action="preview-file" data-msg-id="${escapeHtml(file.messageId)}">Preview</button>`
+    : "";
+  return `
+    ${previewButton}
+    <button class="btn-file-action" data-action="open-file" data-path="${escapeHtml(file.localPath)}">Open</button>
+  `;
+}
 
-  const { selectedTypes } = getSelectedOpenableFiles();
-  const hasMixedTypes = selectedTypes.size > 1;
-  const disableOpenWithActions = selectedFiles.size === 0 || hasMixedTypes;
+function showPreviewMessage(message) {
+  document.getElementById("preview-body").innerHTML =
+    `<div class="empty-state"><p>${escapeHtml(message)}</p></div>`;
+}
 
-  const btnOpenSelected = document.getElementById("btn-open-selected");
-  if (btnOpenSelected) {
-    btnOpenSelected.disabled = disableOpenWithActions;
-    if (hasMixedTypes) {
-      btnOpenSelected.title =
-        "Open With is available only for single file type selections";
-    }
-  }
+async function openPreview(messageId) {
+  const file = currentFiles.find((f) => f.messageId === messageId);
+  if (!isPreviewableFile(file)) return;
+  closePreview();
+
+  const isImage = getFileType(file.fileName) === "image";
+  const current = {
+    file,
+    isImage,
+    pdf: null,
+    image: null,
+    pageSizes: [],
+    scale: 1,
+    currentPage: 1,
+    selectedPages: new Set(),
+    visiblePages: new Set(),
+    renderedScales: new Map(),
+    renderTasks: new Map(),
+    observer: null,
+  };
+  preview = current;
+
+  document.getElementById("preview-title").textContent = file.fileName;
+  document.getElementById("preview-nav").classList.toggle("hidden", isImage);
+  document
+    .getElementById("preview-selection")
+    .classList.toggle("hidden", isImage);
+  document.getElementById("preview-body").innerHTML = `
+    <div class="empty-state">
+      <div class="spinner"></div>
+      <p style="margin-top:12px">Loading preview...</p>
+    </div>
+  `;
+  document.getElementById("preview-overlay").classList.remove("hidden");
 
-  const btnOpenWithMenu = document.getElementById("btn-open-with-menu");
-  if (btnOpenWithMenu) {
-    btnOpenWithMenu.disabled = disableOpenWithActions;
-    if (hasMixedTypes) {
-      btnOpenWithMenu.title =
-        "Choose application is available only for single file type selections";
-    } else {
-      btnOpenWithMenu.title = "Choose application";
-    }
+  if (isImage) {
+    loadPreviewImage();
+    return;
+  }
+  if (!window.pdfjsLib) {
+    showPreviewMessage("The PDF viewer is not installed");
+    return;
   }
 
-  if (disableOpenWithActions) {
-    hideOpenWithDropdown();
+  const result = await window.api.getPreviewPdf(file.localPath);
+  if (preview !== current) return;
+  if (result.error) {
+    showPreviewMessage(result.error);
+    return;
   }
 
-  const btnOpenSelectedExplorer = document.getElementById(
-    "btn-open-selected-explorer",
-  );
-  if (btnOpenSelectedExplorer) {
-    btnOpenSelectedExplorer.classList.toggle(
-      "hidden",
-      selectedFiles.size === 0,
+  try {
+    const pdf = await pdfjsLib.getDocument({
+      data: result.data,
+      isEvalSupported: false,
+      cMapUrl: `${PDFJS_BASE_URL}cmaps/`,
+      cMapPacked: true,
+      standardFontDataUrl: `${PDFJS_BASE_URL}standard_fonts/`,
+    }).promise;
+    if (preview !== current) {
+      pdf.destroy();
+      return;
+    }
+    current.pdf = pdf;
+
+    // Placeholders are sized up front so scrolling and page navigation work
+    // before pages are drawn.
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      if (preview !== current) return;
+      const { width, height } = page.getViewport({ scale: 1 });
+      current.pageSizes.push({ width, height });
+    }
+    buildPreviewPages();
+  } catch (err) {
+    if (preview !== current) return;
+    showPreviewMessage(
+      err?.name === "PasswordException"
+        ? "This PDF is password-protected"
+        : `Could not open this PDF: ${err.message}`,
     );
   }
+}
 
-  updateOpenSelectedButtonLabel();
-  queueExplorerSelectionSync();
+function loadPreviewImage() {
+  const current = preview;
+  const img = new Image();
+  img.className = "preview-image";
+  img.alt = current.file.fileName;
+  img.onload = () => {
+    if (preview !== current) return;
+    current.image = img;
+    // Small images are shown at their real size rather than blown up.
+    current.scale = Math.min(getPreviewFitScale(), 1);
+    document.getElementById("preview-body").replaceChildren(img);
+    applyPreviewScale();
+  };
+  img.onerror = () => {
+    if (preview === current) {
+      showPreviewMessage("This image format cannot be previewed");
+    }
+  };
+  img.src = `file:///${current.file.localPath.replace(/\\/g, "/")}`;
 }
 
-function unselectAllFiles() {
-  if (selectedFiles.size === 0) return;
-  selectedFiles.clear();
-  hideOpenWithDropdown();
-  renderFiles();
-  updateSelectionUI();
+function getPreviewFitScale() {
+  const body = document.getElementById("preview-body");
+  const available = Math.max(body.clientWidth - 48, 100);
+  const widest = preview.isImage
+    ? preview.image?.naturalWidth || available
+    : Math.max(...preview.pageSizes.map((size) => size.width));
+  return Math.min(
+    Math.max(available / widest, PREVIEW_MIN_SCALE),
+    PREVIEW_MAX_SCALE,
+  );
 }
 
-function getSelectedOpenableFiles() {
-  const filePaths = [];
+function buildPreviewPages() {
+  const body = document.getElementById("preview-body");
+  const pageCount = preview.pageSizes.length;
+
+  body.innerHTML = preview.pageSizes
+    .map(
+      (_, index) => `
+        <div class="preview-page" data-page="${index + 1}">
+          <label class="preview-page-label">
+            <input type="checkbox" data-preview-page="${index + 1}" />
+            Page ${index + 1}
+          </label>
+          <div class="preview-page-canvas"></div>
+        </div>`,
+    )
+    .join("");
+
+  body.querySelectorAll("[data-preview-page]").forEach((el) => {
+    el.addEventListener("change", () =>
+      setPreviewPageSelected(Number(el.dataset.previewPage), el.checked),
+    );
+  });
+
+  preview.observer = new IntersectionObserver(handlePreviewIntersection, {
+    root: body,
+    rootMargin: "800px 0px",
+  });
+  body
+    .querySelectorAll(".preview-page")
+    .forEach((el) => preview.observer.observe(el));
+
+  const pageInput = document.getElementById("preview-page-input");
+  pageInput.max = pageCount;
+  pageInput.value = 1;
+  document.getElementById("preview-page-count").textContent = `/ ${pageCount}`;
+
+  preview.scale = getPreviewFitScale();
+  applyPreviewScale();
+  updatePreviewSelectionSummary();
+}
+
+function handlePreviewIntersection(entries) {
+  entries.forEach((entry) => {
+    const pageNumber = Number(entry.target.dataset.page);
+    if (entry.isIntersecting) {
+      preview.visiblePages.add(pageNumber);
+      renderPreviewPage(pageNumber);
+    } else {
+      preview.visiblePages.delete(pageNumber);
+      releasePreviewPage(pageNumber);
+    }
+  });
+}
+
+function getPreviewPageHolder(pageNumber) {
+  return document.querySelector(
+    `#preview-body .preview-page[data-page="${pageNumber}"] .preview-page-canvas`,
+  );
+}
+
+async function renderPreviewPage(pageNumber) {
+  const current = preview;
+  const { scale } = current;
+  if (current.renderedScales.get(pageNumber) === scale) return;
+  current.renderTasks.get(pageNumber)?.cancel();
+
+  const page = await current.pdf.getPage(pageNumber);
+  const isStale = () =>
+    preview !== current ||
+    current.scale !== scale ||
+    !current.visiblePages.has(pageNumber);
+  if (isStale()) return;
+
+  // Draw off-screen so the previous zoom level stays visible until the new
+  // rendering is ready.
+  const viewport = page.getViewport({
+    scale: scale * (window.devicePixelRatio || 1),
+  });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.floor(viewport.width);
+  canvas.height = Math.floor(viewport.height);
+
+  const task = page.render({
+    canvasContext: canvas.getContext("2d"),
+    viewport,
+  });
+  current.renderTasks.set(pageNumber, task);
+  try {
+    await task.promise;
+  } catch (err) {
+    if (err?.name !== "RenderingCancelledException") {
+      console.warn(`[Preview] Page ${pageNumber} failed:`, err.message);
+    }
+    return;
+  } finally {
+    if (current.renderTasks.get(pageNumber) === task) {
+      current.renderTasks.delete(pageNumber);
+    }
+  }
+  if (isStale()) return;
+
+  getPreviewPageHolder(pageNumber)?.replaceChildren(canvas);
+  current.renderedScales.set(pageNumber, scale);
+}
+
+function releasePreviewPage(pageNumber) {
+  preview.renderTasks.get(pageNumber)?.cancel();
+  preview.renderedScales.delete(pageNumber);
+  getPreviewPageHolder(pageNumber)?.replaceChildren();
+}
+
+function applyPreviewScale() {
+  if (!preview) return;
+  document.getElementById("preview-zoom-level").textContent =
+    `${Math.round(preview.scale * 100)}%`;
+
+  if (preview.isImage) {
+    if (preview.image) {
+      preview.image.style.width = `${Math.round(preview.image.naturalWidth * preview.scale)}px`;
+    }
+    return;
+  }
+
+  preview.pageSizes.forEach((size, index) => {
+    const holder = getPreviewPageHolder(index + 1);
+    if (!holder) return;
+    holder.style.width = `${Math.round(size.width * preview.scale)}px`;
+    holder.style.height = `${Math.round(size.height * preview.scale)}px`;
+  });
+  goToPreviewPage(preview.currentPage);
+  preview.visiblePages.forEach((pageNumber) => renderPreviewPage(pageNumber));
+}
+
+function zoomPreview(factor) {
+  if (!preview) return;
+  preview.scale = Math.min(
+    Math.max(preview.scale * factor, PREVIEW_MIN_SCALE),
+    PREVIEW_MAX_SCALE,
+  );
+  applyPreviewScale();
+}
+
+function fitPreview() {
+  if (!preview || (preview.isImage && !preview.image)) return;
+  if (!preview.isImage && preview.pageSizes.length === 0) return;
+  preview.scale = getPreviewFitScale();
+  applyPreviewScale();
+}
+
+function goToPreviewPage(pageNumber) {
+  if (!preview || preview.isImage) return;
+  const pageCount = preview.pageSizes.length;
+  const target = Math.min(Math.max(Math.floor(pageNumber) || 1, 1), pageCount);
+  const el = document.querySelector(
+    `#preview-body .preview-page[data-page="${target}"]`,
+  );
+  if (!el) return;
+  el.scrollIntoView({ block: "start" });
+  preview.currentPage = target;
+  document.getElementById("preview-page-input").value = target;
+}
+
+// Keeps the page counter in step with scrolling: the current page is the
+// last one whose top edge is above the upper third of the viewport.
+function updatePreviewCurrentPage() {
+  if (!preview || preview.isImage) return;
+  const body = document.getElementById("preview-body");
+  const marker = body.scrollTop + body.clientHeight / 3;
+
+  let currentPage = 1;
+  for (const el of body.querySelectorAll(".preview-page")) {
+    if (el.offsetTop > marker) break;
+    currentPage = Number(el.dataset.page);
+  }
+  preview.currentPage = currentPage;
+  document.getElementById("preview-page-input").value = currentPage;
+}
+
+function setPreviewPageSelected(pageNumber, selected) {
+  if (selected) preview.selectedPages.add(pageNumber);
+  else preview.selectedPages.delete(pageNumber);
+
+  const el = document.querySelector(
+    `#preview-body .preview-page[data-page="${pageNumber}"]`,
+  );
+  if (el) {
+    el.classList.toggle("selected", selected);
+    el.querySelector("[data-preview-page]").checked = selected;
+  }
+  updatePreviewSelectionSummary();
+}
+
+function setAllPreviewPagesSelected(selected) {
+  if (!preview || preview.isImage) return;
+  preview.pageSizes.forEach((_, index) =>
+    setPreviewPageSelected(index + 1, selected),
+  );
+}
+
+// Collapses page numbers into the print dialog's range syntax ("1-3, 5").
+function formatPageRanges(pages) {
+  const sorted = [...pages].sort((a, b) => a - b);
+  const parts = [];
+  let start = null;
+  let previous = null;
+
+  for (const page of sorted) {
+    if (start !== null && page === previous + 1) {
+      previous = page;
+      continue;
+    }
+    if (start !== null) {
+      parts.push(start === previous ? `${start}` : `${start}-${previous}`);
+    }
+    start = page;
+    previous = page;
+  }
+  if (start !== null) {
+    parts.push(start === previous ? `${start}` : `${start}-${previous}`);
+  }
+  return parts.join(", ");
+}
+
+function updatePreviewSelectionSummary() {
+  const summary = document.getElementById("preview-selection-summary");
+  if (!summary || !preview) return;
+  summary.textContent =
+    preview.selectedPages.size === 0
+      ? "No pages ticked (prints all)"
+      : `Pages ${formatPageRanges(preview.selectedPages)}`;
+}
+
+// Selects just the previewed file and opens the print panel with the ticked
+// pages as its page range.
+function printFromPreview() {
+  if (!preview) return;
+  const { file, selectedPages } = preview;
+  const pageRanges = formatPageRanges(selectedPages);
+  closePreview();
+
+  applySelectionFromMessageIds([file.messageId]);
+  document.getElementById("print-page-ranges").value = pageRanges;
+  togglePrintPanel(true);
+  queueSelectionQuote();
+}
+
+function handlePreviewKeydown(e) {
+  if (e.key === "Escape") {
+    closePreview();
+    return;
+  }
+  if (e.target.tagName === "INPUT") return;
+  if (e.key === "ArrowRight") goToPreviewPage(preview.currentPage + 1);
+  if (e.key === "ArrowLeft") goToPreviewPage(preview.currentPage - 1);
+  if (e.key === "+" || e.key === "=") zoomPreview(PREVIEW_ZOOM_FACTOR);
+  if (e.key === "-") zoomPreview(1 / PREVIEW_ZOOM_FACTOR);
+}
+
+function closePreview() {
+  if (!preview) return;
+  preview.observer?.disconnect();
+  preview.renderTasks.forEach((task) => task.cancel());
+  preview.pdf?.destroy();
+  preview = null;
+
+  document.getElementById("preview-overlay").classList.add("hidden");
+  document.getElementById("preview-body").innerHTML = "";
+}
+
+// ── File Selection ───────────────────────────────────────────────────────
+function getFileType(fileName) {
+  if (!fileName) return "unknown";
+  const ext = fileName.split(".").pop().toLowerCase();
+  const imageExts = ["jpg", "jpeg", "png", "bmp", "gif", "tiff", "tif", "webp"];
+  if (ext === "pdf") return "pdf";
+  if (imageExts.includes(ext)) return "image";
+  return ext;
+}
+
+function getNonImageFileTypeLabel(file) {
+  if (!file) return "FILE";
+
+  const fileName = String(file.fileName || "");
+  const mimeType = String(file.mimeType || "").toLowerCase();
+  const type = String(file.type || "").toLowerCase();
+  const extension = fileName.includes(".")
+    ? fileName.split(".").pop().trim().toLowerCase()
+    : "";
+
+  const isImage =
+    mimeType.includes("image") ||
+    type === "image" ||
+    getFileType(fileName) === "image";
+  if (isImage) return "";
+
+  if (extension) return extension.toUpperCase();
+  if (type && type !== "unknown") return type.toUpperCase();
+
+  if (mimeType) {
+    const mimeLeaf = mimeType.split("/").pop().split(";")[0].trim();
+    if (mimeLeaf) return mimeLeaf.toUpperCase();
+  }
+
+  return "FILE";
+}
+
+function isSelectableMediaFile(file) {
+  if (!file) return false;
+  const type = String(file.type || "").toLowerCase();
+  return !["chat", "ptt", "audio", "sticker"].includes(type);
+}
+
+function toggleFileSelect(messageId) {
+  const fileToSelect = currentFiles.find((f) => f.messageId === messageId);
+  if (!fileToSelect) return;
+
+  if (selectedFiles.has(messageId)) {
+    selectedFiles.delete(messageId);
+  } else {
+    selectedFiles.add(messageId);
+  }
+
+  // Update visual
+  const el = document.getElementById(
+    `file-${messageId.replace(/[^a-zA-Z0-9]/g, "_")}`,
+  );
+  if (el) el.classList.toggle("selected", selectedFiles.has(messageId));
+
+  updateSelectionUI();
+}
+
+function updateSelectionUI() {
+  // Update delete button
+  const btnDelete = document.getElementById("btn-delete");
+  const btnDeleteBadge = document.getElementById("btn-delete-badge");
+  if (btnDelete) {
+    btnDelete.classList.toggle("hidden", selectedFiles.size === 0);
+    if (btnDeleteBadge) {
+      btnDeleteBadge.textContent = selectedFiles.size.toString();
+    }
+  }
+
+  // Show print and order buttons only when files are selected
+  const btnPrintSelected = document.getElementById("btn-print-selected");
+  if (btnPrintSelected) {
+    btnPrintSelected.classList.toggle("hidden", selectedFiles.size === 0);
+  }
+  const btnCreateOrder = document.getElementById("btn-create-order");
+  if (btnCreateOrder) {
+    btnCreateOrder.classList.toggle("hidden", selectedFiles.size === 0);
+  }
+  const btnImagesToPdf = document.getElementById("btn-images-to-pdf");
+  if (btnImagesToPdf) {
+    btnImagesToPdf.classList.toggle(
+      "hidden",
+      getSelectedImageFiles().length === 0,
+    );
+  }
+  const btnPhotoSheet = document.getElementById("btn-photo-sheet");
+  if (btnPhotoSheet) {
+    btnPhotoSheet.classList.toggle(
+      "hidden",
+      getSelectedImageFiles().length !== 1,
+    );
+  }
+  const btnPdfTools = document.getElementById("btn-pdf-tools");
+  if (btnPdfTools) {
+    btnPdfTools.classList.toggle("hidden", getSelectedPdfFiles().length === 0);
+  }
+  if (selectedFiles.size === 0) {
+    togglePrintPanel(false);
+  }
+
+  // Show unselect button only when files are selected
+  const btnUnselectAll = document.getElementById("btn-unselect-all");
+  if (btnUnselectAll) {
+    btnUnselectAll.classList.toggle("hidden", selectedFiles.size === 0);
+  }
+
+  // Show open-with container only when files are selected
+  const openWithContainer = document.getElementById("open-with-container");
+  if (openWithContainer) {
+    openWithContainer.classList.toggle("hidden", selectedFiles.size === 0);
+  }
+
+  const { selectedTypes } = getSelectedOpenableFiles();
+  const hasMixedTypes = selectedTypes.size > 1;
+  const disableOpenWithActions = selectedFiles.size === 0 || hasMixedTypes;
+
+  const btnOpenSelected = document.getElementById("btn-open-selected");
+  if (btnOpenSelected) {
+    btnOpenSelected.disabled = disableOpenWithActions;
+    if (hasMixedTypes) {
+      btnOpenSelected.title =
+        "Open With is available only for single file type selections";
+    }
+  }
+
+  const btnOpenWithMenu = document.getElementById("btn-open-with-menu");
+  if (btnOpenWithMenu) {
+    btnOpenWithMenu.disabled = disableOpenWithActions;
+    if (hasMixedTypes) {
+      btnOpenWithMenu.title =
+        "Choose application is available only for single file type selections";
+    } else {
+      btnOpenWithMenu.title = "Choose application";
+    }
+  }
+
+  if (disableOpenWithActions) {
+    hideOpenWithDropdown();
+  }
+
+  const btnOpenSelectedExplorer = document.getElementById(
+    "btn-open-selected-explorer",
+  );
+  if (btnOpenSelectedExplorer) {
+    btnOpenSelectedExplorer.classList.toggle(
+      "hidden",
+      selectedFiles.size === 0,
+    );
+  }
+
+  updateOpenSelectedButtonLabel();
+  queueExplorerSelectionSync();
+  queueSelectionQuote();
+}
+
+function unselectAllFiles() {
+  if (selectedFiles.size === 0) return;
+  selectedFiles.clear();
+  hideOpenWithDropdown();
+  renderFiles();
+  updateSelectionUI();
+}
+
+function getSelectedOpenableFiles() {
+  const filePaths = [];
   const selectedTypes = new Set();
 
   selectedFiles.forEach((msgId) => {
@@ -2207,221 +3213,2218 @@ async function openFilesWithAppSelection(
     return;
   }
 
-  const selectedTypes = getSelectedTypesForPaths(normalizedFilePaths);
-  if (selectedTypes.size > 1) {
-    showToast("Only files of one type can be opened", "warning");
+  const selectedTypes = getSelectedTypesForPaths(normalizedFilePaths);
+  if (selectedTypes.size > 1) {
+    showToast("Only files of one type can be opened", "warning");
+    return;
+  }
+
+  const appListResult = await window.api.getOpenWithApps(
+    normalizedFilePaths[0],
+  );
+  if (appListResult.error) {
+    showToast(`Could not load applications: ${appListResult.error}`, "error");
+    return;
+  }
+
+  const apps = Array.isArray(appListResult.apps) ? appListResult.apps : [];
+  if (apps.length === 0) {
+    showToast("No compatible applications found", "warning");
+    return;
+  }
+
+  const resolvedSelectedType =
+    providedSelectedType || getSingleTypeFromSet(selectedTypes);
+  const isImageType = resolvedSelectedType === "image";
+
+  let appToUse = preferredApp || selectedOpenWithApp;
+  if (isImageType && appToUse.id === "__default__") {
+    appToUse = getDefaultOpenWithApp(apps, true);
+  }
+
+  if (!apps.some((app) => app.id === appToUse.id)) {
+    appToUse = getDefaultOpenWithApp(apps, isImageType);
+  }
+
+  if (resolvedSelectedType) {
+    setOpenWithPreferenceForType(resolvedSelectedType, appToUse);
+  }
+
+  if (persistSelection) {
+    selectedOpenWithApp = appToUse;
+    updateOpenSelectedButtonLabel();
+  }
+
+  hideOpenWithDropdown();
+
+  const openResult = await window.api.openFilesWithApp({
+    requestId: appListResult.requestId,
+    appId: appToUse.id,
+    filePaths: normalizedFilePaths,
+  });
+
+  if (openResult.error) {
+    showToast(`Open failed: ${openResult.error}`, "error");
+    return;
+  }
+
+  if (Array.isArray(openResult.results)) {
+    const failed = openResult.results.filter((r) => r.error).length;
+    const opened = openResult.results.length - failed;
+    if (failed > 0) {
+      showToast(`Opened ${opened} file(s), ${failed} failed`, "warning");
+    } else if (showSuccessToast) {
+      showToast(`Opened ${opened} file(s)`, "success");
+    }
+  } else if (showSuccessToast) {
+    showToast(`Opened ${normalizedFilePaths.length} file(s)`, "success");
+  }
+}
+
+async function openSelectedWithApp(preferredApp, selectedType = null) {
+  if (selectedFiles.size === 0) {
+    showToast("No downloaded files selected", "warning");
+    return;
+  }
+
+  const { filePaths } = getSelectedOpenableFiles();
+  await openFilesWithAppSelection(filePaths, preferredApp, {
+    showSuccessToast: true,
+    selectedType,
+    persistSelection: true,
+  });
+}
+
+// ── Open Selected ────────────────────────────────────────────────────────
+async function openSelected() {
+  const { selectedTypes } = getSelectedOpenableFiles();
+  const selectedType = getSingleTypeFromSet(selectedTypes);
+  const preferredApp = selectedType
+    ? getOpenWithPreferenceForType(selectedType)
+    : selectedOpenWithApp;
+  await openSelectedWithApp(preferredApp, selectedType);
+}
+
+// ── Download ─────────────────────────────────────────────────────────────
+async function downloadSingleFile(messageId, fileName) {
+  showToast("Downloading file...", "info");
+
+  const result = await window.api.downloadFile({
+    messageId,
+    chatId: currentChatId,
+    fileName,
+  });
+
+  if (result.error) {
+    showToast(`Download failed: ${result.error}`, "error");
+    return;
+  }
+
+  showToast(`Downloaded: ${result.fileName}`, "success");
+
+  // Update the file in our local state
+  const file = currentFiles.find((f) => f.messageId === messageId);
+  if (file) {
+    file.isDownloaded = true;
+    file.localPath = result.localPath;
+  }
+
+  renderFiles();
+}
+
+// ── Bulk Download ────────────────────────────────────────────────────────
+// The main process runs one bulk download at a time and keeps going across
+// restarts; the strip above the file list shows it whichever chat is open.
+const BULK_DOWNLOAD_STATUS_LABELS = {
+  scanning: "Reading chat history",
+  downloading: "Downloading",
+  paused: "Paused",
+  completed: "Finished",
+  cancelled: "Cancelled",
+  failed: "Stopped",
+};
+let bulkDownloadHideTimer = null;
+
+function toggleBulkDownloadPanel(forceOpen) {
+  const panel = document.getElementById("bulk-download-panel");
+  if (!panel) return;
+  const shouldOpen =
+    typeof forceOpen === "boolean"
+      ? forceOpen
+      : panel.classList.contains("hidden");
+
+  if (shouldOpen) {
+    if (!currentChatId) return;
+    closeOtherSidePanels(panel.id);
+  }
+  panel.classList.toggle("hidden", !shouldOpen);
+}
+
+// Date inputs give "YYYY-MM-DD"; the range covers both days in local time.
+function getBulkDownloadRange() {
+  const from = document.getElementById("bulk-download-from")?.value;
+  const to = document.getElementById("bulk-download-to")?.value;
+  return {
+    from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+    to: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+  };
+}
+
+async function startBulkDownload() {
+  const result = await window.api.startBulkDownload({
+    chatId: currentChatId,
+    chatName:
+      document.getElementById("selected-contact-name")?.textContent || null,
+    ...getBulkDownloadRange(),
+    concurrency: Number(
+      document.getElementById("bulk-download-concurrency")?.value,
+    ),
+  });
+
+  if (result.error) {
+    showToast(result.error, "error");
+    return;
+  }
+  toggleBulkDownloadPanel(false);
+  renderBulkDownloadProgress(result.job);
+}
+
+function renderBulkDownloadProgress(job) {
+  const container = document.getElementById("bulk-progress");
+  if (!container) return;
+  if (bulkDownloadHideTimer) {
+    clearTimeout(bulkDownloadHideTimer);
+    bulkDownloadHideTimer = null;
+  }
+  if (!job || job.status === "cancelled") {
+    container.classList.add("hidden");
+    return;
+  }
+
+  const isRunning = job.status === "scanning" || job.status === "downloading";
+  const label = BULK_DOWNLOAD_STATUS_LABELS[job.status] || job.status;
+  const chat = job.chatName ? ` — ${job.chatName}` : "";
+  let text = `${label}${chat}`;
+  if (job.status !== "scanning") {
+    text += `: ${job.current} of ${job.total} files`;
+    if (job.failed.length > 0) text += `, ${job.failed.length} failed`;
+    if (job.historyLimited) text += " (only the newest messages were scanned)";
+  }
+  if (job.error) text += ` (${job.error})`;
+
+  const pct = job.total ? Math.round((job.current / job.total) * 100) : 0;
+  document.getElementById("bulk-progress-fill").style.width = `${pct}%`;
+  document.getElementById("bulk-progress-text").textContent = text;
+  document
+    .getElementById("btn-bulk-pause")
+    .classList.toggle("hidden", !isRunning);
+  document
+    .getElementById("btn-bulk-resume")
+    .classList.toggle(
+      "hidden",
+      job.status !== "paused" && job.status !== "failed",
+    );
+  document
+    .getElementById("btn-bulk-cancel")
+    .classList.toggle("hidden", !isRunning && job.status !== "paused");
+  container.classList.remove("hidden");
+  renderBulkDownloadFailures(job);
+
+  if (job.status === "completed") {
+    bulkDownloadHideTimer = setTimeout(
+      () => container.classList.add("hidden"),
+      job.failed.length > 0 ? 10000 : 3000,
+    );
+  }
+}
+
+function renderBulkDownloadFailures(job) {
+  const list = document.getElementById("bulk-download-failed");
+  if (!list) return;
+  list.classList.toggle("hidden", job.failed.length === 0);
+  list.innerHTML = job.failed.length
+    ? `<h4>Could not download</h4>
+      <ul class="file-summary-list">
+        ${job.failed
+          .map(
+            (item) =>
+              `<li><span class="file-summary-name">${escapeHtml(item.fileName || item.messageId)}</span><span class="form-hint">${escapeHtml(item.error)}</span></li>`,
+          )
+          .join("")}
+      </ul>
+      <p class="form-hint">Start the download again to retry these.</p>`
+    : "";
+}
+
+// ── Delete ───────────────────────────────────────────────────────────────
+async function deleteSelected() {
+  if (selectedFiles.size === 0) return;
+
+  const filePaths = [];
+  const msgIds = [];
+  selectedFiles.forEach((msgId) => {
+    const file = currentFiles.find((f) => f.messageId === msgId);
+    if (file && file.localPath) {
+      filePaths.push(file.localPath);
+      msgIds.push(msgId);
+    }
+  });
+
+  if (filePaths.length === 0) {
+    showToast("No downloaded files selected for deletion", "warning");
+    return;
+  }
+
+  showToast(
+    `Deleting ${filePaths.length} file(s) from disk & WhatsApp...`,
+    "info",
+  );
+
+  const result = await window.api.deleteFiles({
+    filePaths,
+    messageIds: msgIds,
+    chatId: currentChatId,
+  });
+
+  if (result.results) {
+    const successCount = result.results.filter((r) => r.success).length;
+    const failCount = result.results.filter((r) => r.error).length;
+
+    // Update local state — remove successfully deleted files entirely
+    result.results.forEach((r, i) => {
+      if (r.success) {
+        // Resends share a local path, so match on the message instead.
+        const idx = currentFiles.findIndex((f) => f.messageId === msgIds[i]);
+        if (idx !== -1) currentFiles.splice(idx, 1);
+        selectedFiles.delete(msgIds[i]);
+      }
+    });
+
+    // Report WhatsApp deletion results
+    const waResults = result.waResults || [];
+    const waSuccess = waResults.filter((r) => r.success).length;
+    const waFail = waResults.filter((r) => r.error).length;
+
+    document.getElementById("file-count").textContent =
+      `${currentFiles.length} file${currentFiles.length !== 1 ? "s" : ""}`;
+
+    renderFiles();
+    updateSelectionUI();
+
+    let msg = `Deleted ${successCount} file(s) from disk`;
+    if (waSuccess > 0) msg += `, ${waSuccess} from WhatsApp`;
+    if (failCount > 0 || waFail > 0) msg += ` (${failCount + waFail} failed)`;
+    showToast(msg, failCount > 0 || waFail > 0 ? "warning" : "success");
+  }
+}
+
+// ── Close Chat (ESC) ─────────────────────────────────────────────────────
+function closeChat() {
+  currentChatId = null;
+  currentFiles = [];
+  selectedFiles.clear();
+  queueExplorerSelectionSync();
+  hideOpenWithDropdown();
+
+  // Hide delete and print buttons
+  const btnDelete = document.getElementById("btn-delete");
+  if (btnDelete) btnDelete.classList.add("hidden");
+  const btnPrintSelected = document.getElementById("btn-print-selected");
+  if (btnPrintSelected) btnPrintSelected.classList.add("hidden");
+  const btnCreateOrder = document.getElementById("btn-create-order");
+  if (btnCreateOrder) btnCreateOrder.classList.add("hidden");
+  const btnImagesToPdf = document.getElementById("btn-images-to-pdf");
+  if (btnImagesToPdf) btnImagesToPdf.classList.add("hidden");
+  const btnPhotoSheet = document.getElementById("btn-photo-sheet");
+  if (btnPhotoSheet) btnPhotoSheet.classList.add("hidden");
+  const btnPdfTools = document.getElementById("btn-pdf-tools");
+  if (btnPdfTools) btnPdfTools.classList.add("hidden");
+  toggleBulkDownloadPanel(false);
+  togglePrintPanel(false);
+  toggleImagePdfPanel(false);
+  togglePhotoSheetPanel(false);
+  togglePdfToolsPanel(false);
+  closePreview();
+
+  // Deselect active chat in sidebar
+  document.querySelectorAll(".chat-item").forEach((el) => {
+    el.classList.remove("active");
+  });
+
+  // Show "no chat selected" state
+  document.getElementById("files-section").classList.add("hidden");
+  document.getElementById("no-chat-selected").classList.remove("hidden");
+}
+
+// ── Printers ─────────────────────────────────────────────────────────────
+const PRINTER_STATE_LABELS = {
+  ready: "Ready",
+  printing: "Printing",
+  paused: "Paused",
+  offline: "Offline",
+  error: "Needs attention",
+  unknown: "Status unknown",
+};
+// Jobs sent to a printer in one of these states wait in its queue.
+const PRINTER_UNAVAILABLE_STATES = ["offline", "paused", "error"];
+
+function formatPrinterOption(printer) {
+  const label = PRINTER_STATE_LABELS[printer.state] || "";
+  return `${printer.name}${printer.isDefault ? " (default)" : ""}${label ? ` — ${label}` : ""}`;
+}
+
+function getSelectedPrinter() {
+  const name = document.getElementById("printer-select")?.value;
+  return printers.find((printer) => printer.name === name) || null;
+}
+
+// The options after "System print dialog" are rebuilt on every poll so their
+// states stay current; the selection is kept while the printer still exists.
+async function loadPrinters() {
+  const select = document.getElementById("printer-select");
+  const result = await window.api.getPrinters();
+  if (result.error) console.warn("Could not list printers:", result.error);
+  printers = result.printers || [];
+  if (!select) return;
+
+  const selected = select.value;
+  while (select.options.length > 1) select.remove(1);
+  printers.forEach((printer) => {
+    const option = document.createElement("option");
+    option.value = printer.name;
+    option.textContent = formatPrinterOption(printer);
+    select.appendChild(option);
+  });
+  if (printers.some((printer) => printer.name === selected)) {
+    select.value = selected;
+  }
+  renderPrinterStatus();
+}
+
+// Driver colours are only used when they are plain hex values.
+function renderPrinterSupply(supply) {
+  const color = /^#[0-9a-f]{6}$/i.test(supply.color || "")
+    ? supply.color
+    : "var(--text-secondary)";
+  const known = supply.level !== null;
+  return `
+    <div class="printer-supply">
+      <span class="printer-supply-name">${escapeHtml(supply.name)}</span>
+      <span class="printer-supply-bar">
+        <span style="width: ${known ? supply.level : 0}%; background: ${color}"></span>
+      </span>
+      <span class="printer-supply-level">${known ? `${supply.level}%` : "Some left"}</span>
+    </div>`;
+}
+
+function renderPrinterStatus() {
+  const container = document.getElementById("printer-status");
+  if (!container) return;
+  const printer = getSelectedPrinter();
+  container.classList.toggle("hidden", !printer);
+  if (!printer) {
+    container.innerHTML = "";
+    return;
+  }
+
+  const jobs =
+    printer.jobCount > 0
+      ? ` · ${printer.jobCount} job${printer.jobCount !== 1 ? "s" : ""} waiting`
+      : "";
+  const alerts = (items, type) =>
+    items
+      .map(
+        (text) =>
+          `<div class="printer-alert printer-alert-${type}">${escapeHtml(text)}</div>`,
+      )
+      .join("");
+  container.innerHTML = `
+    <div class="printer-state printer-state-${printer.state}">
+      ${PRINTER_STATE_LABELS[printer.state] || printer.state}${jobs}
+    </div>
+    ${alerts(printer.errors, "error")}
+    ${alerts(printer.warnings, "warning")}
+    ${printer.supplies.map(renderPrinterSupply).join("")}`;
+}
+
+// Polling stops by itself once the print panel is hidden, including when
+// another side panel replaced it.
+function startPrinterStatusPolling() {
+  stopPrinterStatusPolling();
+  printerStatusTimer = setInterval(() => {
+    const panel = document.getElementById("print-options-panel");
+    if (!panel || panel.classList.contains("hidden")) {
+      stopPrinterStatusPolling();
+      return;
+    }
+    loadPrinters();
+  }, PRINTER_STATUS_POLL_MS);
+}
+
+function stopPrinterStatusPolling() {
+  if (printerStatusTimer) clearInterval(printerStatusTimer);
+  printerStatusTimer = null;
+}
+
+// Re-reads the printer's state just before sending, since it may have gone
+// offline since the last poll.
+async function confirmPrinterAvailable(printerName) {
+  if (!printerName) return true;
+  await loadPrinters();
+  const printer = printers.find((candidate) => candidate.name === printerName);
+  if (!printer || !PRINTER_UNAVAILABLE_STATES.includes(printer.state)) {
+    return true;
+  }
+
+  const state = PRINTER_STATE_LABELS[printer.state].toLowerCase();
+  const details = printer.errors.length
+    ? `\n${printer.errors.map((error) => `• ${error}`).join("\n")}`
+    : "";
+  return confirm(
+    `${printerName} is ${state}.${details}\n\nThe files will wait in its queue until it is ready. Send them anyway?`,
+  );
+}
+
+// ── Side Panels ──────────────────────────────────────────────────────────
+// Only one side panel is shown at a time.
+function closeOtherSidePanels(panelId) {
+  document.querySelectorAll(".side-panel").forEach((panel) => {
+    if (panel.id !== panelId) panel.classList.add("hidden");
+  });
+}
+
+// ── Print Options ────────────────────────────────────────────────────────
+function getSelectedPrintableFiles() {
+  const files = [];
+  selectedFiles.forEach((msgId) => {
+    const file = currentFiles.find((f) => f.messageId === msgId);
+    if (file && file.localPath) {
+      files.push({ filePath: file.localPath, messageId: msgId });
+    }
+  });
+  return files;
+}
+
+function getPrintOptionsFromForm() {
+  const value = (id) => document.getElementById(id)?.value || "";
+  return {
+    copies: Number(value("print-copies")) || 1,
+    pageRanges: value("print-page-ranges").trim(),
+    duplex: value("print-duplex") || "simplex",
+    monochrome: value("print-color") === "mono",
+    paperSize: value("print-paper-size") || null,
+    orientation: value("print-orientation") || "portrait",
+    scale: value("print-scale") || "fit",
+    layout: value("print-layout") || "normal",
+    posterTiles: value("print-poster-tiles") || "2x2",
+  };
+}
+
+// Poster tiles only matter for the poster layout.
+function updatePrintLayoutFields() {
+  const posterRow = document.getElementById("print-poster-tiles-row");
+  if (posterRow) {
+    posterRow.classList.toggle(
+      "hidden",
+      document.getElementById("print-layout")?.value !== "poster",
+    );
+  }
+}
+
+function togglePrintPanel(forceOpen) {
+  const panel = document.getElementById("print-options-panel");
+  if (!panel) return;
+  const shouldOpen =
+    typeof forceOpen === "boolean"
+      ? forceOpen
+      : panel.classList.contains("hidden");
+
+  if (shouldOpen) {
+    const count = getSelectedPrintableFiles().length;
+    if (count === 0) {
+      showToast("No downloaded files selected to print", "warning");
+      return;
+    }
+    const title = document.getElementById("print-options-title");
+    if (title) title.textContent = `Print ${count} file${count !== 1 ? "s" : ""}`;
+    closeOtherSidePanels(panel.id);
+    applyMatchingPrintPreset();
+    loadPrinters();
+    startPrinterStatusPolling();
+  } else {
+    stopPrinterStatusPolling();
+  }
+
+  panel.classList.toggle("hidden", !shouldOpen);
+}
+
+async function openPrinterPreferences() {
+  const printerName = document.getElementById("printer-select")?.value;
+  if (!printerName) {
+    showToast("Choose a printer first", "warning");
+    return;
+  }
+  const result = await window.api.openPrinterPreferences(printerName);
+  if (result.error) {
+    showToast(result.error, "error");
+  }
+}
+
+async function printSelectedFiles() {
+  const files = getSelectedPrintableFiles();
+  if (files.length === 0) {
+    showToast("No downloaded files selected to print", "warning");
+    return;
+  }
+
+  const chatName =
+    document.getElementById("selected-contact-name")?.textContent || null;
+
+  togglePrintPanel(false);
+  await submitPrintJobs(files, { chatId: currentChatId, chatName });
+}
+
+// Sends files to the print queue using the printer and options currently set
+// in the print options panel.
+async function submitPrintJobs(files, { chatId, chatName, orderId = null }) {
+  if (!(await confirmReprintToday(files))) return;
+
+  const printerName = document.getElementById("printer-select")?.value || null;
+  if (!(await confirmPrinterAvailable(printerName))) return;
+  showToast(`Sent ${files.length} file(s) to the print queue`, "info");
+
+  const result = await window.api.printWithSetup({
+    filePaths: files.map((f) => f.filePath),
+    messageIds: files.map((f) => f.messageId),
+    printerName,
+    options: getPrintOptionsFromForm(),
+    chatId,
+    chatName,
+    orderId,
+  });
+
+  if (result.error) {
+    showToast(`Print failed: ${result.error}`, "error");
+    return;
+  }
+
+  const results = result.results || [];
+  const printed = results.filter((r) => r.success).length;
+  const failed = results.filter((r) => r.error).length;
+  const cancelled = results.filter((r) => r.cancelled).length;
+  if (failed > 0 || cancelled > 0) {
+    const problems = [
+      failed > 0 ? `${failed} failed` : "",
+      cancelled > 0 ? `${cancelled} cancelled` : "",
+    ].filter(Boolean);
+    showToast(`Printed ${printed} file(s), ${problems.join(", ")}`, "warning");
+  } else if (printed > 0) {
+    showToast(`Printed ${printed} file(s)`, "success");
+  }
+}
+
+// ── Print Presets ────────────────────────────────────────────────────────
+// Presets are kept in appSettings.printPresets. Like the "Open with" app
+// remembered per file type, the print panel picks a preset from the selected
+// file types when it opens: the first one listing every selected type. Alt+1
+// to Alt+9 apply the presets in order.
+function getPrintPresets() {
+  return appSettings?.printPresets || [];
+}
+
+function getSelectedPrintableFileTypes() {
+  return new Set(
+    getSelectedPrintableFiles()
+      .map((file) => getFileTypeByMessageId(file.messageId))
+      .filter(Boolean),
+  );
+}
+
+function findPrintPresetForTypes(types) {
+  if (types.size === 0) return null;
+  return (
+    getPrintPresets().find((preset) =>
+      Array.from(types).every((type) => preset.fileTypes.includes(type)),
+    ) || null
+  );
+}
+
+function renderPrintPresets() {
+  const container = document.getElementById("print-presets");
+  if (!container) return;
+  const presets = getPrintPresets();
+  container.innerHTML = presets.length
+    ? presets
+        .map((preset, index) => {
+          const types = preset.fileTypes.length
+            ? `For ${preset.fileTypes.join(", ")}`
+            : "Not picked automatically";
+          const shortcut = index < 9 ? ` · Alt+${index + 1}` : "";
+          const active = preset.id === activePrintPresetId ? " active" : "";
+          return `<button class="btn btn-small btn-secondary print-preset${active}" data-preset-id="${escapeHtml(preset.id)}" title="${escapeHtml(types + shortcut)}">${escapeHtml(preset.name)}</button>`;
+        })
+        .join("")
+    : `<span class="form-hint">No presets saved yet</span>`;
+  document
+    .getElementById("btn-delete-print-preset")
+    ?.classList.toggle("hidden", !activePrintPresetId);
+}
+
+function applyPrintPreset(preset) {
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  };
+  const printerSelect = document.getElementById("printer-select");
+  const printerListed = Array.from(printerSelect?.options || []).some(
+    (option) => option.value === preset.printerName,
+  );
+  if (printerListed) {
+    printerSelect.value = preset.printerName;
+  } else {
+    showToast(
+      `"${preset.name}" uses ${preset.printerName}, which is not available`,
+      "warning",
+    );
+  }
+
+  const { options } = preset;
+  setValue("print-copies", options.copies);
+  setValue("print-duplex", options.duplex);
+  setValue("print-color", options.monochrome ? "mono" : "color");
+  setValue("print-paper-size", options.paperSize || "");
+  setValue("print-orientation", options.orientation);
+  setValue("print-scale", options.scale);
+  setValue("print-layout", options.layout || "normal");
+  setValue("print-poster-tiles", options.posterTiles || "2x2");
+  updatePrintLayoutFields();
+  setValue("print-photo-size", preset.photoSize || "");
+
+  activePrintPresetId = preset.id;
+  renderPrintPresets();
+  renderPrinterStatus();
+  queueSelectionQuote();
+}
+
+// Called as the print panel opens. Without a matching preset the form keeps
+// whatever was used last.
+function applyMatchingPrintPreset() {
+  const types = getSelectedPrintableFileTypes();
+  const typesInput = document.getElementById("print-preset-types");
+  if (typesInput) typesInput.value = Array.from(types).join(", ");
+
+  activePrintPresetId = null;
+  const preset = findPrintPresetForTypes(types);
+  if (preset) applyPrintPreset(preset);
+  else renderPrintPresets();
+}
+
+// Opens the print panel first when it is closed. Returns false when there is
+// no preset with that number, so the key press is left alone.
+function applyPrintPresetByNumber(number) {
+  const preset = getPrintPresets()[number - 1];
+  if (!preset || !currentChatId) return false;
+
+  const panel = document.getElementById("print-options-panel");
+  if (panel?.classList.contains("hidden")) {
+    togglePrintPanel(true);
+    if (panel.classList.contains("hidden")) return true;
+  }
+  applyPrintPreset(preset);
+  showToast(`Applied print preset "${preset.name}"`, "info");
+  return true;
+}
+
+function handlePrintPresetClick(e) {
+  const button = e.target.closest("[data-preset-id]");
+  if (!button) return;
+  const preset = getPrintPresets().find(
+    (candidate) => candidate.id === button.dataset.presetId,
+  );
+  if (preset) applyPrintPreset(preset);
+}
+
+async function updatePrintPresets(presets) {
+  const result = await window.api.updateSettings({ printPresets: presets });
+  if (result.error) {
+    showToast(result.error, "error");
+    return false;
+  }
+  appSettings = result.settings;
+  return true;
+}
+
+// Saving under an existing name replaces that preset.
+async function savePrintPreset() {
+  const nameInput = document.getElementById("print-preset-name");
+  const name = nameInput?.value.trim();
+  if (!name) {
+    showToast("Enter a name for the preset", "warning");
+    return;
+  }
+
+  const presets = getPrintPresets();
+  const existing = presets.find(
+    (preset) => preset.name.toLowerCase() === name.toLowerCase(),
+  );
+  const preset = {
+    id: existing?.id,
+    name,
+    fileTypes: document.getElementById("print-preset-types")?.value || "",
+    printerName: document.getElementById("printer-select")?.value || "",
+    options: getPrintOptionsFromForm(),
+    photoSize: document.getElementById("print-photo-size")?.value || null,
+  };
+  const saved = await updatePrintPresets(
+    existing
+      ? presets.map((candidate) =>
+          candidate === existing ? preset : candidate,
+        )
+      : [...presets, preset],
+  );
+  if (!saved) return;
+
+  nameInput.value = "";
+  activePrintPresetId =
+    getPrintPresets().find((candidate) => candidate.name === name)?.id ?? null;
+  renderPrintPresets();
+  showToast(`Saved print preset "${name}"`, "success");
+}
+
+async function deleteActivePrintPreset() {
+  const presets = getPrintPresets();
+  const preset = presets.find(
+    (candidate) => candidate.id === activePrintPresetId,
+  );
+  if (!preset || !confirm(`Remove the print preset "${preset.name}"?`)) return;
+  const removed = await updatePrintPresets(
+    presets.filter((candidate) => candidate !== preset),
+  );
+  if (!removed) return;
+  activePrintPresetId = null;
+  renderPrintPresets();
+}
+
+// ── Pricing ──────────────────────────────────────────────────────────────
+function getPricingExtrasFromForm() {
+  return {
+    options: getPrintOptionsFromForm(),
+    photoSize: document.getElementById("print-photo-size")?.value || null,
+    binding: !!document.getElementById("print-binding")?.checked,
+    lamination: !!document.getElementById("print-lamination")?.checked,
+  };
+}
+
+function queueSelectionQuote() {
+  if (selectionQuoteTimer) clearTimeout(selectionQuoteTimer);
+  selectionQuoteTimer = setTimeout(() => {
+    selectionQuoteTimer = null;
+    refreshSelectionQuote();
+  }, SELECTION_QUOTE_DEBOUNCE_MS);
+}
+
+async function refreshSelectionQuote() {
+  const totalEl = document.getElementById("selection-total");
+  const files = getSelectedPrintableFiles();
+  const requestId = ++selectionQuoteRequestId;
+
+  if (files.length === 0) {
+    if (totalEl) totalEl.classList.add("hidden");
+    renderPrintQuote(null);
+    return;
+  }
+
+  const result = await window.api.getPriceQuote({
+    filePaths: files.map((f) => f.filePath),
+    ...getPricingExtrasFromForm(),
+  });
+  // A newer selection may have been priced while this one was in flight.
+  if (requestId !== selectionQuoteRequestId) return;
+
+  if (result.error) {
+    if (totalEl) totalEl.classList.add("hidden");
+    renderPrintQuote(null, result.error);
+    return;
+  }
+
+  const { quote } = result;
+  if (totalEl) {
+    totalEl.textContent = `Est. ${quote.formattedTotal}${quote.incomplete ? "+" : ""}`;
+    totalEl.classList.remove("hidden");
+  }
+  renderPrintQuote(quote);
+}
+
+function renderPrintQuote(quote, error) {
+  const container = document.getElementById("print-quote");
+  if (!container) return;
+
+  if (error) {
+    container.innerHTML = `<div class="print-job-error">${escapeHtml(error)}</div>`;
+    container.classList.remove("hidden");
+    return;
+  }
+  if (!quote) {
+    container.innerHTML = "";
+    container.classList.add("hidden");
+    return;
+  }
+
+  const rows = quote.lines
+    .map(
+      (line) => `
+        <div class="print-quote-line">
+          <span class="print-quote-name" title="${escapeHtml(line.fileName)}">${escapeHtml(line.fileName)}</span>
+          <span class="print-quote-detail">${escapeHtml(line.description || line.note || "")}</span>
+          <span class="print-quote-amount">${line.amount === null ? "—" : line.amount.toFixed(2)}</span>
+        </div>`,
+    )
+    .join("");
+  container.innerHTML = `
+    ${rows}
+    <div class="print-quote-line print-quote-total">
+      <span class="print-quote-name">Total</span>
+      <span class="print-quote-detail">${quote.incomplete ? "Some files not priced" : ""}</span>
+      <span class="print-quote-amount">${escapeHtml(quote.formattedTotal)}</span>
+    </div>
+  `;
+  container.classList.remove("hidden");
+}
+
+async function sendSelectionQuote() {
+  const files = getSelectedPrintableFiles();
+  if (!currentChatId || files.length === 0) {
+    showToast("Select the customer's downloaded files first", "warning");
+    return;
+  }
+
+  const customerName =
+    document.getElementById("selected-contact-name")?.textContent || "";
+  const result = await window.api.sendPriceQuote({
+    chatId: currentChatId,
+    customerName,
+    filePaths: files.map((f) => f.filePath),
+    ...getPricingExtrasFromForm(),
+  });
+
+  if (result.error) {
+    showToast(`Quote not sent: ${result.error}`, "error");
+    return;
+  }
+  showToast(`Quote sent (${result.quote.formattedTotal})`, "success");
+}
+
+// ── Images to PDF ────────────────────────────────────────────────────────
+function getSelectedImageFiles() {
+  return currentFiles
+    .filter(
+      (f) =>
+        selectedFiles.has(f.messageId) &&
+        f.localPath &&
+        getFileType(f.fileName) === "image",
+    )
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+}
+
+function toggleImagePdfPanel(forceOpen) {
+  const panel = document.getElementById("image-pdf-panel");
+  if (!panel) return;
+  const shouldOpen =
+    typeof forceOpen === "boolean"
+      ? forceOpen
+      : panel.classList.contains("hidden");
+
+  if (shouldOpen) {
+    // Oldest first: customers usually send pages in order.
+    imagePdfFiles = getSelectedImageFiles();
+    if (imagePdfFiles.length === 0) {
+      showToast("Select downloaded images to combine", "warning");
+      return;
+    }
+    const nameInput = document.getElementById("image-pdf-name");
+    if (nameInput) nameInput.value = "";
+    renderImagePdfList();
+    closeOtherSidePanels(panel.id);
+  }
+
+  panel.classList.toggle("hidden", !shouldOpen);
+}
+
+function renderImagePdfList() {
+  const list = document.getElementById("image-pdf-list");
+  if (!list) return;
+
+  const title = document.getElementById("image-pdf-title");
+  if (title) {
+    title.textContent = `Combine ${imagePdfFiles.length} image${imagePdfFiles.length !== 1 ? "s" : ""}`;
+  }
+
+  const last = imagePdfFiles.length - 1;
+  list.innerHTML = imagePdfFiles
+    .map(
+      (file, index) => `
+        <li class="reorder-item">
+          <span class="reorder-index">${index + 1}</span>
+          <img class="reorder-thumb" src="${escapeHtml(`file:///${file.localPath.replace(/\\/g, "/")}`)}" alt="" />
+          <span class="reorder-name" title="${escapeHtml(file.fileName)}">${escapeHtml(file.fileName)}</span>
+          <button class="btn btn-small btn-secondary" data-image-pdf-move="-1" data-index="${index}" title="Move up" ${index === 0 ? "disabled" : ""}>↑</button>
+          <button class="btn btn-small btn-secondary" data-image-pdf-move="1" data-index="${index}" title="Move down" ${index === last ? "disabled" : ""}>↓</button>
+          <button class="btn btn-small btn-secondary" data-image-pdf-remove data-index="${index}" title="Leave out">✕</button>
+        </li>`,
+    )
+    .join("");
+
+  list.querySelectorAll("[data-image-pdf-move]").forEach((el) => {
+    el.addEventListener("click", () =>
+      moveImagePdfFile(
+        Number(el.dataset.index),
+        Number(el.dataset.imagePdfMove),
+      ),
+    );
+  });
+  list.querySelectorAll("[data-image-pdf-remove]").forEach((el) => {
+    el.addEventListener("click", () => {
+      imagePdfFiles.splice(Number(el.dataset.index), 1);
+      renderImagePdfList();
+    });
+  });
+
+  const btnCreate = document.getElementById("btn-image-pdf-create");
+  if (btnCreate) btnCreate.disabled = imagePdfFiles.length === 0;
+}
+
+// Swaps an entry with its neighbour; returns false at either end of the list.
+function moveListItem(items, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= items.length) return false;
+  [items[index], items[target]] = [items[target], items[index]];
+  return true;
+}
+
+function moveImagePdfFile(index, offset) {
+  if (moveListItem(imagePdfFiles, index, offset)) renderImagePdfList();
+}
+
+async function createPdfFromImages() {
+  if (imagePdfFiles.length === 0) return;
+  const value = (id) => document.getElementById(id)?.value || "";
+  const btnCreate = document.getElementById("btn-image-pdf-create");
+  if (btnCreate) btnCreate.disabled = true;
+
+  const chatId = currentChatId;
+  const result = await window.api.combineImagesToPdf({
+    chatId,
+    filePaths: imagePdfFiles.map((f) => f.localPath),
+    fileName: value("image-pdf-name").trim(),
+    options: {
+      pageSize: value("image-pdf-page-size"),
+      orientation: value("image-pdf-orientation"),
+      fitMode: value("image-pdf-fit"),
+      marginMm: Number(value("image-pdf-margin")),
+    },
+  });
+  if (btnCreate) btnCreate.disabled = false;
+
+  if (result.error) {
+    showToast(`PDF not created: ${result.error}`, "error");
+    return;
+  }
+
+  toggleImagePdfPanel(false);
+  showToast(`Created ${result.file.fileName}`, "success");
+  if (chatId === currentChatId) addGeneratedFile(result.file);
+}
+
+// Shows a file the app just generated in the current chat's list and selects
+// it, so it can be printed or sent straight away.
+function addGeneratedFile(file) {
+  currentFiles.push(file);
+  selectedFiles.clear();
+  selectedFiles.add(file.messageId);
+  document.getElementById("file-count").textContent =
+    `${currentFiles.length} file${currentFiles.length !== 1 ? "s" : ""}`;
+  renderFiles();
+  updateSelectionUI();
+}
+
+// ── Photo Sheets ─────────────────────────────────────────────────────────
+// Passport and ID photos. The crop frame keeps the chosen photo's shape and
+// is dragged over the face; the main process tiles the crop onto a sheet.
+// Sizes match PHOTO_SHEET_PHOTO_SIZES in main.js.
+const PHOTO_SHEET_SIZES_MM = {
+  passport: [35, 45],
+  "2x2in": [50.8, 50.8],
+  stamp: [20, 25],
+};
+
+function togglePhotoSheetPanel(forceOpen) {
+  const panel = document.getElementById("photo-sheet-panel");
+  if (!panel) return;
+  const shouldOpen =
+    typeof forceOpen === "boolean"
+      ? forceOpen
+      : panel.classList.contains("hidden");
+
+  if (shouldOpen) {
+    const images = getSelectedImageFiles();
+    if (images.length !== 1) {
+      showToast("Select one downloaded image for a photo sheet", "warning");
+      return;
+    }
+    photoSheetFile = images[0];
+    Object.assign(photoSheetCrop, { centerX: 0.5, centerY: 0.5 });
+    const zoomInput = document.getElementById("photo-sheet-zoom");
+    if (zoomInput) zoomInput.value = "100";
+    const nameInput = document.getElementById("photo-sheet-name");
+    if (nameInput) nameInput.value = "";
+    const image = document.getElementById("photo-sheet-image");
+    if (image) {
+      image.src = `file:///${photoSheetFile.localPath.replace(/\\/g, "/")}`;
+    }
+    closeOtherSidePanels(panel.id);
+  } else {
+    photoSheetFile = null;
+  }
+
+  panel.classList.toggle("hidden", !shouldOpen);
+  if (shouldOpen) renderPhotoSheetCrop();
+}
+
+// Width over height of the chosen photo size.
+function getPhotoSheetAspect() {
+  const size = document.getElementById("photo-sheet-size")?.value;
+  const [width, height] = PHOTO_SHEET_SIZES_MM[size] || [
+    Number(document.getElementById("photo-sheet-width")?.value) || 35,
+    Number(document.getElementById("photo-sheet-height")?.value) || 45,
+  ];
+  return width / height;
+}
+
+// The crop as fractions of the upright image, from its top-left corner. The
+// frame's centre is clamped so the frame never leaves the image.
+function getPhotoSheetCropRect() {
+  const image = document.getElementById("photo-sheet-image");
+  const imageWidth = image?.naturalWidth || 1;
+  const imageHeight = image?.naturalHeight || 1;
+  const aspect = getPhotoSheetAspect();
+  // Zoom is a percentage; 100 is the largest frame that fits the image.
+  const zoom = Number(document.getElementById("photo-sheet-zoom")?.value);
+  const scale = zoom >= 100 ? 100 / zoom : 1;
+
+  const width = Math.min(1, (imageHeight * aspect) / imageWidth) * scale;
+  const height = Math.min(1, imageWidth / aspect / imageHeight) * scale;
+  const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+  photoSheetCrop.centerX = clamp(
+    photoSheetCrop.centerX,
+    width / 2,
+    1 - width / 2,
+  );
+  photoSheetCrop.centerY = clamp(
+    photoSheetCrop.centerY,
+    height / 2,
+    1 - height / 2,
+  );
+  return {
+    x: photoSheetCrop.centerX - width / 2,
+    y: photoSheetCrop.centerY - height / 2,
+    width,
+    height,
+  };
+}
+
+function renderPhotoSheetCrop() {
+  const custom = document.getElementById("photo-sheet-custom");
+  if (custom) {
+    custom.classList.toggle(
+      "hidden",
+      document.getElementById("photo-sheet-size")?.value !== "custom",
+    );
+  }
+  const box = document.getElementById("photo-sheet-crop-box");
+  if (!box || !photoSheetFile) return;
+  const crop = getPhotoSheetCropRect();
+  box.style.left = `${crop.x * 100}%`;
+  box.style.top = `${crop.y * 100}%`;
+  box.style.width = `${crop.width * 100}%`;
+  box.style.height = `${crop.height * 100}%`;
+}
+
+function startPhotoSheetDrag(e) {
+  const box = e.currentTarget;
+  const image = document.getElementById("photo-sheet-image");
+  if (!image || !image.clientWidth) return;
+  e.preventDefault();
+  const start = {
+    x: e.clientX,
+    y: e.clientY,
+    centerX: photoSheetCrop.centerX,
+    centerY: photoSheetCrop.centerY,
+  };
+
+  const move = (event) => {
+    photoSheetCrop.centerX =
+      start.centerX + (event.clientX - start.x) / image.clientWidth;
+    photoSheetCrop.centerY =
+      start.centerY + (event.clientY - start.y) / image.clientHeight;
+    renderPhotoSheetCrop();
+  };
+  const stop = () => {
+    box.removeEventListener("pointermove", move);
+    box.removeEventListener("pointerup", stop);
+    box.removeEventListener("pointercancel", stop);
+  };
+  box.setPointerCapture(e.pointerId);
+  box.addEventListener("pointermove", move);
+  box.addEventListener("pointerup", stop);
+  box.addEventListener("pointercancel", stop);
+}
+
+// The finished sheet is selected and the print panel opened at actual size,
+// since scaling to fit would change the photo dimensions.
+async function createPhotoSheet() {
+  if (!photoSheetFile) return;
+  const value = (id) => document.getElementById(id)?.value || "";
+  const btnCreate = document.getElementById("btn-photo-sheet-create");
+  if (btnCreate) btnCreate.disabled = true;
+
+  const chatId = currentChatId;
+  const paperSize = value("photo-sheet-paper");
+  const result = await window.api.createPhotoSheet({
+    chatId,
+    filePath: photoSheetFile.localPath,
+    fileName: value("photo-sheet-name").trim(),
+    options: {
+      photoSize: value("photo-sheet-size"),
+      widthMm: Number(value("photo-sheet-width")),
+      heightMm: Number(value("photo-sheet-height")),
+      paperSize,
+      copies: Number(value("photo-sheet-copies")) || 0,
+      cutMarks: !!document.getElementById("photo-sheet-cut-marks")?.checked,
+      crop: getPhotoSheetCropRect(),
+    },
+  });
+  if (btnCreate) btnCreate.disabled = false;
+
+  if (result.error) {
+    showToast(`Photo sheet not created: ${result.error}`, "error");
+    return;
+  }
+
+  togglePhotoSheetPanel(false);
+  showToast(
+    `Created ${result.file.fileName} (${result.photos} photo${result.photos !== 1 ? "s" : ""} on ${result.sheets} sheet${result.sheets !== 1 ? "s" : ""})`,
+    "success",
+  );
+  if (chatId !== currentChatId) return;
+  addGeneratedFile(result.file);
+  togglePrintPanel(true);
+  const scale = document.getElementById("print-scale");
+  if (scale) scale.value = "noscale";
+  const paper = document.getElementById("print-paper-size");
+  if (paper && paperSize === "A4") paper.value = "A4";
+  queueSelectionQuote();
+}
+
+// ── PDF Tools ────────────────────────────────────────────────────────────
+function getSelectedPdfFiles() {
+  return currentFiles
+    .filter(
+      (f) =>
+        selectedFiles.has(f.messageId) &&
+        f.localPath &&
+        getFileType(f.fileName) === "pdf",
+    )
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+}
+
+// With several PDFs selected the panel merges them; with one it extracts,
+// reorders, rotates and removes pages.
+async function togglePdfToolsPanel(forceOpen) {
+  const panel = document.getElementById("pdf-tools-panel");
+  if (!panel) return;
+  const shouldOpen =
+    typeof forceOpen === "boolean"
+      ? forceOpen
+      : panel.classList.contains("hidden");
+
+  if (!shouldOpen) {
+    panel.classList.add("hidden");
+    return;
+  }
+
+  pdfToolsFiles = getSelectedPdfFiles();
+  pdfToolsPages = [];
+  if (pdfToolsFiles.length === 0) {
+    showToast("Select downloaded PDFs first", "warning");
+    return;
+  }
+
+  const isMerge = pdfToolsFiles.length > 1;
+  document.getElementById("pdf-merge-section").classList.toggle(
+    "hidden",
+    !isMerge,
+  );
+  document.getElementById("pdf-pages-section").classList.toggle(
+    "hidden",
+    isMerge,
+  );
+  document.getElementById("pdf-tools-title").textContent = isMerge
+    ? `Merge ${pdfToolsFiles.length} PDFs`
+    : pdfToolsFiles[0].fileName;
+  document.getElementById("pdf-tools-name").value = "";
+  document.getElementById("pdf-extract-ranges").value = "";
+
+  closeOtherSidePanels(panel.id);
+  panel.classList.remove("hidden");
+
+  if (isMerge) {
+    renderPdfMergeList();
+  } else {
+    await loadPdfToolsPages(pdfToolsFiles[0]);
+  }
+}
+
+function renderPdfMergeList() {
+  const list = document.getElementById("pdf-merge-list");
+  if (!list) return;
+
+  const last = pdfToolsFiles.length - 1;
+  list.innerHTML = pdfToolsFiles
+    .map(
+      (file, index) => `
+        <li class="reorder-item">
+          <span class="reorder-index">${index + 1}</span>
+          <span class="reorder-name" title="${escapeHtml(file.fileName)}">${escapeHtml(file.fileName)}</span>
+          <button class="btn btn-small btn-secondary" data-pdf-merge-move="-1" data-index="${index}" title="Move up" ${index === 0 ? "disabled" : ""}>↑</button>
+          <button class="btn btn-small btn-secondary" data-pdf-merge-move="1" data-index="${index}" title="Move down" ${index === last ? "disabled" : ""}>↓</button>
+        </li>`,
+    )
+    .join("");
+
+  list.querySelectorAll("[data-pdf-merge-move]").forEach((el) => {
+    el.addEventListener("click", () => {
+      const moved = moveListItem(
+        pdfToolsFiles,
+        Number(el.dataset.index),
+        Number(el.dataset.pdfMergeMove),
+      );
+      if (moved) renderPdfMergeList();
+    });
+  });
+}
+
+async function loadPdfToolsPages(file) {
+  const list = document.getElementById("pdf-page-list");
+  if (!list) return;
+  list.innerHTML = `<li class="form-hint">Reading pages...</li>`;
+
+  const result = await window.api.getFileMetadata([file.localPath]);
+  const metadata = result.metadata?.[file.localPath];
+  // The panel may have been closed or reopened for another file meanwhile.
+  if (pdfToolsFiles[0] !== file) return;
+
+  if (!metadata?.pageCount) {
+    const reason = metadata?.error || result.error || "Could not read pages";
+    list.innerHTML = `<li class="form-hint form-hint-error">${escapeHtml(reason)}</li>`;
+    return;
+  }
+  if (metadata.encrypted) {
+    list.innerHTML = `<li class="form-hint form-hint-error">This PDF is password-protected</li>`;
+    return;
+  }
+
+  pdfToolsPages = metadata.pages.map((info, index) => ({
+    page: index + 1,
+    rotate: 0,
+    info,
+  }));
+  renderPdfPageList();
+}
+
+function renderPdfPageList() {
+  const list = document.getElementById("pdf-page-list");
+  if (!list) return;
+
+  const last = pdfToolsPages.length - 1;
+  list.innerHTML = pdfToolsPages
+    .map((entry, index) => {
+      const details = [entry.info?.sizeName, entry.info?.orientation];
+      if (entry.rotate) details.push(`rotated ${entry.rotate}°`);
+      return `
+        <li class="reorder-item">
+          <span class="reorder-index">${index + 1}</span>
+          <span class="reorder-name">Page ${entry.page}
+            <span class="reorder-detail">${escapeHtml(details.filter(Boolean).join(" · "))}</span>
+          </span>
+          <button class="btn btn-small btn-secondary" data-pdf-page-action="rotate-left" data-index="${index}" title="Rotate left">⟲</button>
+          <button class="btn btn-small btn-secondary" data-pdf-page-action="rotate-right" data-index="${index}" title="Rotate right">⟳</button>
+          <button class="btn btn-small btn-secondary" data-pdf-page-action="up" data-index="${index}" title="Move up" ${index === 0 ? "disabled" : ""}>↑</button>
+          <button class="btn btn-small btn-secondary" data-pdf-page-action="down" data-index="${index}" title="Move down" ${index === last ? "disabled" : ""}>↓</button>
+          <button class="btn btn-small btn-secondary" data-pdf-page-action="remove" data-index="${index}" title="Remove page">✕</button>
+        </li>`;
+    })
+    .join("");
+
+  list.querySelectorAll("[data-pdf-page-action]").forEach((el) => {
+    el.addEventListener("click", () =>
+      handlePdfPageAction(el.dataset.pdfPageAction, Number(el.dataset.index)),
+    );
+  });
+
+  const btnSave = document.getElementById("btn-pdf-save-pages");
+  if (btnSave) btnSave.disabled = pdfToolsPages.length === 0;
+}
+
+function handlePdfPageAction(action, index) {
+  const entry = pdfToolsPages[index];
+  if (!entry) return;
+
+  if (action === "rotate-left") entry.rotate = (entry.rotate + 270) % 360;
+  if (action === "rotate-right") entry.rotate = (entry.rotate + 90) % 360;
+  if (action === "up") moveListItem(pdfToolsPages, index, -1);
+  if (action === "down") moveListItem(pdfToolsPages, index, 1);
+  if (action === "remove") pdfToolsPages.splice(index, 1);
+  renderPdfPageList();
+}
+
+// Runs one of the PDF tool IPC calls and shows the resulting file in the
+// current chat.
+async function runPdfTool(buttonId, invoke) {
+  const button = document.getElementById(buttonId);
+  if (button) button.disabled = true;
+  const chatId = currentChatId;
+  const fileName = document.getElementById("pdf-tools-name")?.value.trim();
+
+  const result = await invoke({ chatId, fileName });
+  if (button) button.disabled = false;
+
+  if (result.error) {
+    showToast(`PDF not created: ${result.error}`, "error");
+    return;
+  }
+
+  togglePdfToolsPanel(false);
+  showToast(`Created ${result.file.fileName}`, "success");
+  if (chatId === currentChatId) addGeneratedFile(result.file);
+}
+
+function mergeSelectedPdfs() {
+  return runPdfTool("btn-pdf-merge", (data) =>
+    window.api.mergePdfs({
+      ...data,
+      filePaths: pdfToolsFiles.map((f) => f.localPath),
+    }),
+  );
+}
+
+function extractPdfPages() {
+  const pageRanges = document.getElementById("pdf-extract-ranges").value;
+  if (!pageRanges.trim()) {
+    showToast("Enter the pages to extract, e.g. 3-7, 12", "warning");
+    return;
+  }
+  return runPdfTool("btn-pdf-extract", (data) =>
+    window.api.extractPdfPages({
+      ...data,
+      filePath: pdfToolsFiles[0].localPath,
+      pageRanges,
+    }),
+  );
+}
+
+function savePdfPages() {
+  return runPdfTool("btn-pdf-save-pages", (data) =>
+    window.api.rearrangePdfPages({
+      ...data,
+      filePath: pdfToolsFiles[0].localPath,
+      pages: pdfToolsPages.map(({ page, rotate }) => ({ page, rotate })),
+    }),
+  );
+}
+
+// ── Print Queue ──────────────────────────────────────────────────────────
+const PRINT_JOB_STATUS_LABELS = {
+  queued: "Queued",
+  spooling: "Printing...",
+  printed: "✓ Printed",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+async function loadPrintJobs() {
+  const result = await window.api.getPrintJobs();
+  if (result.error) return;
+  printJobs = result.jobs || [];
+  renderPrintJobs();
+}
+
+function handlePrintJobUpdated(job) {
+  if (!job || !job.id) return;
+  const index = printJobs.findIndex((j) => j.id === job.id);
+  if (index === -1) {
+    printJobs.unshift(job);
+  } else {
+    printJobs[index] = job;
+  }
+
+  if (job.status === "failed") {
+    showToast(`Print failed: ${job.fileName} (${job.error})`, "error");
+  }
+
+  renderPrintJobs();
+}
+
+function updatePrintQueueBadge() {
+  const badge = document.getElementById("print-queue-badge");
+  if (!badge) return;
+  const activeCount = printJobs.filter(
+    (j) => j.status === "queued" || j.status === "spooling",
+  ).length;
+  badge.textContent = activeCount.toString();
+  badge.classList.toggle("hidden", activeCount === 0);
+}
+
+function togglePrintQueuePanel(forceOpen) {
+  const panel = document.getElementById("print-queue-panel");
+  if (!panel) return;
+  const shouldOpen =
+    typeof forceOpen === "boolean"
+      ? forceOpen
+      : panel.classList.contains("hidden");
+  panel.classList.toggle("hidden", !shouldOpen);
+  if (shouldOpen) {
+    closeOtherSidePanels(panel.id);
+    loadPrintJobs();
+  }
+}
+
+function renderPrintJobItem(job) {
+  const statusLabel = PRINT_JOB_STATUS_LABELS[job.status] || job.status;
+  const time = formatTime(Math.floor((job.createdAt || 0) / 1000));
+  const printer = job.printerName || "System dialog";
+  let actions = "";
+  if (job.status === "queued") {
+    actions = `<button class="btn-file-action" data-print-action="cancel" data-job-id="${escapeHtml(job.id)}">Cancel</button>`;
+  } else if (job.status === "failed" || job.status === "cancelled") {
+    actions = `<button class="btn-file-action" data-print-action="retry" data-job-id="${escapeHtml(job.id)}">Retry</button>`;
+  }
+
+  return `
+    <div class="print-job-item" data-job-id="${escapeHtml(job.id)}">
+      <div class="print-job-details">
+        <div class="print-job-name" title="${escapeHtml(job.filePath)}">${escapeHtml(job.fileName)}</div>
+        <div class="print-job-meta">
+          ${job.chatName ? `<span>${escapeHtml(job.chatName)}</span>` : ""}
+          <span>${escapeHtml(printer)}</span>
+          <span>${time}</span>
+        </div>
+        ${job.error ? `<div class="print-job-error">${escapeHtml(job.error)}</div>` : ""}
+      </div>
+      <div class="print-job-side">
+        <span class="status-badge ${escapeHtml(job.status)}">${escapeHtml(statusLabel)}</span>
+        ${actions}
+      </div>
+    </div>
+  `;
+}
+
+function renderPrintJobs() {
+  updatePrintQueueBadge();
+
+  const list = document.getElementById("print-job-list");
+  if (!list) return;
+
+  if (printJobs.length === 0) {
+    list.innerHTML = `<div class="empty-state"><p>No print jobs yet</p></div>`;
+    return;
+  }
+
+  const sorted = [...printJobs].sort(
+    (a, b) => (b.createdAt || 0) - (a.createdAt || 0),
+  );
+  list.innerHTML = sorted.map(renderPrintJobItem).join("");
+
+  list.querySelectorAll("[data-print-action]").forEach((el) => {
+    el.addEventListener("click", () =>
+      handlePrintJobAction(el.dataset.printAction, el.dataset.jobId),
+    );
+  });
+}
+
+async function handlePrintJobAction(action, jobId) {
+  const result =
+    action === "cancel"
+      ? await window.api.cancelPrintJob(jobId)
+      : await window.api.retryPrintJob(jobId);
+  if (result.error) {
+    showToast(result.error, "error");
+  }
+}
+
+async function clearFinishedPrintJobs() {
+  const result = await window.api.clearFinishedPrintJobs();
+  if (result.error) {
+    showToast(result.error, "error");
+    return;
+  }
+  await loadPrintJobs();
+}
+
+// ── Orders ───────────────────────────────────────────────────────────────
+const ORDER_STATUS_LABELS = {
+  received: "Received",
+  printing: "Printing",
+  ready: "Ready",
+  collected: "Collected",
+};
+
+async function loadOrders() {
+  const result = await window.api.getOrders();
+  if (result.error) return;
+  orders = result.orders || [];
+  renderOrders();
+}
+
+function handleOrderUpdated(order) {
+  if (!order || !order.id) return;
+  const index = orders.findIndex((o) => o.id === order.id);
+  if (index === -1) {
+    orders.unshift(order);
+  } else {
+    orders[index] = order;
+  }
+  renderOrders();
+}
+
+function updateOrdersBadge() {
+  const badge = document.getElementById("orders-badge");
+  if (!badge) return;
+  const openCount = orders.filter((o) => o.status !== "collected").length;
+  badge.textContent = openCount.toString();
+  badge.classList.toggle("hidden", openCount === 0);
+}
+
+function toggleOrdersPanel(forceOpen) {
+  const panel = document.getElementById("orders-panel");
+  if (!panel) return;
+  const shouldOpen =
+    typeof forceOpen === "boolean"
+      ? forceOpen
+      : panel.classList.contains("hidden");
+  panel.classList.toggle("hidden", !shouldOpen);
+  if (shouldOpen) {
+    closeOtherSidePanels(panel.id);
+    loadOrders();
+  }
+}
+
+async function createOrderFromSelection() {
+  const items = [];
+  selectedFiles.forEach((msgId) => {
+    const file = currentFiles.find((f) => f.messageId === msgId);
+    if (!file || file.type === "chat") return;
+    items.push({
+      messageId: file.messageId,
+      fileName: file.fileName,
+      filePath: file.localPath || null,
+      mimeType: file.mimeType,
+      fileSize: file.fileSize,
+    });
+  });
+
+  if (items.length === 0) {
+    showToast("Select the customer's files first", "warning");
+    return;
+  }
+
+  const customerName =
+    document.getElementById("selected-contact-name")?.textContent || "";
+  const result = await window.api.createOrder({
+    chatId: currentChatId,
+    customerName,
+    items,
+  });
+
+  if (result.error) {
+    showToast(result.error, "error");
+    return;
+  }
+
+  showToast(`Order #${result.order.orderNumber} created`, "success");
+  toggleOrdersPanel(true);
+}
+
+function renderOrderReadyMessageState(order) {
+  const state = order.readyMessage;
+  if (!state) return "";
+  const time = formatTime(Math.floor((state.at || 0) / 1000));
+  if (state.status === "sent") {
+    return `<span class="order-ready-state">✓ Ready message sent ${time}</span>`;
+  }
+  return `<span class="order-ready-state failed" title="${escapeHtml(state.error || "")}">Ready message failed ${time}</span>`;
+}
+
+function renderOrderItem(order) {
+  const time = formatTime(Math.floor((order.createdAt || 0) / 1000));
+  const items = order.items || [];
+  const statusOptions = Object.entries(ORDER_STATUS_LABELS)
+    .map(
+      ([value, label]) =>
+        `<option value="${value}" ${value === order.status ? "selected" : ""}>${label}</option>`,
+    )
+    .join("");
+  const fileRows = items
+    .map(
+      (item) => `
+        <li class="${item.filePath ? "" : "order-file-missing"}" title="${escapeHtml(item.filePath || "Not downloaded yet")}">
+          ${escapeHtml(item.fileName)}
+        </li>`,
+    )
+    .join("");
+
+  return `
+    <div class="order-item" data-order-id="${escapeHtml(order.id)}">
+      <div class="order-item-header">
+        <span class="order-number">#${escapeHtml(String(order.orderNumber))}</span>
+        <div class="order-customer">
+          <div class="order-customer-name">${escapeHtml(order.customerName || "Customer")}</div>
+          <div class="print-job-meta">
+            ${order.customerNumber ? `<span>+${escapeHtml(order.customerNumber)}</span>` : ""}
+            <span>${items.length} file${items.length !== 1 ? "s" : ""}</span>
+            <span>${time}</span>
+          </div>
+        </div>
+        <span class="status-badge ${escapeHtml(order.status)}">${escapeHtml(ORDER_STATUS_LABELS[order.status] || order.status)}</span>
+      </div>
+      <ul class="order-files">${fileRows}</ul>
+      <textarea class="form-input order-notes" data-order-notes="${escapeHtml(order.id)}" rows="2" placeholder="Notes (binding, deadline, paid...)">${escapeHtml(order.notes || "")}</textarea>
+      <div class="order-actions">
+        <label class="order-amount-label" for="order-amount-${escapeHtml(order.id)}">Amount due</label>
+        <input type="number" min="0" step="0.01" class="form-input order-amount" id="order-amount-${escapeHtml(order.id)}" data-order-amount="${escapeHtml(order.id)}" value="${order.amountDue ?? ""}" />
+        ${renderOrderReadyMessageState(order)}
+      </div>
+      <div class="order-actions">
+        <select class="form-select order-status-select" data-order-status="${escapeHtml(order.id)}">${statusOptions}</select>
+        <button class="btn-file-action" data-order-action="print" data-order-id="${escapeHtml(order.id)}">Print</button>
+        <button class="btn-file-action" data-order-action="price" data-order-id="${escapeHtml(order.id)}" title="Price with the current print options">Price</button>
+        <button class="btn-file-action" data-order-action="notify" data-order-id="${escapeHtml(order.id)}" ${order.chatId ? "" : "disabled"}>Send ready message</button>
+        <button class="btn-file-action" data-order-action="delete" data-order-id="${escapeHtml(order.id)}">Delete</button>
+      </div>
+    </div>
+  `;
+}
+
+function renderOrders() {
+  updateOrdersBadge();
+
+  const list = document.getElementById("order-list");
+  if (!list) return;
+
+  const visible = orders.filter((o) => {
+    if (orderStatusFilter === "all") return true;
+    if (orderStatusFilter === "open") return o.status !== "collected";
+    return o.status === orderStatusFilter;
+  });
+
+  if (visible.length === 0) {
+    list.innerHTML = `<div class="empty-state"><p>No orders here</p></div>`;
     return;
   }
 
-  const appListResult = await window.api.getOpenWithApps(
-    normalizedFilePaths[0],
+  const sorted = [...visible].sort(
+    (a, b) => (b.createdAt || 0) - (a.createdAt || 0),
   );
-  if (appListResult.error) {
-    showToast(`Could not load applications: ${appListResult.error}`, "error");
-    return;
+  list.innerHTML = sorted.map(renderOrderItem).join("");
+
+  list.querySelectorAll("[data-order-status]").forEach((el) => {
+    el.addEventListener("change", () =>
+      setOrderStatus(el.dataset.orderStatus, el.value),
+    );
+  });
+  list.querySelectorAll("[data-order-notes]").forEach((el) => {
+    el.addEventListener("change", () =>
+      saveOrderDetails(el.dataset.orderNotes, { notes: el.value }),
+    );
+  });
+  list.querySelectorAll("[data-order-amount]").forEach((el) => {
+    el.addEventListener("change", () =>
+      saveOrderDetails(el.dataset.orderAmount, { amountDue: el.value }),
+    );
+  });
+  list.querySelectorAll("[data-order-action]").forEach((el) => {
+    el.addEventListener("click", () =>
+      handleOrderAction(el.dataset.orderAction, el.dataset.orderId),
+    );
+  });
+}
+
+async function setOrderStatus(orderId, status) {
+  const result = await window.api.setOrderStatus(orderId, status);
+  if (result.error) {
+    showToast(result.error, "error");
+    renderOrders();
   }
+}
 
-  const apps = Array.isArray(appListResult.apps) ? appListResult.apps : [];
-  if (apps.length === 0) {
-    showToast("No compatible applications found", "warning");
-    return;
+async function saveOrderDetails(orderId, changes) {
+  const result = await window.api.updateOrder(orderId, changes);
+  if (result.error) {
+    showToast(result.error, "error");
+    renderOrders();
   }
+}
 
-  const resolvedSelectedType =
-    providedSelectedType || getSingleTypeFromSet(selectedTypes);
-  const isImageType = resolvedSelectedType === "image";
+async function handleOrderAction(action, orderId) {
+  const order = orders.find((o) => o.id === orderId);
+  if (!order) return;
 
-  let appToUse = preferredApp || selectedOpenWithApp;
-  if (isImageType && appToUse.id === "__default__") {
-    appToUse = getDefaultOpenWithApp(apps, true);
+  if (action === "delete") {
+    if (!confirm(`Delete order #${order.orderNumber}?`)) return;
+    const result = await window.api.deleteOrder(orderId);
+    if (result.error) showToast(result.error, "error");
+    return;
   }
 
-  if (!apps.some((app) => app.id === appToUse.id)) {
-    appToUse = getDefaultOpenWithApp(apps, isImageType);
+  if (action === "price") {
+    const filePaths = (order.items || [])
+      .filter((item) => item.filePath)
+      .map((item) => item.filePath);
+    if (filePaths.length === 0) {
+      showToast("None of this order's files are downloaded yet", "warning");
+      return;
+    }
+    const result = await window.api.getPriceQuote({
+      filePaths,
+      ...getPricingExtrasFromForm(),
+    });
+    if (result.error) {
+      showToast(result.error, "error");
+      return;
+    }
+    await saveOrderDetails(orderId, { amountDue: result.quote.total });
+    if (result.quote.incomplete) {
+      showToast("Some files could not be priced automatically", "warning");
+    }
+    return;
   }
 
-  if (resolvedSelectedType) {
-    setOpenWithPreferenceForType(resolvedSelectedType, appToUse);
+  if (action === "notify") {
+    const result = await window.api.sendOrderReadyMessage(orderId);
+    if (result.error) {
+      showToast(`Ready message failed: ${result.error}`, "error");
+    } else {
+      showToast(
+        `Ready message sent for order #${order.orderNumber}`,
+        "success",
+      );
+    }
+    return;
   }
 
-  if (persistSelection) {
-    selectedOpenWithApp = appToUse;
-    updateOpenSelectedButtonLabel();
+  if (action === "print") {
+    const files = (order.items || [])
+      .filter((item) => item.filePath)
+      .map((item) => ({ filePath: item.filePath, messageId: item.messageId }));
+    if (files.length === 0) {
+      showToast("None of this order's files are downloaded yet", "warning");
+      return;
+    }
+    await submitPrintJobs(files, {
+      chatId: order.chatId,
+      chatName: order.customerName,
+      orderId: order.id,
+    });
   }
+}
 
-  hideOpenWithDropdown();
-
-  const openResult = await window.api.openFilesWithApp({
-    requestId: appListResult.requestId,
-    appId: appToUse.id,
-    filePaths: normalizedFilePaths,
-  });
+// ── Settings ─────────────────────────────────────────────────────────────
+async function loadSettings() {
+  const result = await window.api.getSettings();
+  if (result.error) return;
+  appSettings = result.settings;
+  fillSettingsForm();
+}
 
-  if (openResult.error) {
-    showToast(`Open failed: ${openResult.error}`, "error");
-    return;
-  }
+// Settings inputs declare the dotted path they edit in data-setting, e.g.
+// data-setting="pricing.pagePrices.A4.mono".
+function getSettingsInputs() {
+  return document.querySelectorAll("#settings-panel [data-setting]");
+}
 
-  if (Array.isArray(openResult.results)) {
-    const failed = openResult.results.filter((r) => r.error).length;
-    const opened = openResult.results.length - failed;
-    if (failed > 0) {
-      showToast(`Opened ${opened} file(s), ${failed} failed`, "warning");
-    } else if (showSuccessToast) {
-      showToast(`Opened ${opened} file(s)`, "success");
+function fillSettingsForm() {
+  if (!appSettings) return;
+  getSettingsInputs().forEach((input) => {
+    const value = input.dataset.setting
+      .split(".")
+      .reduce((obj, key) => (obj ? obj[key] : undefined), appSettings);
+    if (input.type === "checkbox") {
+      input.checked = !!value;
+    } else {
+      input.value = value ?? "";
     }
-  } else if (showSuccessToast) {
-    showToast(`Opened ${normalizedFilePaths.length} file(s)`, "success");
+  });
+  fillAutoDownloadForm();
+}
+
+function readSettingsForm() {
+  const patch = {};
+  getSettingsInputs().forEach((input) => {
+    let value = input.value;
+    if (input.type === "checkbox") value = input.checked;
+    else if (input.type === "number") value = Number(input.value) || 0;
+
+    const keys = input.dataset.setting.split(".");
+    let target = patch;
+    keys.slice(0, -1).forEach((key) => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+  // Business days and rules are lists, which data-setting inputs can't hold.
+  if (patch.autoDownload) {
+    patch.autoDownload.businessHours.days = readBusinessDays();
+    patch.autoDownload.rules = readAutoDownloadRules();
   }
+  return patch;
 }
 
-async function openSelectedWithApp(preferredApp, selectedType = null) {
-  if (selectedFiles.size === 0) {
-    showToast("No downloaded files selected", "warning");
-    return;
+function toggleSettingsPanel(forceOpen) {
+  const panel = document.getElementById("settings-panel");
+  if (!panel) return;
+  const shouldOpen =
+    typeof forceOpen === "boolean"
+      ? forceOpen
+      : panel.classList.contains("hidden");
+
+  if (shouldOpen) {
+    document.getElementById("profile-dropdown")?.classList.add("hidden");
+    closeOtherSidePanels(panel.id);
+    loadSettings().then(() => {
+      updateConversionStatus();
+      updateApiStatus();
+    });
+    resetRetentionPreview();
   }
+  panel.classList.toggle("hidden", !shouldOpen);
+}
 
-  const { filePaths } = getSelectedOpenableFiles();
-  await openFilesWithAppSelection(filePaths, preferredApp, {
-    showSuccessToast: true,
-    selectedType,
-    persistSelection: true,
-  });
+async function updateConversionStatus() {
+  const statusEl = document.getElementById("settings-conversion-status");
+  if (!statusEl) return;
+  const status = await window.api.getConversionStatus();
+  statusEl.textContent = status.available
+    ? `Using ${status.path}`
+    : "LibreOffice not found — Office files open in their default app";
+  statusEl.classList.toggle("form-hint-error", !status.available);
 }
 
-// ── Open Selected ────────────────────────────────────────────────────────
-async function openSelected() {
-  const { selectedTypes } = getSelectedOpenableFiles();
-  const selectedType = getSingleTypeFromSet(selectedTypes);
-  const preferredApp = selectedType
-    ? getOpenWithPreferenceForType(selectedType)
-    : selectedOpenWithApp;
-  await openSelectedWithApp(preferredApp, selectedType);
+async function updateApiStatus() {
+  const statusEl = document.getElementById("settings-api-status");
+  if (!statusEl) return;
+  const status = await window.api.getApiStatus();
+  if (status.error) {
+    statusEl.textContent = status.error;
+  } else if (status.running) {
+    const clients = status.clients
+      ? ` · ${status.clients} live connection${status.clients !== 1 ? "s" : ""}`
+      : "";
+    statusEl.textContent = `Listening on ${status.url}${clients}`;
+  } else {
+    statusEl.textContent = "Off";
+  }
+  statusEl.classList.toggle("form-hint-error", !!status.error);
 }
 
-// ── Download ─────────────────────────────────────────────────────────────
-async function downloadSingleFile(messageId, fileName) {
-  showToast("Downloading file...", "info");
+async function resetApiToken() {
+  if (
+    appSettings?.api.token &&
+    !confirm("Create a new token? Software using the old one stops working.")
+  ) {
+    return;
+  }
+  const result = await window.api.resetApiToken();
+  if (result.error) {
+    showToast(result.error, "error");
+    return;
+  }
+  appSettings = result.settings;
+  document.getElementById("settings-api-token").value = appSettings.api.token;
+}
 
-  const result = await window.api.downloadFile({
-    messageId,
-    chatId: currentChatId,
-    fileName,
+async function browseForFolder(inputId, title) {
+  const input = document.getElementById(inputId);
+  const result = await window.api.selectFolder({
+    title,
+    defaultPath: input.value,
   });
+  if (!result.canceled) input.value = result.folderPath;
+}
+
+async function saveSettings() {
+  const result = await window.api.updateSettings(readSettingsForm());
 
   if (result.error) {
-    showToast(`Download failed: ${result.error}`, "error");
+    showToast(result.error, "error");
     return;
   }
 
-  showToast(`Downloaded: ${result.fileName}`, "success");
+  appSettings = result.settings;
+  showToast("Settings saved", "success");
+  toggleSettingsPanel(false);
+  queueSelectionQuote();
+  // A newly configured LibreOffice can analyse Office files skipped earlier.
+  fileMetadataByPath.forEach((metadata, filePath) => {
+    if (!metadata) fileMetadataByPath.delete(filePath);
+  });
+  queueFileMetadata();
+}
 
-  // Update the file in our local state
-  const file = currentFiles.find((f) => f.messageId === messageId);
-  if (file) {
-    file.isDownloaded = true;
-    file.localPath = result.localPath;
-  }
+// ── Auto-download Rules ──────────────────────────────────────────────────
+// Rule cards are rebuilt from appSettings when the panel opens. Their inputs
+// use data-rule-field instead of data-setting so readSettingsForm can collect
+// each card as one rule.
+const AUTO_DOWNLOAD_SCOPE_LABELS = {
+  all: "All chats",
+  individual: "Individual chats",
+  groups: "Groups",
+  selected: "Only these chats",
+};
 
-  renderFiles();
+function fillAutoDownloadForm() {
+  const { businessHours, rules } = appSettings.autoDownload;
+  document.querySelectorAll(".auto-download-day").forEach((checkbox) => {
+    checkbox.checked = businessHours.days.includes(Number(checkbox.value));
+  });
+  renderAutoDownloadRules(rules);
 }
 
-// ── Delete ───────────────────────────────────────────────────────────────
-async function deleteSelected() {
-  if (selectedFiles.size === 0) return;
+function readBusinessDays() {
+  return Array.from(document.querySelectorAll(".auto-download-day"))
+    .filter((checkbox) => checkbox.checked)
+    .map((checkbox) => Number(checkbox.value));
+}
 
-  const filePaths = [];
-  const msgIds = [];
-  selectedFiles.forEach((msgId) => {
-    const file = currentFiles.find((f) => f.messageId === msgId);
-    if (file && file.localPath) {
-      filePaths.push(file.localPath);
-      msgIds.push(msgId);
-    }
-  });
+// Saved rules hold arrays; rules read back from the form still hold text.
+function formatRuleList(value, separator) {
+  return Array.isArray(value) ? value.join(separator) : value || "";
+}
 
-  if (filePaths.length === 0) {
-    showToast("No downloaded files selected for deletion", "warning");
-    return;
-  }
+function renderAutoDownloadRules(rules) {
+  const container = document.getElementById("auto-download-rules");
+  if (!container) return;
+  container.innerHTML = rules
+    .map((rule, index) => {
+      const scopeOptions = Object.entries(AUTO_DOWNLOAD_SCOPE_LABELS)
+        .map(
+          ([value, label]) =>
+            `<option value="${value}"${rule.chatScope === value ? " selected" : ""}>${label}</option>`,
+        )
+        .join("");
+      const check = (field, label) => `
+        <label class="form-check">
+          <input type="checkbox" data-rule-field="${field}"${rule[field] ? " checked" : ""} />
+          ${label}
+        </label>`;
+      return `
+      <div class="auto-download-rule" data-rule-index="${index}">
+        <div class="form-inline">
+          <input type="checkbox" data-rule-field="enabled" title="Rule enabled"${rule.enabled !== false ? " checked" : ""} />
+          <input type="text" class="form-input" data-rule-field="name" placeholder="Rule name" value="${escapeHtml(rule.name || "")}" />
+          <button class="btn btn-secondary" data-rule-action="remove">Remove</button>
+        </div>
+        <div class="form-grid">
+          <div class="form-row">
+            <label>Chats</label>
+            <select class="form-select" data-rule-field="chatScope">${scopeOptions}</select>
+          </div>
+          <div class="form-row">
+            <label>Largest file (MB)</label>
+            <input type="number" min="0" step="1" class="form-input" data-rule-field="maxSizeMb" value="${Number(rule.maxSizeMb) || 0}" />
+          </div>
+        </div>
+        <div class="form-row">
+          <label>Chat names or numbers (for "Only these chats")</label>
+          <textarea class="form-input" rows="2" data-rule-field="chats">${escapeHtml(formatRuleList(rule.chats, "\n"))}</textarea>
+        </div>
+        <div class="form-row">
+          <label>File types</label>
+          <input type="text" class="form-input" data-rule-field="mimeTypes" placeholder="Any, or e.g. application/pdf, image/*" value="${escapeHtml(formatRuleList(rule.mimeTypes, ", "))}" />
+        </div>
+        ${check("skipStickers", "Skip stickers")}
+        ${check("skipVoiceNotes", "Skip voice notes")}
+        ${check("businessHoursOnly", "Only during business hours")}
+        <div class="form-row">
+          <label>Save in</label>
+          <div class="form-inline">
+            <input type="text" class="form-input" id="auto-download-rule-folder-${index}" data-rule-field="targetFolder" placeholder="Storage folder" value="${escapeHtml(rule.targetFolder || "")}" />
+            <button class="btn btn-secondary" data-rule-action="browse">Browse…</button>
+          </div>
+        </div>
+      </div>`;
+    })
+    .join("");
+}
 
-  showToast(
-    `Deleting ${filePaths.length} file(s) from disk & WhatsApp...`,
-    "info",
+function readAutoDownloadRules() {
+  return Array.from(document.querySelectorAll(".auto-download-rule")).map(
+    (card) => {
+      const rule = {};
+      card.querySelectorAll("[data-rule-field]").forEach((input) => {
+        const field = input.dataset.ruleField;
+        if (input.type === "checkbox") rule[field] = input.checked;
+        else if (input.type === "number") {
+          rule[field] = Number(input.value) || 0;
+        } else rule[field] = input.value;
+      });
+      return rule;
+    },
   );
+}
 
-  const result = await window.api.deleteFiles({
-    filePaths,
-    messageIds: msgIds,
-    chatId: currentChatId,
+function addAutoDownloadRule() {
+  const rules = readAutoDownloadRules();
+  rules.push({
+    name: `Rule ${rules.length + 1}`,
+    enabled: true,
+    chatScope: "all",
   });
+  renderAutoDownloadRules(rules);
+}
 
-  if (result.results) {
-    const successCount = result.results.filter((r) => r.success).length;
-    const failCount = result.results.filter((r) => r.error).length;
-
-    // Update local state — remove successfully deleted files entirely
-    result.results.forEach((r, i) => {
-      if (r.success) {
-        const idx = currentFiles.findIndex((f) => f.localPath === r.filePath);
-        if (idx !== -1) currentFiles.splice(idx, 1);
-        selectedFiles.delete(msgIds[i]);
-      }
-    });
-
-    // Report WhatsApp deletion results
-    const waResults = result.waResults || [];
-    const waSuccess = waResults.filter((r) => r.success).length;
-    const waFail = waResults.filter((r) => r.error).length;
+function handleAutoDownloadRuleClick(e) {
+  const button = e.target.closest("[data-rule-action]");
+  if (!button) return;
+  const index = Number(
+    button.closest(".auto-download-rule").dataset.ruleIndex,
+  );
 
-    document.getElementById("file-count").textContent =
-      `${currentFiles.length} file${currentFiles.length !== 1 ? "s" : ""}`;
+  if (button.dataset.ruleAction === "browse") {
+    browseForFolder(
+      `auto-download-rule-folder-${index}`,
+      "Save files from this rule in",
+    );
+  } else if (button.dataset.ruleAction === "remove") {
+    const rules = readAutoDownloadRules();
+    rules.splice(index, 1);
+    renderAutoDownloadRules(rules);
+  }
+}
 
-    renderFiles();
-    updateSelectionUI();
+// ── Storage Cleanup ──────────────────────────────────────────────────────
+// The preview and the cleanup both use the rules currently in the form, so
+// staff can try limits before saving them. "Clean up now" only runs the rules
+// that were last previewed, and only on the files that preview listed.
+const RETENTION_PREVIEW_LIMIT = 100;
+let retentionPreviewPolicy = null;
+let retentionPreviewPaths = [];
+
+function resetRetentionPreview() {
+  retentionPreviewPolicy = null;
+  retentionPreviewPaths = [];
+  document.getElementById("retention-preview")?.classList.add("hidden");
+  document.getElementById("btn-retention-run")?.classList.add("hidden");
+}
 
-    let msg = `Deleted ${successCount} file(s) from disk`;
-    if (waSuccess > 0) msg += `, ${waSuccess} from WhatsApp`;
-    if (failCount > 0 || waFail > 0) msg += ` (${failCount + waFail} failed)`;
-    showToast(msg, failCount > 0 || waFail > 0 ? "warning" : "success");
+async function previewRetentionCleanup() {
+  const policy = readSettingsForm().retention;
+  const result = await window.api.previewRetentionCleanup(policy);
+  if (result.error) {
+    showToast(result.error, "error");
+    return;
   }
-}
 
-// ── Close Chat (ESC) ─────────────────────────────────────────────────────
-function closeChat() {
-  currentChatId = null;
-  currentFiles = [];
-  selectedFiles.clear();
-  queueExplorerSelectionSync();
-  hideOpenWithDropdown();
+  const { plan } = result;
+  const count = plan.files.length;
+  const verb = plan.action === "archive" ? "Archive" : "Delete";
+  retentionPreviewPolicy = count > 0 ? policy : null;
+  retentionPreviewPaths = plan.files.map((file) => file.localPath);
 
-  // Hide delete button
-  const btnDelete = document.getElementById("btn-delete");
-  if (btnDelete) btnDelete.classList.add("hidden");
+  const btnRun = document.getElementById("btn-retention-run");
+  btnRun.textContent = `${verb} ${count} file${count !== 1 ? "s" : ""}`;
+  btnRun.classList.toggle("hidden", count === 0);
 
-  // Deselect active chat in sidebar
-  document.querySelectorAll(".chat-item").forEach((el) => {
-    el.classList.remove("active");
-  });
+  const container = document.getElementById("retention-preview");
+  container.classList.remove("hidden");
+  if (count === 0) {
+    container.innerHTML = `<p class="form-hint">Nothing to clean up with these rules.</p>`;
+    return;
+  }
 
-  // Show "no chat selected" state
-  document.getElementById("files-section").classList.add("hidden");
-  document.getElementById("no-chat-selected").classList.remove("hidden");
+  const rows = plan.files
+    .slice(0, RETENTION_PREVIEW_LIMIT)
+    .map(
+      (file) => `
+        <li>
+          <span class="file-summary-name" title="${escapeHtml(file.localPath)}">${escapeHtml(file.fileName)}</span>
+          <span class="form-hint">${escapeHtml(file.reason)} · ${formatSize(file.size)}</span>
+        </li>`,
+    )
+    .join("");
+  const more =
+    count > RETENTION_PREVIEW_LIMIT
+      ? `<p class="form-hint">…and ${count - RETENTION_PREVIEW_LIMIT} more</p>`
+      : "";
+  container.innerHTML = `
+    <p class="form-hint">${verb} ${count} file${count !== 1 ? "s" : ""} (${formatSize(plan.totalBytes)}):</p>
+    <ul class="file-summary-list">${rows}</ul>
+    ${more}`;
 }
 
-// ── Printers ─────────────────────────────────────────────────────────────
-async function loadPrinters() {
-  const select = document.getElementById("printer-select");
-  const result = await window.api.getPrinters();
+async function runRetentionCleanup() {
+  if (!retentionPreviewPolicy) return;
+  const btnRun = document.getElementById("btn-retention-run");
+  const warning =
+    retentionPreviewPolicy.action === "archive"
+      ? ""
+      : " Deleted files cannot be recovered.";
+  if (!confirm(`${btnRun.textContent}?${warning}`)) return;
+
+  btnRun.disabled = true;
+  const result = await window.api.runRetentionCleanup(
+    retentionPreviewPolicy,
+    retentionPreviewPaths,
+  );
+  btnRun.disabled = false;
+  resetRetentionPreview();
 
-  if (result.printers && result.printers.length > 0) {
-    result.printers.forEach((printer) => {
-      const option = document.createElement("option");
-      option.value = printer.name || printer.deviceId || printer;
-      option.textContent = printer.name || printer.deviceId || printer;
-      select.appendChild(option);
-    });
+  if (result.error) {
+    showToast(result.error, "error");
+    return;
+  }
+  const verb = result.action === "archive" ? "Archived" : "Deleted";
+  let message = `${verb} ${result.processed.length} file(s), ${formatSize(result.freedBytes) || "0 B"} freed`;
+  if (result.failed.length > 0) message += ` (${result.failed.length} failed)`;
+  if (result.skipped > 0) {
+    message += `, ${result.skipped} kept because they no longer match`;
+  }
+  showToast(message, result.failed.length > 0 ? "warning" : "success");
+}
+
+// Archived files keep working from their new location; deleted ones go back
+// to "not downloaded" so they can be fetched from WhatsApp again.
+function applyRetentionToFiles({ files }) {
+  let changed = false;
+  for (const cleaned of files) {
+    for (const messageId of cleaned.messageIds) {
+      const file = currentFiles.find((f) => f.messageId === messageId);
+      if (!file) continue;
+      changed = true;
+      if (cleaned.newPath) {
+        file.localPath = cleaned.newPath;
+      } else if (file.isGenerated) {
+        currentFiles.splice(currentFiles.indexOf(file), 1);
+        selectedFiles.delete(file.messageId);
+      } else {
+        file.isDownloaded = false;
+        file.localPath = null;
+        selectedFiles.delete(file.messageId);
+      }
+    }
   }
+  if (!changed) return;
+  renderFiles();
+  updateSelectionUI();
 }
 
 // ── Other Actions ────────────────────────────────────────────────────────
@@ -2764,17 +5767,18 @@ function getFileIcon(file) {
   const type = (file.type || "").toLowerCase();
   const fileName = (file.fileName || "").toLowerCase();
 
-  // For downloaded images, show a thumbnail preview
+  // Downloaded images, PDFs and Office documents show a thumbnail once the
+  // main process has drawn one (see queueThumbnails)
   const isImage =
     mimeType.includes("image") ||
     type === "image" ||
-    /\.(jpg|jpeg|png|gif|bmp|webp|tiff?)$/i.test(fileName);
-  if (isImage && file.isDownloaded && file.localPath) {
-    const fileUrl = "file:///" + file.localPath.replace(/\\/g, "/");
-    return {
-      class: "image",
-      icon: `<img class="file-thumbnail" src="${escapeHtml(fileUrl)}" alt="Preview" onerror="this.outerHTML='<svg class=\\'file-type-svg\\' viewBox=\\'0 0 24 24\\' fill=\\'none\\' stroke=\\'currentColor\\' stroke-width=\\'1.5\\'><rect x=\\'3\\' y=\\'3\\' width=\\'18\\' height=\\'18\\' rx=\\'2\\'/><circle cx=\\'8.5\\' cy=\\'8.5\\' r=\\'1.5\\'/><path d=\\'M21 15l-5-5L5 21\\'/></svg>'" />`,
-    };
+    /\.(jpg|jpeg|png|gif|bmp|webp|tiff?|heic|heif)$/i.test(fileName);
+  const thumbnailPath =
+    file.isDownloaded && file.localPath
+      ? thumbnailByPath.get(file.localPath)
+      : null;
+  if (isImage && thumbnailPath) {
+    return { class: "image", icon: renderThumbnailImage(thumbnailPath) };
   }
 
   // For downloaded videos, show a thumbnail-style icon
@@ -2786,6 +5790,10 @@ function getFileIcon(file) {
     };
   }
 
+  if (thumbnailPath) {
+    return { class: "document", icon: renderThumbnailImage(thumbnailPath) };
+  }
+
   if (mimeType.includes("pdf") || fileName.endsWith(".pdf")) {
     return {
       class: "pdf",
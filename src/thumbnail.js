@@ -0,0 +1,73 @@
+// Draws thumbnails for the main process, which loads this page in hidden
+// windows and calls renderThumbnail() through executeJavaScript. The returned
+// promise settles once the canvas has been painted.
+const PDFJS_BASE_URL = "../node_modules/pdfjs-dist/";
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = `${PDFJS_BASE_URL}build/pdf.worker.min.js`;
+
+function createCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
+}
+
+async function drawPdfThumbnail(filePath, width) {
+  const result = await window.api.getPreviewPdf(filePath);
+  if (result.error) throw new Error(result.error);
+
+  const pdf = await pdfjsLib.getDocument({
+    data: result.data,
+    isEvalSupported: false,
+    cMapUrl: `${PDFJS_BASE_URL}cmaps/`,
+    cMapPacked: true,
+    standardFontDataUrl: `${PDFJS_BASE_URL}standard_fonts/`,
+  }).promise;
+
+  try {
+    const page = await pdf.getPage(1);
+    const pageWidth = page.getViewport({ scale: 1 }).width;
+    const viewport = page.getViewport({ scale: width / pageWidth });
+    const canvas = createCanvas(viewport.width, viewport.height);
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    // The "print" intent renders without requestAnimationFrame, which a
+    // hidden window may never fire.
+    await page.render({ canvasContext: context, viewport, intent: "print" })
+      .promise;
+    return canvas.toDataURL("image/png");
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+async function drawImageThumbnail(fileUrl, width) {
+  const image = new Image();
+  image.src = fileUrl;
+  // decode() resolves once the image is fully decoded, EXIF rotation included.
+  await image.decode();
+
+  const scale = Math.min(1, width / image.naturalWidth);
+  const canvas = createCanvas(
+    image.naturalWidth * scale,
+    image.naturalHeight * scale,
+  );
+  canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/png");
+}
+
+// Returns { dataUrl } or { error }; a thrown error would reach the main
+// process without its message.
+async function renderThumbnail({ kind, filePath, fileUrl, width }) {
+  try {
+    const dataUrl =
+      kind === "pdf"
+        ? await drawPdfThumbnail(filePath, width)
+        : await drawImageThumbnail(fileUrl, width);
+    return { dataUrl };
+  } catch (err) {
+    return { error: err?.message || String(err) };
+  }
+}
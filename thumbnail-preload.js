@@ -0,0 +1,8 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+// The hidden thumbnail windows render untrusted PDFs, so they only get the
+// one call they need instead of the full window.api from preload.js. The main
+// process only answers it for files the app downloaded or generated.
+contextBridge.exposeInMainWorld("api", {
+  getPreviewPdf: (filePath) => ipcRenderer.invoke("get-preview-pdf", filePath),
+});